@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Create2Deployer
+ * @dev Deploys contracts with CREATE2, so the same caller, salt and init code give the
+ * same address on every chain where this factory lives at the same address.
+ * Salts are bound to the caller, so nobody else can deploy to a caller's addresses.
+ * Contracts see this factory as their deployer: ownership, deployer roles and ERC20
+ * balances it receives during construction are handed to the caller in the same transaction.
+ */
+contract Create2Deployer {
+    event Deployed(address indexed caller, address indexed deployed, bytes32 salt);
+
+    /**
+     * @dev Deploy `initCode` with CREATE2
+     * @param salt Caller-chosen salt
+     * @param initCode Creation bytecode with ABI-encoded constructor arguments
+     * @return deployed Address of the new contract
+     */
+    function deploy(bytes32 salt, bytes calldata initCode) external returns (address deployed) {
+        bytes memory code = initCode;
+        bytes32 callerSalt = _callerSalt(msg.sender, salt);
+
+        assembly {
+            deployed := create2(0, add(code, 0x20), mload(code), callerSalt)
+        }
+        require(deployed != address(0), "Create2Deployer: deployment failed");
+
+        _handOver(deployed, msg.sender);
+
+        emit Deployed(msg.sender, deployed, salt);
+    }
+
+    /**
+     * @dev Address `caller` gets for `salt` and init code hash
+     */
+    function computeAddress(address caller, bytes32 salt, bytes32 initCodeHash) external view returns (address) {
+        bytes32 hash = keccak256(abi.encodePacked(bytes1(0xff), address(this), _callerSalt(caller, salt), initCodeHash));
+        return address(uint160(uint256(hash)));
+    }
+
+    function _callerSalt(address caller, bytes32 salt) private pure returns (bytes32) {
+        return keccak256(abi.encode(caller, salt));
+    }
+
+    /**
+     * @dev Transfer ownership, the roles the constructor granted its deployer
+     * (emergency withdrawer, fee recipient) and any ERC20 balance the new
+     * contract gave this factory. Roles go first, while this factory is still owner.
+     */
+    function _handOver(address deployed, address caller) private {
+        (bool success, bytes memory data) = deployed.staticcall(abi.encodeWithSignature("balanceOf(address)", address(this)));
+        if (success && data.length == 32) {
+            uint256 balance = abi.decode(data, (uint256));
+            if (balance > 0) {
+                (success, data) = deployed.call(abi.encodeWithSignature("transfer(address,uint256)", caller, balance));
+                require(success && (data.length == 0 || abi.decode(data, (bool))), "Create2Deployer: token transfer failed");
+            }
+        }
+
+        (success, data) = deployed.staticcall(abi.encodeWithSignature("emergencyWithdrawers(address)", address(this)));
+        if (success && data.length == 32 && abi.decode(data, (bool))) {
+            (success, ) = deployed.call(abi.encodeWithSignature("addEmergencyWithdrawer(address)", caller));
+            require(success, "Create2Deployer: role transfer failed");
+            (success, ) = deployed.call(abi.encodeWithSignature("removeEmergencyWithdrawer(address)", address(this)));
+            require(success, "Create2Deployer: role transfer failed");
+        }
+
+        (success, data) = deployed.staticcall(abi.encodeWithSignature("feeRecipient()"));
+        if (success && data.length == 32 && abi.decode(data, (address)) == address(this)) {
+            (success, ) = deployed.call(abi.encodeWithSignature("setFeeRecipient(address)", caller));
+            require(success, "Create2Deployer: role transfer failed");
+        }
+
+        (success, data) = deployed.staticcall(abi.encodeWithSignature("owner()"));
+        if (success && data.length == 32 && abi.decode(data, (address)) == address(this)) {
+            (success, ) = deployed.call(abi.encodeWithSignature("transferOwnership(address)", caller));
+            require(success, "Create2Deployer: ownership transfer failed");
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {Initializable} from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import {UUPSUpgradeable} from "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import {BaseStaking} from "../examples/BaseStaking.sol";
+import {IERC20} from "../interfaces/IERC20.sol";
+
+/**
+ * @title BaseStakingUpgradeable
+ * @dev BaseStaking deployable behind a transparent or UUPS proxy.
+ * State set by the BaseStaking and Ownable constructors is set by initialize() instead.
+ * Initializable comes first so BaseStaking can append state variables in later versions.
+ */
+contract BaseStakingUpgradeable is Initializable, BaseStaking, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() BaseStaking(address(0)) {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy; the caller becomes the owner
+     * @param _stakingToken The token users stake
+     */
+    function initialize(address _stakingToken) external initializer {
+        stakingToken = IERC20(_stakingToken);
+        rewardRate = 100;
+        _transferOwnership(_msgSender());
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import {Initializable} from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import {UUPSUpgradeable} from "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import {BaseVesting} from "../examples/BaseVesting.sol";
+
+/**
+ * @title BaseVestingUpgradeable
+ * @dev BaseVesting deployable behind a transparent or UUPS proxy.
+ * State set by the BaseVesting and Ownable constructors is set by initialize() instead.
+ * Initializable comes first so BaseVesting can append state variables in later versions.
+ */
+contract BaseVestingUpgradeable is Initializable, BaseVesting, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() BaseVesting(address(0)) {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy; the caller becomes the owner and an emergency withdrawer
+     * @param _vestingToken The token being vested
+     */
+    function initialize(address _vestingToken) external initializer {
+        vestingToken = _vestingToken;
+        emergencyWithdrawers[_msgSender()] = true;
+        _transferOwnership(_msgSender());
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
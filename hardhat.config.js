@@ -1,7 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
-require("dotenv").config();
+require("dotenv").config({ quiet: true });
 require("solidity-coverage");
 require("hardhat-gas-reporter");
+require("./tasks/baselytics");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -11,6 +12,12 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // Storage layouts are compared before upgrading proxies
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
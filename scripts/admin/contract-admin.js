@@ -1,112 +1,144 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
 
-async function contractAdmin() {
-  const contract = process.argv[2];
-  const action = process.argv[3];
-  const param1 = process.argv[4];
-  const param2 = process.argv[5];
-  
-  if (!contract || !action) {
-    console.log("Usage: npx hardhat run scripts/admin/contract-admin.js --network <network> <contract> <action> [params]");
-    console.log("\nAvailable contracts: BaseToken, BaseNFT, BaseStaking");
-    console.log("\nBaseToken actions:");
-    console.log("  set-max-supply <amount>     - Set maximum supply");
-    console.log("  transfer-ownership <address> - Transfer ownership");
-    console.log("\nBaseNFT actions:");
-    console.log("  pause                       - Pause contract");
-    console.log("  unpause                     - Unpause contract");
-    console.log("  toggle-minting              - Enable/disable minting");
-    console.log("  withdraw                    - Withdraw ETH");
-    console.log("  set-base-uri <uri>          - Set base URI");
-    console.log("\nBaseStaking actions:");
-    console.log("  set-reward-rate <rate>      - Set reward rate (basis points)");
-    console.log("  emergency-withdraw          - Emergency withdraw");
-    process.exit(1);
+// Admin actions per contract and the kind of --value each one takes
+const ADMIN_ACTIONS = {
+  BaseToken: {
+    "set-max-supply": { value: "amount", description: "Set maximum supply" },
+    "transfer-ownership": { value: "address", description: "Transfer ownership" }
+  },
+  BaseNFT: {
+    "pause": { description: "Pause contract" },
+    "unpause": { description: "Unpause contract" },
+    "toggle-minting": { description: "Enable/disable minting" },
+    "withdraw": { description: "Withdraw ETH" },
+    "set-base-uri": { value: "uri", description: "Set base URI" }
+  },
+  BaseStaking: {
+    "set-reward-rate": { value: "rate", description: "Set reward rate (basis points)" },
+    "emergency-withdraw": { description: "Emergency withdraw" }
   }
-  
-  try {
-    console.log(`⚙️  Contract Admin: ${contract}`);
-    console.log(`📍 Network: ${hre.network.name}`);
-    
-    const contractInstance = await ContractLoader.loadContract(contract);
-    const signer = await ContractLoader.getSigner();
-    
-    // Verify ownership
-    const owner = await contractInstance.owner();
-    if (signer.address !== owner) {
-      throw new Error("Only contract owner can perform admin actions");
+};
+
+/**
+ * Run an owner-only admin action (see ADMIN_ACTIONS).
+ * Run with `npx hardhat baselytics admin --contract <name> --action <action> [--value <value>]`.
+ */
+async function contractAdmin({ contract, action, value, signer }) {
+  validateAdminAction(contract, action, value);
+
+  console.log(`⚙️  Contract Admin: ${contract}`);
+  console.log(`📍 Network: ${hre.network.name}`);
+
+  signer = signer || await ContractLoader.getSigner();
+  const contractInstance = await ContractLoader.loadContract(contract, { signer });
+
+  // Verify ownership
+  const owner = await contractInstance.owner();
+  if (signer.address !== owner) {
+    throw new Error("Only contract owner can perform admin actions");
+  }
+
+  console.log(`👤 Admin: ${signer.address}`);
+  console.log(`🎯 Action: ${action}`);
+
+  let tx;
+
+  if (contract === "BaseToken") {
+    if (action === "set-max-supply") {
+      const amount = ContractLoader.parseEther(value);
+      tx = await contractInstance.setMaxSupply(amount);
+      console.log(`📈 Setting max supply to ${value} tokens...`);
+
+    } else if (action === "transfer-ownership") {
+      tx = await contractInstance.transferOwnership(value);
+      console.log(`👑 Transferring ownership to ${value}...`);
+
+    } else {
+      throw new Error(`Unknown BaseToken action: ${action}`);
     }
-    
-    console.log(`👤 Admin: ${signer.address}`);
-    console.log(`🎯 Action: ${action}`);
-    
-    let tx;
-    
-    if (contract === "BaseToken") {
-      if (action === "set-max-supply") {
-        const amount = ContractLoader.parseEther(param1);
-        tx = await contractInstance.setMaxSupply(amount);
-        console.log(`📈 Setting max supply to ${param1} tokens...`);
-        
-      } else if (action === "transfer-ownership") {
-        tx = await contractInstance.transferOwnership(param1);
-        console.log(`👑 Transferring ownership to ${param1}...`);
-        
-      } else {
-        throw new Error(`Unknown BaseToken action: ${action}`);
-      }
-      
-    } else if (contract === "BaseNFT") {
-      if (action === "pause") {
-        tx = await contractInstance.pause();
-        console.log(`⏸️  Pausing contract...`);
-        
-      } else if (action === "unpause") {
-        tx = await contractInstance.unpause();
-        console.log(`▶️  Unpausing contract...`);
-        
-      } else if (action === "toggle-minting") {
-        tx = await contractInstance.toggleMinting();
-        console.log(`🔄 Toggling minting status...`);
-        
-      } else if (action === "withdraw") {
-        tx = await contractInstance.withdraw();
-        console.log(`💸 Withdrawing ETH...`);
-        
-      } else if (action === "set-base-uri") {
-        tx = await contractInstance.setBaseURI(param1);
-        console.log(`🔗 Setting base URI to ${param1}...`);
-        
-      } else {
-        throw new Error(`Unknown BaseNFT action: ${action}`);
-      }
-      
-    } else if (contract === "BaseStaking") {
-      if (action === "set-reward-rate") {
-        const rate = parseInt(param1);
-        tx = await contractInstance.setRewardRate(rate);
-        console.log(`📊 Setting reward rate to ${rate} basis points...`);
-        
-      } else if (action === "emergency-withdraw") {
-        tx = await contractInstance.emergencyWithdraw();
-        console.log(`🚨 Emergency withdraw...`);
-        
-      } else {
-        throw new Error(`Unknown BaseStaking action: ${action}`);
-      }
-      
+
+  } else if (contract === "BaseNFT") {
+    if (action === "pause") {
+      tx = await contractInstance.pause();
+      console.log(`⏸️  Pausing contract...`);
+
+    } else if (action === "unpause") {
+      tx = await contractInstance.unpause();
+      console.log(`▶️  Unpausing contract...`);
+
+    } else if (action === "toggle-minting") {
+      tx = await contractInstance.toggleMinting();
+      console.log(`🔄 Toggling minting status...`);
+
+    } else if (action === "withdraw") {
+      tx = await contractInstance.withdraw();
+      console.log(`💸 Withdrawing ETH...`);
+
+    } else if (action === "set-base-uri") {
+      tx = await contractInstance.setBaseURI(value);
+      console.log(`🔗 Setting base URI to ${value}...`);
+
     } else {
-      throw new Error(`Unknown contract: ${contract}`);
+      throw new Error(`Unknown BaseNFT action: ${action}`);
     }
-    
-    console.log(`⏳ Transaction: ${tx.hash}`);
-    await tx.wait();
-    console.log(`✅ Admin action completed successfully!`);
-    
-  } catch (error) {
-    console.error("❌ Admin action failed:", error.message);
-    process.exit(1);
+
+  } else if (contract === "BaseStaking") {
+    if (action === "set-reward-rate") {
+      const rate = parseInt(value);
+      tx = await contractInstance.setRewardRate(rate);
+      console.log(`📊 Setting reward rate to ${rate} basis points...`);
+
+    } else if (action === "emergency-withdraw") {
+      tx = await contractInstance.emergencyWithdraw();
+      console.log(`🚨 Emergency withdraw...`);
+
+    } else {
+      throw new Error(`Unknown BaseStaking action: ${action}`);
+    }
+
+  } else {
+    throw new Error(`Unknown contract: ${contract}`);
+  }
+
+  console.log(`⏳ Transaction: ${tx.hash}`);
+  await tx.wait();
+  console.log(`✅ Admin action completed successfully!`);
+
+  return {
+    network: hre.network.name,
+    admin: signer.address,
+    contract,
+    action,
+    value: value === undefined ? null : value,
+    transaction: tx.hash
+  };
+}
+
+function validateAdminAction(contract, action, value) {
+  const actions = ADMIN_ACTIONS[contract];
+  if (!actions) {
+    throw new Error(`Unknown contract: ${contract} (expected ${Object.keys(ADMIN_ACTIONS).join(", ")})`);
+  }
+  if (!actions[action]) {
+    throw new Error(`Unknown ${contract} action: ${action} (expected ${Object.keys(actions).join(", ")})`);
+  }
+
+  const kind = actions[action].value;
+  if (!kind) return;
+
+  if (value === undefined || value === "") {
+    throw new Error(`${action} requires --value <${kind}>`);
+  }
+  if (kind === "address" && !hre.ethers.isAddress(value)) {
+    throw new Error(`${action}: ${value} is not a valid address`);
+  }
+  if (kind === "amount" && !/^\d+(\.\d+)?$/.test(value)) {
+    throw new Error(`${action}: ${value} is not a valid token amount`);
+  }
+  if (kind === "rate" && !/^\d+$/.test(value)) {
+    throw new Error(`${action}: ${value} is not a whole number of basis points`);
   }
 }
 
-contractAdmin();
\ No newline at end of file
+module.exports = { contractAdmin };
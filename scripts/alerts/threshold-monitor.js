@@ -1,3 +1,4 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
 
 // Alert thresholds configuration
@@ -16,26 +17,27 @@ const THRESHOLDS = {
   }
 };
 
+/**
+ * Check every threshold and save any alerts raised.
+ * Run with `npx hardhat baselytics alerts`.
+ */
 async function monitorThresholds() {
   console.log("🚨 Threshold Monitoring System");
   console.log(`📍 Network: ${hre.network.name}`);
   console.log("=" .repeat(50));
   
-  try {
-    const contracts = await ContractLoader.loadAllContracts();
-    const alerts = await checkThresholds(contracts);
-    
-    if (alerts.length > 0) {
-      displayAlerts(alerts);
-      saveAlerts(alerts);
-    } else {
-      console.log("✅ All systems within normal parameters");
-    }
-    
-  } catch (error) {
-    console.error("❌ Threshold monitoring failed:", error.message);
-    process.exit(1);
+  const contracts = await ContractLoader.loadAllContracts();
+  const alerts = await checkThresholds(contracts);
+  const result = { network: hre.network.name, alertCount: alerts.length, alerts };
+  
+  if (alerts.length > 0) {
+    displayAlerts(alerts);
+    result.file = saveAlerts(alerts);
+  } else {
+    console.log("✅ All systems within normal parameters");
   }
+  
+  return result;
 }
 
 async function checkThresholds(contracts) {
@@ -63,7 +65,7 @@ async function checkThresholds(contracts) {
   // Token Threshold Checks
   if (contracts.BaseToken) {
     const totalSupply = await contracts.BaseToken.totalSupply();
-    const maxSupply = await contracts.BaseToken.maxSupply();
+    const maxSupply = await contracts.BaseToken.MAX_SUPPLY();
     const utilization = Number((totalSupply * 100n) / maxSupply);
     
     if (utilization > THRESHOLDS.token.maxSupplyUtilization) {
@@ -146,17 +148,14 @@ function saveAlerts(alerts) {
   );
   
   console.log(`💾 Alerts saved to alerts/${filename}`);
+  return `alerts/${filename}`;
 }
 
 // Configuration display
 function showConfiguration() {
   console.log("⚙️  Alert Thresholds Configuration:");
   console.log(JSON.stringify(THRESHOLDS, null, 2));
+  return THRESHOLDS;
 }
 
-// Main execution
-if (process.argv[2] === "config") {
-  showConfiguration();
-} else {
-  monitorThresholds();
-}
\ No newline at end of file
+module.exports = { monitorThresholds, showConfiguration };
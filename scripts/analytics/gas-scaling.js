@@ -0,0 +1,246 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  getVariableSlot,
+  mappingSlot,
+  shortString,
+  setStorage,
+  seedArray,
+  estimateGas,
+  maxEntriesUnderLimit
+} = require("../utils/gas-scaling");
+
+const { parseEther, solidityPackedKeccak256, ZeroAddress } = hre.ethers;
+const DEFAULT_SIZES = [10, 100, 1000, 10000];
+// History entries are dated from here on, one minute apart
+const FIRST_TIMESTAMP = 1600000000;
+
+/**
+ * Histories that grow without bound, keyed by contract.variable. Each setup
+ * deploys the contract with one account's history ready to grow and lists
+ * the reads and writes whose gas may depend on its length. Histories are
+ * grown by writing storage directly, which makes 10,000 entries cheap to
+ * build; the entries look like the ones the contracts push themselves.
+ */
+const HISTORIES = {
+  async "BalanceManager.balanceHistory"({ alice, bob }) {
+    const manager = await hre.ethers.deployContract("BalanceManager", ["Balance Token", "BAL", parseEther("1000000")]);
+    await manager.transfer(alice.address, parseEther("1000"));
+    const slot = mappingSlot("address", alice.address, await getVariableSlot("BalanceManager", "balanceHistory"));
+
+    return {
+      contract: manager,
+      grow: async (from, to) => seedArray(await manager.getAddress(), slot, from, to, i => [
+        parseEther("1000"), FIRST_TIMESTAMP + i * 60, shortString("Balance Check")
+      ]),
+      operations: [
+        { name: "getBalanceHistory (all)", method: "getBalanceHistory", args: [alice.address, 0] },
+        { name: "getBalanceHistory (latest 10)", method: "getBalanceHistory", args: [alice.address, 10] },
+        // Older than every entry, so the whole history is scanned
+        { name: "getBalanceAt (before first entry)", method: "getBalanceAt", args: [alice.address, 1] },
+        { name: "getAccountStats", method: "getAccountStats", args: [alice.address] },
+        { name: "checkBalance", method: "checkBalance", args: [alice.address] },
+        { name: "transfer", method: "transfer", args: [bob.address, parseEther("1")], from: alice },
+        { name: "updateBalance", method: "updateBalance", args: [alice.address, parseEther("900"), "Manual adjustment"] }
+      ]
+    };
+  },
+
+  async "BalanceTracker.balanceHistory"({ owner, alice }) {
+    const token = await hre.ethers.deployContract("BaseToken", ["Profile Token", "PRF", parseEther("1000000")]);
+    const tracker = await hre.ethers.deployContract("BalanceTracker");
+    const tokenAddress = await token.getAddress();
+    await tracker.addSupportedToken(tokenAddress);
+    await token.transfer(alice.address, parseEther("1000"));
+
+    const tokenSlot = mappingSlot("address", tokenAddress, await getVariableSlot("BalanceTracker", "balanceHistory"));
+    const slot = mappingSlot("address", alice.address, tokenSlot);
+
+    return {
+      contract: tracker,
+      grow: async (from, to) => seedArray(await tracker.getAddress(), slot, from, to, i => [
+        parseEther("1000"), FIRST_TIMESTAMP + i * 60, shortString("Balance Check")
+      ]),
+      operations: [
+        { name: "getBalanceHistory (all)", method: "getBalanceHistory", args: [tokenAddress, alice.address, 0] },
+        { name: "getBalanceHistory (latest 10)", method: "getBalanceHistory", args: [tokenAddress, alice.address, 10] },
+        { name: "getBalanceAt (before first entry)", method: "getBalanceAt", args: [tokenAddress, alice.address, 1] },
+        { name: "getAccountStats", method: "getAccountStats", args: [tokenAddress, alice.address] },
+        { name: "checkBalance", method: "checkBalance", args: [tokenAddress, alice.address] },
+        { name: "recordBalanceUpdate", method: "recordBalanceUpdate", args: [tokenAddress, alice.address, "Reconciliation"] },
+        { name: "trackTransaction", method: "trackTransaction", args: [tokenAddress, owner.address, alice.address, parseEther("1"), "Payroll"] }
+      ]
+    };
+  },
+
+  async "BaseMarketplace.auctionBids"({ alice, bob, carol }) {
+    const nft = await hre.ethers.deployContract("BaseNFT", ["Profile NFT", "PNFT", "https://api.baselytics.com/nft/"]);
+    const marketplace = await hre.ethers.deployContract("BaseMarketplace");
+    const [nftAddress, marketplaceAddress] = [await nft.getAddress(), await marketplace.getAddress()];
+
+    await nft.ownerMint(alice.address, 1);
+    await nft.connect(alice).setApprovalForAll(marketplaceAddress, true);
+    await marketplace.connect(alice).createAuction(nftAddress, 1, parseEther("0.1"), 7 * 24 * 60 * 60, ZeroAddress);
+    await marketplace.connect(bob).placeBid(nftAddress, 1, { value: parseEther("1") });
+
+    const auctionId = solidityPackedKeccak256(["address", "uint256"], [nftAddress, 1]);
+    const slot = mappingSlot("bytes32", auctionId, await getVariableSlot("BaseMarketplace", "auctionBids"));
+
+    return {
+      contract: marketplace,
+      grow: async (from, to) => seedArray(marketplaceAddress, slot, from, to, i => [
+        BigInt(bob.address), parseEther("0.1") + BigInt(i), FIRST_TIMESTAMP + i * 60
+      ]),
+      operations: [
+        { name: "getAuctionBids", method: "getAuctionBids", args: [nftAddress, 1] },
+        { name: "placeBid", method: "placeBid", args: [nftAddress, 1], from: carol, value: parseEther("2") },
+        { name: "endAuction", method: "endAuction", args: [nftAddress, 1] }
+      ]
+    };
+  },
+
+  async "BaseGovernance.checkpoints"({ alice, bob }) {
+    const token = await hre.ethers.deployContract("BaseToken", ["Governance Token", "GOV", parseEther("1000000")]);
+    const governance = await hre.ethers.deployContract("BaseGovernance", [await token.getAddress()]);
+    const governanceAddress = await governance.getAddress();
+    await token.transfer(alice.address, parseEther("1000"));
+
+    const slot = mappingSlot("address", alice.address, await getVariableSlot("BaseGovernance", "checkpoints"));
+    const countSlot = mappingSlot("address", alice.address, await getVariableSlot("BaseGovernance", "numCheckpoints"));
+    let firstBlock;
+
+    const proposal = [
+      [await token.getAddress()],
+      [0],
+      ["transfer(address,uint256)"],
+      [hre.ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [bob.address, 1])],
+      "Scaling probe",
+      "Proposal used to measure gas"
+    ];
+
+    return {
+      contract: governance,
+      grow: async (from, to) => {
+        // Checkpoints must lie in the past, one block apart
+        await hre.network.provider.send("hardhat_mine", [hre.ethers.toQuantity(to - from + 1)]);
+        firstBlock = firstBlock || (await hre.ethers.provider.getBlockNumber()) - to;
+
+        // Checkpoint { uint32 fromBlock; uint224 votes } packs into one word
+        await seedArray(governanceAddress, slot, from, to, i => [
+          (parseEther("1000") << 32n) | BigInt(firstBlock + i)
+        ]);
+        await setStorage(governanceAddress, countSlot, to);
+      },
+      operations: [
+        // An early checkpoint, so the binary search runs its full depth
+        { name: "getVotes (binary search)", method: "getVotes", args: () => [alice.address, firstBlock + 1] },
+        { name: "getCurrentVotes", method: "getCurrentVotes", args: [alice.address] },
+        { name: "propose", method: "propose", args: proposal, from: alice },
+        { name: "delegate", method: "delegate", args: [alice.address], from: alice }
+      ]
+    };
+  }
+};
+
+function formatSize(size) {
+  return size.toLocaleString("en-US");
+}
+
+function printScaling(report) {
+  for (const history of report.histories) {
+    console.log(`\n📈 ${history.name}`);
+    console.log("-" .repeat(40 + 14 * report.sizes.length));
+    console.log(`${"Function".padEnd(40)}${report.sizes.map(size => `N=${formatSize(size)}`.padStart(14)).join("")}`);
+
+    for (const operation of history.operations) {
+      const cells = operation.points.map(point => {
+        if (point.exceedsLimit) return "> limit";
+        if (point.error) return "REVERTS";
+        return point.gasUsed.toLocaleString("en-US");
+      });
+      console.log(`${operation.name.padEnd(40)}${cells.map(cell => cell.padStart(14)).join("")}`);
+    }
+
+    for (const operation of history.operations) {
+      const error = operation.points.find(point => point.error);
+      if (operation.exceedsAt) {
+        console.log(`🔴 ${operation.name} exceeds the block gas limit at ${formatSize(operation.exceedsAt)} entries`);
+      } else if (Number.isFinite(operation.maxEntries)) {
+        console.log(`🟡 ${operation.name} would exceed the block gas limit at ~${formatSize(operation.maxEntries)} entries`);
+      }
+      if (error) {
+        console.log(`❌ ${operation.name} reverts: ${error.error}`);
+      }
+    }
+  }
+}
+
+/**
+ * Grow each history to every size in `sizes` on the in-process hardhat
+ * network, estimate the gas of the reads and writes that depend on it and
+ * flag the ones over `blockGasLimit` (default: the chain's). Saves the
+ * report to `out` (default reports/gas-scaling-<timestamp>.json).
+ */
+async function analyzeGasScaling({ sizes = DEFAULT_SIZES, blockGasLimit, out } = {}) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Gas scaling runs on the in-process hardhat network, not ${hre.network.name}`);
+  }
+
+  sizes = [...sizes].sort((a, b) => a - b);
+  blockGasLimit = blockGasLimit || Number((await hre.ethers.provider.getBlock("latest")).gasLimit);
+
+  console.log("📈 Gas Scaling Analysis");
+  console.log(`📏 History sizes: ${sizes.map(formatSize).join(", ")}`);
+  console.log(`⛽ Block gas limit: ${formatSize(blockGasLimit)}`);
+  console.log("=" .repeat(60));
+
+  const [owner, alice, bob, carol] = await hre.ethers.getSigners();
+  const report = { generatedAt: new Date().toISOString(), sizes, blockGasLimit, histories: [] };
+
+  for (const [name, setup] of Object.entries(HISTORIES)) {
+    console.log(`🔬 Growing ${name}...`);
+    const history = await setup({ owner, alice, bob, carol });
+    const operations = history.operations.map(operation => ({ ...operation, points: [] }));
+    let size = 0;
+
+    for (const target of sizes) {
+      await history.grow(size, target);
+      size = target;
+
+      for (const operation of operations) {
+        const args = typeof operation.args === "function" ? operation.args() : operation.args;
+        const estimate = await estimateGas(history.contract, operation.method, args, operation);
+        const exceedsLimit = estimate.exceedsLimit || estimate.gasUsed > blockGasLimit;
+        operation.points.push({ size: target, ...estimate, ...(exceedsLimit && { exceedsLimit }) });
+      }
+    }
+
+    report.histories.push({
+      name,
+      operations: operations.map(operation => {
+        const exceeding = operation.points.find(point => point.exceedsLimit);
+        return {
+          name: operation.name,
+          points: operation.points,
+          exceedsAt: exceeding ? exceeding.size : null,
+          maxEntries: exceeding ? null : maxEntriesUnderLimit(operation.points, blockGasLimit)
+        };
+      })
+    });
+  }
+
+  printScaling(report);
+
+  const file = out
+    ? path.resolve(out)
+    : path.join(__dirname, "../../reports", `gas-scaling-${Date.now()}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Infinity (gas does not grow) is saved as null
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  console.log(`\n💾 Report saved to ${path.relative(process.cwd(), file)}`);
+
+  return { ...report, file: path.relative(process.cwd(), file) };
+}
+
+module.exports = { analyzeGasScaling, HISTORIES };
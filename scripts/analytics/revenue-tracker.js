@@ -1,20 +1,28 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
+const { EventStore } = require("../utils/event-store");
 
+const { ZeroAddress, parseUnits, formatUnits } = hre.ethers;
+// Stored amounts are decimal strings in their token's units; summing them
+// at 18 decimals is exact for every token with 18 decimals or fewer
+const SUM_DECIMALS = 18;
+
+/**
+ * Print on-chain revenue metrics and the fees and sales recorded in the
+ * event store (see `npx hardhat baselytics backfill`).
+ * Run with `npx hardhat baselytics revenue`.
+ */
 async function trackRevenue() {
   console.log("💰 Revenue Tracking Analysis");
   console.log(`📍 Network: ${hre.network.name}`);
   console.log("=" .repeat(50));
   
-  try {
-    const contracts = await ContractLoader.loadAllContracts();
-    const revenue = await calculateRevenue(contracts);
-    
-    displayRevenue(revenue);
-    
-  } catch (error) {
-    console.error("❌ Revenue tracking failed:", error.message);
-    process.exit(1);
-  }
+  const contracts = await ContractLoader.loadAllContracts();
+  const revenue = await calculateRevenue(contracts);
+  
+  displayRevenue(revenue);
+  
+  return revenue;
 }
 
 async function calculateRevenue(contracts) {
@@ -42,7 +50,6 @@ async function calculateRevenue(contracts) {
   // Token Distribution (if applicable)
   if (contracts.BaseToken) {
     const totalSupply = await contracts.BaseToken.totalSupply();
-    const maxSupply = await contracts.BaseToken.maxSupply();
     const owner = await contracts.BaseToken.owner();
     const ownerBalance = await contracts.BaseToken.balanceOf(owner);
     
@@ -66,9 +73,69 @@ async function calculateRevenue(contracts) {
     };
   }
   
+  const eventRevenue = loadEventRevenue(contracts);
+  if (eventRevenue) {
+    revenue.sources.events = eventRevenue;
+  }
+  
   return revenue;
 }
 
+/**
+ * Fees and sales from the stored events of the active deployment, per
+ * payment token: marketplace sales and fees, DEX swap fees, settled auctions
+ * and NFT mints. Null without an event store.
+ */
+function loadEventRevenue(contracts) {
+  const store = EventStore.openExisting();
+  if (!store) return null;
+  
+  try {
+    return summarizeEventRevenue(store, contracts, ContractLoader.getDeploymentBlock());
+  } finally {
+    store.close();
+  }
+}
+
+function summarizeEventRevenue(store, contracts, fromBlock) {
+  const tokenNames = new Map([[ZeroAddress, "ETH"]]);
+  for (const [name, contract] of Object.entries(contracts)) {
+    tokenNames.set(hre.ethers.getAddress(contract.target), name);
+  }
+  const tokenName = (address) => tokenNames.get(hre.ethers.getAddress(address)) || address;
+  
+  const sales = store.query({ contract: "BaseMarketplace", event: "ItemSold", fromBlock });
+  // AuctionEnded does not name the payment token, so auctions are only counted
+  const auctions = store.query({ contract: "BaseMarketplace", event: "AuctionEnded", fromBlock });
+  const marketplaceFees = store.query({ contract: "BaseMarketplace", event: "FeeCollected", fromBlock });
+  const dexFees = store.query({ contract: "BaseDEX", event: "FeeCollected", fromBlock });
+  const mints = store.query({ contract: "BaseNFT", event: "Transfer", address: ZeroAddress, fromBlock })
+    .filter(entry => entry.data.from === ZeroAddress);
+  
+  return {
+    fromBlock: fromBlock === undefined ? null : fromBlock,
+    marketplaceSales: sales.length,
+    marketplaceVolume: sumByToken(sales, entry => [tokenName(entry.data.paymentToken), entry.data.price]),
+    auctionsSettled: auctions.length,
+    marketplaceFees: sumByToken(marketplaceFees, entry => [tokenName(entry.data.paymentToken), entry.data.amount]),
+    dexFees: sumByToken(dexFees, entry => [tokenName(entry.data.token), entry.data.amount]),
+    nftMints: mints.length
+  };
+}
+
+// { token: total } of the [token, amount] pairs `select` picks from `entries`
+function sumByToken(entries, select) {
+  const totals = {};
+  for (const entry of entries) {
+    const [token, amount] = select(entry);
+    totals[token] = (totals[token] || 0n) + parseUnits(amount, SUM_DECIMALS);
+  }
+  
+  return Object.fromEntries(
+    Object.entries(totals).map(([token, total]) => [token, formatUnits(total, SUM_DECIMALS)])
+  );
+}
+
 function displayRevenue(revenue) {
   console.log("\n💰 Revenue Sources:");
   
@@ -98,6 +165,17 @@ function displayRevenue(revenue) {
     console.log(`   Engagement: ${staking.engagementMetric}`);
   }
   
+  if (revenue.sources.events) {
+    const events = revenue.sources.events;
+    const amounts = (totals) => Object.entries(totals).map(([token, total]) => `${total} ${token}`).join(", ") || "none";
+    console.log(`\n📜 From Stored Events${events.fromBlock === null ? "" : ` (since block ${events.fromBlock})`}:`);
+    console.log(`   Marketplace Sales: ${events.marketplaceSales} (${amounts(events.marketplaceVolume)})`);
+    console.log(`   Auctions Settled: ${events.auctionsSettled}`);
+    console.log(`   Marketplace Fees: ${amounts(events.marketplaceFees)}`);
+    console.log(`   DEX Fees: ${amounts(events.dexFees)}`);
+    console.log(`   NFT Mints: ${events.nftMints}`);
+  }
+  
   // Calculate total ETH revenue
   let totalETH = 0;
   if (revenue.sources.nft) {
@@ -105,8 +183,12 @@ function displayRevenue(revenue) {
   }
   
   console.log(`\n📊 Summary:`);
-  console.log(`   Total ETH Revenue: ${totalETH.toFixed(4)} ETH`);
+  console.log(`   Total ETH Revenue: ${totalETH.toFixed(4)} ETH (NFT contract balance)`);
+  // Fees collected over time, not a balance: reported apart from the total
+  if (revenue.sources.events && revenue.sources.events.marketplaceFees.ETH) {
+    console.log(`   Marketplace ETH Fees: ${revenue.sources.events.marketplaceFees.ETH} ETH (stored events)`);
+  }
   console.log(`   Timestamp: ${revenue.timestamp}`);
 }
 
-trackRevenue();
\ No newline at end of file
+module.exports = { trackRevenue, loadEventRevenue };
@@ -1,26 +1,26 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
+const { EventStore } = require("../utils/event-store");
 const fs = require("fs");
 const path = require("path");
 
-async function generateUsageStats() {
-  const timeframe = process.argv[2] || "24h"; // 24h, 7d, 30d
-  
+/**
+ * Collect, print and save usage statistics for `timeframe`.
+ * Run with `npx hardhat baselytics stats [--timeframe 7d]`.
+ */
+async function generateUsageStats(timeframe = "24h") {
   console.log("📊 Generating Usage Statistics");
   console.log(`📍 Network: ${hre.network.name}`);
   console.log(`⏰ Timeframe: ${timeframe}`);
   console.log("=" .repeat(50));
   
-  try {
-    const contracts = await ContractLoader.loadAllContracts();
-    const stats = await collectStats(contracts, timeframe);
-    
-    displayStats(stats);
-    saveStats(stats, timeframe);
-    
-  } catch (error) {
-    console.error("❌ Stats generation failed:", error.message);
-    process.exit(1);
-  }
+  const contracts = await ContractLoader.loadAllContracts();
+  const stats = await collectStats(contracts, timeframe);
+  
+  displayStats(stats);
+  stats.file = saveStats(stats, timeframe);
+  
+  return stats;
 }
 
 async function collectStats(contracts, timeframe) {
@@ -34,7 +34,7 @@ async function collectStats(contracts, timeframe) {
   // BaseToken Stats
   if (contracts.BaseToken) {
     const totalSupply = await contracts.BaseToken.totalSupply();
-    const maxSupply = await contracts.BaseToken.maxSupply();
+    const maxSupply = await contracts.BaseToken.MAX_SUPPLY();
     
     stats.contracts.BaseToken = {
       totalSupply: ContractLoader.formatEther(totalSupply),
@@ -65,7 +65,7 @@ async function collectStats(contracts, timeframe) {
     stats.contracts.BaseStaking = {
       totalStaked: ContractLoader.formatEther(totalStaked),
       rewardRate: rewardRate.toString() + " basis points",
-      stakingAPY: (rewardRate * 365 / 100).toString() + "%"
+      stakingAPY: (Number(rewardRate) * 365 / 100).toString() + "%"
     };
   }
   
@@ -78,22 +78,25 @@ async function collectStats(contracts, timeframe) {
   return stats;
 }
 
+/**
+ * Event counts of the active deployment's contracts within `timeframe`,
+ * per contract and per event. Null without an event store.
+ */
 function loadEventStats(timeframe) {
-  const logsDir = path.join(__dirname, "../../logs");
-  if (!fs.existsSync(logsDir)) return null;
-  
-  const files = fs.readdirSync(logsDir)
-    .filter(f => f.startsWith(`events-${hre.network.name}`) && f.endsWith('.json'));
-  
-  if (files.length === 0) return null;
-  
-  // Load latest event log
-  const latestFile = files.sort().reverse()[0];
-  const events = JSON.parse(fs.readFileSync(path.join(logsDir, latestFile), 'utf8'));
-  
-  // Filter by timeframe
-  const cutoffTime = getTimeframeCutoff(timeframe);
-  const recentEvents = events.filter(e => new Date(e.timestamp) > cutoffTime);
+  const store = EventStore.openExisting();
+  if (!store) return null;
+
+  let recentEvents;
+  try {
+    recentEvents = store.query({
+      contract: Object.keys(ContractLoader.getDeployment().contracts),
+      fromBlock: ContractLoader.getDeploymentBlock(),
+      fromTime: getTimeframeCutoff(timeframe)
+    });
+  } finally {
+    // Saves the index records replayed on open, so the next run skips them
+    store.close();
+  }
   
   // Aggregate event stats
   const eventStats = {
@@ -173,6 +176,7 @@ function saveStats(stats, timeframe) {
   );
   
   console.log(`\n💾 Stats saved to reports/${filename}`);
+  return `reports/${filename}`;
 }
 
-generateUsageStats();
\ No newline at end of file
+module.exports = { generateUsageStats };
@@ -1,6 +1,10 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const DeploymentManifest = require("./utils/deployment-manifest");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { getCompilerConfig } = require("./utils/deployment-metadata");
+const { isDryRun, getTargetNetwork, dryRun } = require("./utils/dry-run");
+const { runChecks, printCheckResults } = require("./utils/post-deploy-checks");
+const { deployManifestContract, runConfigurationSteps } = require("./utils/contract-deployer");
 
 // Deployment batches for organized deployment
 const DEPLOYMENT_BATCHES = {
@@ -10,94 +14,38 @@ const DEPLOYMENT_BATCHES = {
   utilities: ["BalanceManager", "BalanceTracker", "BaseMarketplace"]
 };
 
-const CONTRACT_CONFIGS = {
-  BaseToken: {
-    args: () => ["BaseLytics Token", "BLT", hre.ethers.parseEther("1000000")]
-  },
-  BaseNFT: {
-    args: () => ["BaseLytics NFT", "BLNFT", "https://api.baselytics.com/nft/"]
-  },
-  BaseStaking: {
-    dependencies: ["BaseToken"],
-    args: (deps) => [deps.BaseToken]
-  },
-  BalanceManager: {
-    args: () => ["Balance Manager Token", "BMT", hre.ethers.parseEther("500000")]
-  },
-  BalanceTracker: {
-    args: () => []
-  },
-  BaseDEX: {
-    args: () => []
-  },
-  BaseMarketplace: {
-    args: () => []
-  },
-  BaseVesting: {
-    dependencies: ["BaseToken"],
-    args: (deps) => [deps.BaseToken]
-  },
-  BaseGovernance: {
-    dependencies: ["BaseToken"],
-    args: (deps) => [deps.BaseToken]
-  }
-};
-
-async function deployContract(contractName, args, deployer) {
-  console.log(`\n🚀 Deploying ${contractName}...`);
-  
-  const Contract = await hre.ethers.getContractFactory(contractName);
-  
-  // Estimate gas
-  const deployTx = await Contract.getDeployTransaction(...args);
-  const gasEstimate = await hre.ethers.provider.estimateGas(deployTx);
-  console.log(`⛽ Estimated gas: ${gasEstimate.toString()}`);
-  
-  const contract = await Contract.deploy(...args);
-  await contract.waitForDeployment();
-  
-  const address = await contract.getAddress();
-  console.log(`✅ ${contractName} deployed to: ${address}`);
-  
-  return { contract, address };
-}
-
-async function deployBatch(batchName, deployedContracts = {}) {
+async function deployBatch(batchName, manifest, deployedContracts = {}, deploymentDetails = {}) {
   console.log(`\n📦 Deploying batch: ${batchName.toUpperCase()}`);
   console.log("=" .repeat(50));
   
-  const contracts = DEPLOYMENT_BATCHES[batchName];
+  const contracts = manifest.getDeploymentOrder(DEPLOYMENT_BATCHES[batchName]);
   const [deployer] = await hre.ethers.getSigners();
   
   for (const contractName of contracts) {
-    const config = CONTRACT_CONFIGS[contractName];
-    let args = [];
-    
-    if (config.dependencies) {
-      // Check if dependencies are deployed
-      for (const dep of config.dependencies) {
-        if (!deployedContracts[dep]) {
-          console.log(`❌ Dependency ${dep} not found for ${contractName}`);
-          process.exit(1);
-        }
+    // Check if dependencies are deployed
+    for (const dep of manifest.getDependencies(contractName)) {
+      if (!deployedContracts[dep]) {
+        console.log(`❌ Dependency ${dep} not found for ${contractName}`);
+        process.exit(1);
       }
-      args = config.args(deployedContracts);
-    } else {
-      args = config.args();
     }
     
-    const { address } = await deployContract(contractName, args, deployer);
+    const args = manifest.resolveArgs(contractName, deployedContracts);
+    const { address, details } = await deployManifestContract(manifest, contractName, args, deployer);
     deployedContracts[contractName] = address;
+    deploymentDetails[contractName] = details;
   }
   
+  await runConfigurationSteps(manifest, manifest.getConfigurationStepsFor(contracts), deployedContracts);
+  
   return deployedContracts;
 }
 
 async function main() {
-  const batchName = process.argv[2];
+  const batchName = process.argv.slice(2).find(arg => !arg.startsWith("--"));
   
   if (!batchName) {
-    console.log("Usage: npx hardhat run scripts/deploy-batch.js --network <network> <batch-name>");
+    console.log("Usage: npx hardhat run scripts/deploy-batch.js --network <network> <batch-name> [--dry-run]");
     console.log("Available batches:");
     Object.keys(DEPLOYMENT_BATCHES).forEach(batch => {
       console.log(`  ${batch}: ${DEPLOYMENT_BATCHES[batch].join(", ")}`);
@@ -111,65 +59,70 @@ async function main() {
     process.exit(1);
   }
   
+  const manifest = DeploymentManifest.load(getTargetNetwork());
+  
+  if (isDryRun()) {
+    const contracts = manifest.getDeploymentOrder(DEPLOYMENT_BATCHES[batchName]);
+    const existing = new DeploymentRegistry().getActive(getTargetNetwork());
+    await dryRun(manifest, contracts, manifest.getConfigurationStepsFor(contracts), existing ? existing.contracts : {});
+    return;
+  }
+  
   const [deployer] = await hre.ethers.getSigners();
   console.log("📝 Deploying with account:", deployer.address);
   console.log("💰 Balance:", hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address)), "ETH");
   
   // Load existing deployments
   let deployedContracts = {};
-  const existingDeployment = getLatestDeployment();
+  const deploymentDetails = {};
+  const existingDeployment = new DeploymentRegistry().getActive(hre.network.name);
   if (existingDeployment) {
-    deployedContracts = existingDeployment.contracts;
-    console.log("📋 Found existing deployments:", Object.keys(deployedContracts).join(", "));
+    deployedContracts = { ...existingDeployment.contracts };
+    Object.assign(deploymentDetails, existingDeployment.details);
+    console.log(`📋 Found existing deployments (${existingDeployment.id}):`, Object.keys(deployedContracts).join(", "));
   }
   
   // Deploy batch
-  deployedContracts = await deployBatch(batchName, deployedContracts);
+  deployedContracts = await deployBatch(batchName, manifest, deployedContracts, deploymentDetails);
+  
+  const checks = await runChecks(manifest, deployedContracts);
+  printCheckResults(checks);
   
   // Save deployment
-  saveDeployment(deployedContracts, deployer.address);
+  await saveDeployment(deployedContracts, deploymentDetails, deployer.address, checks);
   
   console.log(`\n🎉 Batch ${batchName} deployment completed!`);
   console.log("📋 Deployed contracts:");
   DEPLOYMENT_BATCHES[batchName].forEach(contract => {
     console.log(`  ${contract}: ${deployedContracts[contract]}`);
   });
-}
-
-function getLatestDeployment() {
-  const deploymentsDir = path.join(__dirname, "../deployments");
-  if (!fs.existsSync(deploymentsDir)) return null;
   
-  const files = fs.readdirSync(deploymentsDir)
-    .filter(f => f.startsWith(hre.network.name) && f.endsWith('.json'))
-    .sort()
-    .reverse();
-  
-  if (files.length === 0) return null;
-  
-  return JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]), 'utf8'));
+  if (checks.status === "failed") {
+    throw new Error("Post-deploy checks failed");
+  }
 }
 
-function saveDeployment(contracts, deployer) {
-  const deploymentsDir = path.join(__dirname, "../deployments");
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir, { recursive: true });
-  }
+async function saveDeployment(contracts, details, deployer, checks) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
   
   const deployment = {
     network: hre.network.name,
+    status: checks.status === "failed" ? "failed" : "completed",
     timestamp: new Date().toISOString(),
     deployer: deployer,
-    contracts: contracts
+    chainId: chainId.toString(),
+    compiler: getCompilerConfig(),
+    contracts: contracts,
+    details: details,
+    checks: checks.results
   };
   
-  const filename = `${hre.network.name}-${Date.now()}.json`;
-  fs.writeFileSync(
-    path.join(deploymentsDir, filename),
-    JSON.stringify(deployment, null, 2)
-  );
-  
-  console.log(`💾 Deployment saved to deployments/${filename}`);
+  const id = new DeploymentRegistry().save(deployment);
+  if (deployment.status === "failed") {
+    console.log(`💾 Deployment saved to deployments/${id}.json, marked failed and not activated`);
+  } else {
+    console.log(`💾 Deployment saved to deployments/${id}.json (now active)`);
+  }
 }
 
 main()
@@ -1,145 +1,92 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-// Contract deployment configurations
-const CONTRACTS = {
-  BaseToken: {
-    name: "BaseToken",
-    args: ["BaseLytics Token", "BLT", hre.ethers.parseEther("1000000")]
-  },
-  BaseNFT: {
-    name: "BaseNFT", 
-    args: ["BaseLytics NFT", "BLNFT", "https://api.baselytics.com/nft/"]
-  },
-  BaseStaking: {
-    name: "BaseStaking",
-    dependencies: ["BaseToken"]
-  },
-  BalanceManager: {
-    name: "BalanceManager",
-    args: ["Balance Manager Token", "BMT", hre.ethers.parseEther("500000")]
-  },
-  BalanceTracker: {
-    name: "BalanceTracker",
-    args: []
-  },
-  BaseDEX: {
-    name: "BaseDEX",
-    args: []
-  },
-  BaseMarketplace: {
-    name: "BaseMarketplace", 
-    args: []
-  },
-  BaseVesting: {
-    name: "BaseVesting",
-    dependencies: ["BaseToken"]
-  },
-  BaseGovernance: {
-    name: "BaseGovernance",
-    dependencies: ["BaseToken"]
-  }
-};
-
-async function deployContract(contractName, args = [], deployer) {
-  console.log(`\n🚀 Deploying ${contractName}...`);
-  
-  const Contract = await hre.ethers.getContractFactory(contractName);
-  const contract = await Contract.deploy(...args);
-  await contract.waitForDeployment();
-  
-  const address = await contract.getAddress();
-  console.log(`✅ ${contractName} deployed to: ${address}`);
-  
-  return { contract, address };
-}
+const DeploymentManifest = require("./utils/deployment-manifest");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { getCompilerConfig } = require("./utils/deployment-metadata");
+const { isDryRun, getTargetNetwork, dryRun } = require("./utils/dry-run");
+const { runChecks, printCheckResults } = require("./utils/post-deploy-checks");
+const { deployManifestContract, runConfigurationSteps } = require("./utils/contract-deployer");
 
 async function main() {
-  const contractName = process.argv[2];
+  const contractName = process.argv.slice(2).find(arg => !arg.startsWith("--"));
+  const manifest = DeploymentManifest.load(getTargetNetwork());
   
   if (!contractName) {
-    console.log("Usage: npx hardhat run scripts/deploy-individual.js --network <network> <contract-name>");
-    console.log("Available contracts:", Object.keys(CONTRACTS).join(", "));
+    console.log("Usage: npx hardhat run scripts/deploy-individual.js --network <network> <contract-name> [--dry-run]");
+    console.log("Available contracts:", manifest.getContractNames().join(", "));
     process.exit(1);
   }
   
-  if (!CONTRACTS[contractName]) {
-    console.log(`❌ Contract ${contractName} not found`);
-    console.log("Available contracts:", Object.keys(CONTRACTS).join(", "));
+  if (!manifest.hasContract(contractName)) {
+    console.log(`❌ Contract ${contractName} not found in manifests/${getTargetNetwork()}.json`);
+    console.log("Available contracts:", manifest.getContractNames().join(", "));
     process.exit(1);
   }
   
+  if (isDryRun()) {
+    const existing = new DeploymentRegistry().getActive(getTargetNetwork());
+    await dryRun(manifest, [contractName], manifest.getConfigurationStepsFor([contractName]), existing ? existing.contracts : {});
+    return;
+  }
+  
   const [deployer] = await hre.ethers.getSigners();
   console.log("📝 Deploying with account:", deployer.address);
   console.log("💰 Balance:", hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address)), "ETH");
   
-  const config = CONTRACTS[contractName];
-  let args = config.args || [];
+  const registry = new DeploymentRegistry();
+  const addresses = { ...(registry.getActive(hre.network.name) || { contracts: {} }).contracts };
   
   // Handle dependencies
-  if (config.dependencies) {
-    const deploymentFile = getLatestDeployment();
-    if (!deploymentFile) {
-      console.log("❌ No previous deployments found. Deploy dependencies first.");
+  for (const dep of manifest.getDependencies(contractName)) {
+    if (!addresses[dep]) {
+      console.log(`❌ Dependency ${dep} not found in deployments. Deploy dependencies first.`);
       process.exit(1);
     }
-    
-    for (const dep of config.dependencies) {
-      if (!deploymentFile.contracts[dep]) {
-        console.log(`❌ Dependency ${dep} not found in deployments`);
-        process.exit(1);
-      }
-      args.push(deploymentFile.contracts[dep]);
-    }
   }
   
-  const { address } = await deployContract(contractName, args, deployer);
+  const args = manifest.resolveArgs(contractName, addresses);
+  const { address, details } = await deployManifestContract(manifest, contractName, args, deployer);
+  addresses[contractName] = address;
+  
+  // Run configuration steps that involve the new contract
+  await runConfigurationSteps(manifest, manifest.getConfigurationStepsFor([contractName]), addresses);
+  
+  const checks = await runChecks(manifest, addresses);
+  printCheckResults(checks);
   
   // Save deployment
-  saveDeployment(contractName, address, deployer.address);
+  await saveDeployment(registry, contractName, address, details, deployer.address, checks);
   
   console.log(`\n🎉 ${contractName} deployment completed!`);
   console.log(`📋 Address: ${address}`);
   console.log(`🌐 Network: ${hre.network.name}`);
-}
-
-function getLatestDeployment() {
-  const deploymentsDir = path.join(__dirname, "../deployments");
-  if (!fs.existsSync(deploymentsDir)) return null;
-  
-  const files = fs.readdirSync(deploymentsDir)
-    .filter(f => f.startsWith(hre.network.name) && f.endsWith('.json'))
-    .sort()
-    .reverse();
-  
-  if (files.length === 0) return null;
   
-  return JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]), 'utf8'));
+  if (checks.status === "failed") {
+    throw new Error("Post-deploy checks failed");
+  }
 }
 
-function saveDeployment(contractName, address, deployer) {
-  const deploymentsDir = path.join(__dirname, "../deployments");
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir, { recursive: true });
-  }
+async function saveDeployment(registry, contractName, address, details, deployer, checks) {
+  const active = registry.getActive(hre.network.name) || { contracts: {}, details: {} };
+  const { chainId } = await hre.ethers.provider.getNetwork();
   
-  let deployment = getLatestDeployment() || {
+  const deployment = {
     network: hre.network.name,
-    contracts: {}
+    status: checks.status === "failed" ? "failed" : "completed",
+    timestamp: new Date().toISOString(),
+    deployer: deployer,
+    chainId: chainId.toString(),
+    compiler: getCompilerConfig(),
+    contracts: { ...active.contracts, [contractName]: address },
+    details: { ...active.details, [contractName]: details },
+    checks: checks.results
   };
   
-  deployment.contracts[contractName] = address;
-  deployment.timestamp = new Date().toISOString();
-  deployment.deployer = deployer;
-  
-  const filename = `${hre.network.name}-${Date.now()}.json`;
-  fs.writeFileSync(
-    path.join(deploymentsDir, filename),
-    JSON.stringify(deployment, null, 2)
-  );
-  
-  console.log(`💾 Deployment saved to deployments/${filename}`);
+  const id = registry.save(deployment);
+  if (deployment.status === "failed") {
+    console.log(`💾 Deployment saved to deployments/${id}.json, marked failed and not activated`);
+  } else {
+    console.log(`💾 Deployment saved to deployments/${id}.json (now active)`);
+  }
 }
 
 main()
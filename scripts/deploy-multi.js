@@ -0,0 +1,109 @@
+const path = require("path");
+const { spawnSync } = require("child_process");
+const hre = require("hardhat");
+const DeploymentManifest = require("./utils/deployment-manifest");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { buildReport, printReport, saveReport } = require("./utils/multi-network-report");
+
+const DEPLOY_SCRIPT = path.join(__dirname, "deploy.js");
+const PASSED_FLAGS = ["--dry-run", "--resume"];
+
+function checkNetworks(networks) {
+  for (const network of networks) {
+    if (!hre.config.networks[network]) {
+      throw new Error(`Network ${network} is not defined in hardhat.config.js`);
+    }
+    // Fails early on a missing manifest or a dependency cycle
+    const manifest = DeploymentManifest.load(network);
+    const order = manifest.getDeploymentOrder();
+    console.log(`📜 ${network}: ${order.length} contracts, params ${Object.keys(manifest.params).join(", ") || "none"}`);
+  }
+}
+
+/**
+ * Run deploy.js against `network` in its own process and return the
+ * deployment record it saved, if any.
+ */
+function deployTo(network, flags, registry) {
+  const before = new Set(registry.list(network).map(deployment => deployment.id));
+
+  const result = spawnSync(process.execPath, [DEPLOY_SCRIPT, ...flags], {
+    stdio: "inherit",
+    env: { ...process.env, HARDHAT_NETWORK: network }
+  });
+
+  const saved = registry.list(network).filter(deployment => !before.has(deployment.id)).pop();
+  const deployment = saved ? registry.get(saved.id) : null;
+
+  if (result.status !== 0) {
+    return {
+      network,
+      status: "failed",
+      deploymentId: saved ? saved.id : null,
+      deployment,
+      error: `deploy.js exited with code ${result.status}`
+    };
+  }
+
+  return {
+    network,
+    status: flags.includes("--dry-run") ? "rehearsed" : "completed",
+    deploymentId: saved ? saved.id : null,
+    deployment
+  };
+}
+
+async function main() {
+  const networks = process.argv.slice(2).filter(arg => !arg.startsWith("--"));
+  const flags = process.argv.slice(2).filter(arg => PASSED_FLAGS.includes(arg));
+  const dryRun = flags.includes("--dry-run");
+
+  if (networks.length === 0) {
+    console.log("Usage: node scripts/deploy-multi.js <network...> [--dry-run] [--resume]");
+    console.log("Example: node scripts/deploy-multi.js baseSepolia base");
+    process.exit(1);
+  }
+
+  console.log(`🌐 Deploying to ${networks.join(", ")}${dryRun ? " (dry run)" : ""}`);
+  console.log("=" .repeat(50));
+  checkNetworks(networks);
+
+  const registry = new DeploymentRegistry();
+  const results = [];
+
+  for (const network of networks) {
+    console.log(`\n🚀 [${results.length + 1}/${networks.length}] ${network}`);
+    console.log("=" .repeat(50));
+
+    const result = deployTo(network, flags, registry);
+    results.push(result);
+
+    // Later networks are not touched once one fails; a dry run rehearses all
+    if (result.status === "failed" && !dryRun) break;
+  }
+
+  const skipped = networks.slice(results.length);
+  skipped.forEach(network => results.push({ network, status: "skipped" }));
+
+  const failed = results.filter(result => result.status === "failed");
+
+  if (!dryRun) {
+    const report = buildReport(results);
+    printReport(report);
+    saveReport(report);
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Deployment failed on ${failed.map(result => result.network).join(", ")}` +
+      (skipped.length > 0 ? `; skipped ${skipped.join(", ")}` : ""));
+  }
+
+  console.log(`\n🎉 ${dryRun ? "Dry run" : "Deployment"} completed on ${networks.length} network(s)!`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Multi-network deployment failed:", error);
+    process.exit(1);
+  });
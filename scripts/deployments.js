@@ -0,0 +1,102 @@
+const DeploymentRegistry = require("./utils/deployment-registry");
+
+function showUsage() {
+  console.log("Usage: node scripts/deployments.js <command> [params]");
+  console.log("\nCommands:");
+  console.log("  list <network>                 - List deployments (* marks the active one)");
+  console.log("  show <deployment-id>           - Show a deployment record");
+  console.log("  history <network>              - Show activation history");
+  console.log("  activate <network> <id>        - Tag a deployment as active");
+  console.log("  rollback <network> [id]        - Reactivate the previous (or given) deployment");
+  console.log("  diff <from-id> <to-id>         - Compare two deployments");
+}
+
+function listDeployments(registry, network) {
+  const deployments = registry.list(network);
+  const activeId = registry.getActiveId(network);
+
+  console.log(`📋 Deployments on ${network}`);
+  console.log("=" .repeat(60));
+
+  if (deployments.length === 0) {
+    console.log("No deployments found");
+    return;
+  }
+
+  deployments.forEach(({ id, timestamp }) => {
+    const deployment = registry.get(id);
+    const marker = id === activeId ? "*" : " ";
+    const count = Object.keys(deployment.contracts).length;
+    const status = deployment.status === "failed" ? "  ❌ failed checks" : "";
+    console.log(`${marker} ${id.padEnd(32)} ${new Date(timestamp).toISOString()}  ${count} contracts${status}`);
+  });
+}
+
+function showHistory(registry, network) {
+  console.log(`🕘 Activation history for ${network}`);
+  console.log("=" .repeat(60));
+
+  const history = registry.getHistory(network);
+  if (history.length === 0) {
+    console.log("No activations recorded");
+    return;
+  }
+
+  history.forEach(entry => {
+    console.log(`${entry.activatedAt}  ${entry.reason.padEnd(9)} ${entry.previous || "-"} -> ${entry.id}`);
+  });
+}
+
+function showDiff(diff) {
+  console.log(`🔀 ${diff.from} -> ${diff.to}`);
+  console.log("=" .repeat(60));
+
+  diff.added.forEach(name => console.log(`➕ ${name}`));
+  diff.removed.forEach(name => console.log(`➖ ${name}`));
+
+  diff.changed.forEach(({ contract, changes }) => {
+    console.log(`🔸 ${contract}:`);
+    Object.entries(changes).forEach(([field, { from, to }]) => {
+      console.log(`   ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    });
+  });
+
+  console.log(`\n${diff.unchanged.length} unchanged, ${diff.changed.length} changed, ${diff.added.length} added, ${diff.removed.length} removed`);
+}
+
+function main() {
+  const [command, param1, param2] = process.argv.slice(2);
+  const registry = new DeploymentRegistry();
+
+  try {
+    if (command === "list" && param1) {
+      listDeployments(registry, param1);
+
+    } else if (command === "show" && param1) {
+      console.log(JSON.stringify(registry.get(param1), null, 2));
+
+    } else if (command === "history" && param1) {
+      showHistory(registry, param1);
+
+    } else if (command === "activate" && param1 && param2) {
+      registry.setActive(param1, param2);
+      console.log(`✅ ${param2} is now active on ${param1}`);
+
+    } else if (command === "rollback" && param1) {
+      const id = registry.rollback(param1, param2);
+      console.log(`⏪ Rolled back ${param1} to ${id}`);
+
+    } else if (command === "diff" && param1 && param2) {
+      showDiff(registry.diff(param1, param2));
+
+    } else {
+      showUsage();
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error("❌ Registry command failed:", error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,61 @@
+const hre = require("hardhat");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { getDriftStatus } = require("./utils/bytecode");
+
+const ICONS = {
+  "matches": "✅",
+  "source changed since deploy": "🔸",
+  "unknown code": "❌",
+  "no code": "❌"
+};
+
+async function main() {
+  const deploymentId = process.argv.slice(2).find(arg => !arg.startsWith("--"));
+  const strict = process.argv.includes("--strict");
+
+  const registry = new DeploymentRegistry();
+  const deployment = deploymentId ? registry.get(deploymentId) : registry.getActive(hre.network.name);
+  if (!deployment) {
+    throw new Error(`No active deployment found for network ${hre.network.name}`);
+  }
+
+  console.log(`🧬 Bytecode drift on ${hre.network.name}`);
+  console.log(`📋 Deployment: ${deployment.id}`);
+  console.log("=" .repeat(50));
+
+  const results = [];
+
+  for (const [name, address] of Object.entries(deployment.contracts)) {
+    const details = (deployment.details || {})[name] || {};
+
+    // Proxies are compared through their current implementation
+    const [artifactName, codeAddress] = details.proxy
+      ? [details.proxy.implementationContract, details.proxy.implementation]
+      : [details.contract || name, address];
+
+    const result = await getDriftStatus(artifactName, codeAddress, details);
+    results.push({ name, ...result });
+
+    const label = details.proxy ? `${name} (implementation)` : name;
+    const note = result.status === "matches" && !result.sameMetadata ? "  (metadata differs)" : "";
+    console.log(`${ICONS[result.status]} ${label.padEnd(30)} ${codeAddress}  ${result.status}${note}`);
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const unknown = count("unknown code") + count("no code");
+  const changed = count("source changed since deploy");
+
+  console.log("=" .repeat(50));
+  console.log(`${count("matches")} matching, ${changed} changed since deploy, ${unknown} unknown`);
+
+  if (unknown > 0 || (strict && changed > 0)) {
+    throw new Error("Deployed code does not match the artifacts");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Drift check failed:", error);
+    process.exit(1);
+  });
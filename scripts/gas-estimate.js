@@ -1,16 +1,7 @@
 const hre = require("hardhat");
+const DeploymentManifest = require("./utils/deployment-manifest");
 
-const CONTRACTS = [
-  "BaseToken",
-  "BaseNFT", 
-  "BaseStaking",
-  "BalanceManager",
-  "BalanceTracker",
-  "BaseDEX",
-  "BaseMarketplace",
-  "BaseVesting",
-  "BaseGovernance"
-];
+const PLACEHOLDER_ADDRESS = "0x0000000000000000000000000000000000000000";
 
 async function estimateGas() {
   console.log("⛽ Gas Estimation Report");
@@ -19,28 +10,16 @@ async function estimateGas() {
   const [deployer] = await hre.ethers.getSigners();
   let totalGas = 0n;
   
-  for (const contractName of CONTRACTS) {
+  const manifest = DeploymentManifest.load(hre.network.name);
+  const contractNames = manifest.getDeploymentOrder();
+  
+  // Dependencies are not deployed while estimating, so references resolve to a placeholder
+  const placeholders = Object.fromEntries(contractNames.map(name => [name, PLACEHOLDER_ADDRESS]));
+  
+  for (const contractName of contractNames) {
     try {
       const Contract = await hre.ethers.getContractFactory(contractName);
-      
-      // Get constructor args based on contract
-      let args = [];
-      switch (contractName) {
-        case "BaseToken":
-          args = ["BaseLytics Token", "BLT", hre.ethers.parseEther("1000000")];
-          break;
-        case "BaseNFT":
-          args = ["BaseLytics NFT", "BLNFT", "https://api.baselytics.com/nft/"];
-          break;
-        case "BalanceManager":
-          args = ["Balance Manager Token", "BMT", hre.ethers.parseEther("500000")];
-          break;
-        case "BaseStaking":
-        case "BaseVesting":
-        case "BaseGovernance":
-          args = ["0x0000000000000000000000000000000000000000"]; // placeholder
-          break;
-      }
+      const args = manifest.resolveArgs(contractName, placeholders);
       
       const deployTx = await Contract.getDeployTransaction(...args);
       const gasEstimate = await hre.ethers.provider.estimateGas(deployTx);
@@ -0,0 +1,67 @@
+const hre = require("hardhat");
+const DeploymentManifest = require("./utils/deployment-manifest");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { getHandoffPlan, runHandoff, verifyHandoff } = require("./utils/ownership-handoff");
+
+async function main() {
+  const checkOnly = process.argv.includes("--check");
+
+  const registry = new DeploymentRegistry();
+  const deployment = registry.getActive(hre.network.name);
+  if (!deployment) {
+    throw new Error(`No active deployment found for network ${hre.network.name}`);
+  }
+
+  const manifest = DeploymentManifest.load(hre.network.name);
+  const handoff = manifest.getHandoff();
+  if (!handoff) {
+    throw new Error(`No "handoff" section in ${manifest.source}`);
+  }
+
+  // Roles granted at construction are revoked from the original deployer
+  const plan = getHandoffPlan(manifest, handoff, deployment.deployer, deployment.details || {});
+
+  console.log(`🔐 Ownership handoff on ${hre.network.name}`);
+  console.log("=" .repeat(50));
+  console.log(`📋 Deployment: ${deployment.id}`);
+  console.log(`👤 Deployer: ${deployment.deployer}`);
+  console.log(`🏛️  New owner: ${handoff.owner}`);
+
+  if (checkOnly) {
+    const verification = await verifyHandoff(manifest, plan, deployment.contracts);
+    if (verification.status === "failed") {
+      throw new Error("Deployment is not fully handed off");
+    }
+    return;
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  console.log("📝 Sending with account:", signer.address);
+  console.log("");
+
+  await runHandoff(manifest, plan, deployment.contracts, signer);
+  const verification = await verifyHandoff(manifest, plan, deployment.contracts);
+
+  const { id, ...record } = deployment;
+  const newId = registry.save({
+    ...record,
+    status: verification.status === "failed" ? "failed" : "completed",
+    timestamp: new Date().toISOString(),
+    handoff: { ...handoff, from: id, status: verification.status, results: verification.results }
+  });
+
+  if (verification.status === "failed") {
+    console.log(`\n💾 Handoff recorded as ${newId}, marked failed and not activated`);
+    throw new Error("Ownership handoff verification failed");
+  }
+
+  console.log(`\n💾 Handoff recorded as ${newId} (now active)`);
+  console.log("\n🎉 Handoff completed successfully!");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Handoff failed:", error);
+    process.exit(1);
+  });
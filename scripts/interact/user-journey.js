@@ -1,7 +1,10 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
+const { getScriptArgs } = require("../utils/signers");
 
 async function userJourney() {
-  const scenario = process.argv[2] || "complete";
+  const args = getScriptArgs();
+  const scenario = args[0] || "complete";
   
   console.log("🚀 BaseLytics User Journey Simulation");
   console.log(`📍 Network: ${hre.network.name}`);
@@ -9,10 +12,10 @@ async function userJourney() {
   console.log("=" .repeat(50));
   
   try {
-    const baseToken = await ContractLoader.loadContract("BaseToken");
-    const baseNFT = await ContractLoader.loadContract("BaseNFT");
-    const baseStaking = await ContractLoader.loadContract("BaseStaking");
     const signer = await ContractLoader.getSigner();
+    const baseToken = await ContractLoader.loadContract("BaseToken", { signer });
+    const baseNFT = await ContractLoader.loadContract("BaseNFT", { signer });
+    const baseStaking = await ContractLoader.loadContract("BaseStaking", { signer });
     
     console.log(`👤 User: ${signer.address}`);
     
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const KEYSTORES_DIR = path.join(__dirname, "../keystores");
+
+function usage() {
+  console.log("Usage: node scripts/keystore.js <command> [name]");
+  console.log("Commands:");
+  console.log("  create <name>  - Encrypt a new random key to keystores/<name>.json");
+  console.log("  import <name>  - Encrypt KEYSTORE_PRIVATE_KEY to keystores/<name>.json");
+  console.log("  list           - Show stored keystores and their addresses");
+  console.log("\nKEYSTORE_PASSWORD encrypts new keystores; use them with --as keystore:<name>");
+}
+
+async function save(name, wallet) {
+  const password = process.env.KEYSTORE_PASSWORD;
+  if (!password) {
+    throw new Error("Set KEYSTORE_PASSWORD to encrypt the keystore");
+  }
+
+  const file = path.join(KEYSTORES_DIR, `${name}.json`);
+  if (fs.existsSync(file)) {
+    throw new Error(`Keystore ${name} already exists`);
+  }
+
+  fs.mkdirSync(KEYSTORES_DIR, { recursive: true });
+  fs.writeFileSync(file, await wallet.encrypt(password), { mode: 0o600 });
+
+  console.log(`🔑 Keystore ${name}: ${wallet.address}`);
+  console.log(`📁 Saved to keystores/${name}.json`);
+}
+
+async function main() {
+  const [command, name] = process.argv.slice(2);
+
+  if (command === "list") {
+    const files = fs.existsSync(KEYSTORES_DIR) ? fs.readdirSync(KEYSTORES_DIR).filter(file => file.endsWith(".json")) : [];
+    if (files.length === 0) {
+      console.log("No keystores found");
+      return;
+    }
+
+    for (const file of files) {
+      const { address } = JSON.parse(fs.readFileSync(path.join(KEYSTORES_DIR, file), "utf8"));
+      console.log(`🔑 ${path.basename(file, ".json").padEnd(20)} ${ethers.getAddress(address)}`);
+    }
+    return;
+  }
+
+  if (!["create", "import"].includes(command) || !name) {
+    usage();
+    process.exit(1);
+  }
+
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid keystore name "${name}" (letters, digits, "_" and "-" only)`);
+  }
+
+  if (command === "create") {
+    await save(name, ethers.Wallet.createRandom());
+  } else {
+    if (!process.env.KEYSTORE_PRIVATE_KEY) {
+      throw new Error("Set KEYSTORE_PRIVATE_KEY to the key to import");
+    }
+    await save(name, new ethers.Wallet(process.env.KEYSTORE_PRIVATE_KEY));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Keystore command failed:", error.message);
+    process.exit(1);
+  });
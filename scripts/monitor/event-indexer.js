@@ -0,0 +1,391 @@
+const hre = require("hardhat");
+const ContractLoader = require("../utils/contract-loader");
+const { EventDecoder, matchesFilter } = require("../utils/event-decoder");
+const { EventStore } = require("../utils/event-store");
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const MAX_CHUNK_SIZE = 10000;
+// Blocks an event waits before it is stored (about 10 seconds on Base)
+const DEFAULT_CONFIRMATIONS = 5;
+// What RPC providers answer when a getLogs call spans too many blocks or
+// returns too many logs (Alchemy, Infura, QuickNode, public Base endpoints)
+const RANGE_LIMIT_ERROR = /block range|range (is )?too (large|wide)|too many (blocks|results|logs)|limit exceeded|exceeds? (the )?(max|limit)|returned more than|response size|-32005|query timeout/i;
+
+function isRangeLimitError(error) {
+  const messages = [error.message, error.shortMessage, error.error && error.error.message, error.info && JSON.stringify(error.info)];
+  return messages.some(message => message && RANGE_LIMIT_ERROR.test(message));
+}
+
+/**
+ * Reads the events of a deployment's contracts from block ranges with
+ * getLogs and writes them to the event store (utils/event-store). Ranges are
+ * fetched in chunks that halve when the RPC rejects a range as too large and
+ * grow back after each success, up to the smallest size that failed.
+ *
+ * The cursor records the last block, and its hash, up to which the
+ * deployment's events are all logged; it moves only when a range continues
+ * from it. The live monitor and the backfill share the cursor, so either one
+ * picks up where the other stopped.
+ *
+ * Blocks newer than `confirmations` are only followed (see follow()): their
+ * events are held as pending and stored once they are deep enough. Each new
+ * block's parent hash is checked against the block before it; on a mismatch
+ * the indexer walks back to the newest block still on the chain, retracts
+ * the events of the blocks after it and reads the new chain again.
+ */
+class EventIndexer {
+  constructor(contracts, options = {}) {
+    this.network = options.network || hre.network.name;
+    this.deployment = options.deployment;
+    this.store = options.store || new EventStore(this.network);
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.maxChunkSize = Math.max(options.maxChunkSize || MAX_CHUNK_SIZE, this.chunkSize);
+    this.confirmations = options.confirmations === undefined ? DEFAULT_CONFIRMATIONS : options.confirmations;
+    this.filter = { include: options.include || [], exclude: options.exclude || [] };
+    this.subscriptions = this.subscribe(contracts);
+    // Blocks after the cursor that follow() has read: { number, hash }
+    this.tip = [];
+    this.pending = [];
+  }
+
+  subscribe(contracts) {
+    return Object.entries(contracts)
+      .map(([name, contract]) => {
+        const decoder = new EventDecoder(contract);
+        const fragments = decoder.getEventFragments().filter(fragment => matchesFilter(name, fragment.name, this.filter));
+        return {
+          name,
+          address: hre.ethers.getAddress(contract.target),
+          decoder,
+          topics: new Set(fragments.map(fragment => fragment.topicHash))
+        };
+      })
+      .filter(subscription => subscription.topics.size > 0);
+  }
+
+  get eventCount() {
+    return this.subscriptions.reduce((count, subscription) => count + subscription.topics.size, 0);
+  }
+
+  readCursor() {
+    const cursor = this.store.readCursor();
+    // A cursor left by an earlier deployment says nothing about this one
+    return cursor && cursor.deploymentId === this.deployment.id ? cursor : null;
+  }
+
+  getCursor() {
+    const cursor = this.readCursor();
+    return cursor ? cursor.blockNumber : null;
+  }
+
+  writeCursor(block) {
+    this.store.writeCursor({ deploymentId: this.deployment.id, blockNumber: block.number, blockHash: block.hash });
+  }
+
+  /**
+   * Earliest block the monitored contracts were deployed in, or null for
+   * records without block numbers
+   */
+  getDeploymentBlock() {
+    const details = this.deployment.details || {};
+    const blocks = this.subscriptions
+      .map(subscription => details[subscription.name] && details[subscription.name].blockNumber)
+      .filter(block => block !== undefined);
+    return blocks.length > 0 ? Math.min(...blocks) : null;
+  }
+
+  /**
+   * First block not logged yet: the one after the cursor, else the
+   * deployment block (null when neither is known)
+   */
+  getStartBlock() {
+    const cursor = this.getCursor();
+    return cursor !== null ? cursor + 1 : this.getDeploymentBlock();
+  }
+
+  /**
+   * Latest block deep enough to be stored
+   */
+  async getConfirmedBlock() {
+    return (await hre.ethers.provider.getBlockNumber()) - this.confirmations;
+  }
+
+  /**
+   * Log the events in blocks `fromBlock`..`toBlock`, calling `onEvents` with
+   * each chunk's entries. The range is taken as final: use it for blocks
+   * with enough confirmations.
+   */
+  async indexRange(fromBlock, toBlock, onEvents = () => {}) {
+    const result = { fromBlock, toBlock, chunks: 0, events: 0, added: 0 };
+    let from = fromBlock;
+
+    while (from <= toBlock) {
+      const to = Math.min(from + this.chunkSize - 1, toBlock);
+      let logs;
+
+      try {
+        logs = await this.getLogs(from, to);
+      } catch (error) {
+        if (!isRangeLimitError(error) || this.chunkSize === 1) throw error;
+
+        this.maxChunkSize = this.chunkSize - 1;
+        this.chunkSize = Math.max(1, Math.floor(this.chunkSize / 2));
+        console.log(`↘️  Blocks ${from}-${to} exceed the RPC's getLogs limit, retrying ${this.chunkSize} blocks at a time`);
+        continue;
+      }
+
+      const entries = await this.toEntries(logs);
+      result.added += this.store.append(entries);
+      await this.advanceCursor(from, to);
+      onEvents(entries);
+
+      result.chunks++;
+      result.events += entries.length;
+      from = to + 1;
+      this.chunkSize = Math.min(this.chunkSize * 2, this.maxChunkSize);
+    }
+
+    return result;
+  }
+
+  async getLogs(fromBlock, toBlock) {
+    const topics = new Set(this.subscriptions.flatMap(subscription => [...subscription.topics]));
+
+    return hre.ethers.provider.getLogs({
+      address: this.subscriptions.map(subscription => subscription.address),
+      topics: [[...topics]],
+      fromBlock,
+      toBlock
+    });
+  }
+
+  async toEntries(logs) {
+    const blockTimes = new Map();
+    const entries = [];
+    if (this.chainId === undefined) {
+      this.chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    }
+
+    for (const log of logs) {
+      const subscription = this.subscriptions.find(candidate => candidate.address === hre.ethers.getAddress(log.address));
+      // Contracts share topics (ERC20 and ERC721 Transfer), so check per contract
+      if (!subscription || !subscription.topics.has(log.topics[0])) continue;
+
+      const decoded = await subscription.decoder.decodeLog(log);
+      if (!decoded) continue;
+
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await hre.ethers.provider.getBlock(log.blockNumber);
+        blockTimes.set(log.blockNumber, new Date(block.timestamp * 1000).toISOString());
+      }
+
+      entries.push({
+        chainId: this.chainId,
+        timestamp: blockTimes.get(log.blockNumber),
+        contract: subscription.name,
+        event: decoded.event,
+        data: decoded.data,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index
+      });
+    }
+
+    return entries;
+  }
+
+  async advanceCursor(fromBlock, toBlock) {
+    const cursor = this.getCursor();
+    const continues = cursor !== null ? fromBlock <= cursor + 1 : fromBlock <= (this.getDeploymentBlock() || 0);
+    if (!continues || (cursor !== null && toBlock <= cursor)) return;
+
+    this.writeCursor(await hre.ethers.provider.getBlock(toBlock));
+  }
+
+  /**
+   * Read the blocks after the last one followed up to `head`: hold their
+   * events until they have `confirmations` blocks on top, then store them.
+   * Reorgs are detected by parent hash and undone (see class docs).
+   *
+   * `handlers` are called with entries: onPending when first seen,
+   * onConfirmed when stored and onRetracted when a reorg removed them, from
+   * the pending events or from the log.
+   */
+  async follow(head, handlers = {}) {
+    if (!this.readCursor()) {
+      throw new Error("The event cursor is not set: index the confirmed blocks with indexRange() first");
+    }
+
+    let last = this.lastFollowed();
+    if (head < last.number) {
+      // The chain got shorter than what was read
+      await this.rewind(handlers);
+      last = this.lastFollowed();
+    }
+
+    const firstNew = last.number + 1;
+    for (let number = firstNew; number <= head; number++) {
+      const block = await hre.ethers.provider.getBlock(number);
+      // Cursors written before block hashes were recorded have none to compare
+      if (last.hash && block.parentHash !== last.hash) {
+        console.log(`🔀 Reorg detected at block ${number}: parent ${block.parentHash.slice(0, 10)}… instead of ${String(last.hash).slice(0, 10)}…`);
+        await this.rewind(handlers);
+        return this.follow(head, handlers);
+      }
+
+      last = { number: block.number, hash: block.hash };
+      this.tip.push(last);
+    }
+
+    if (firstNew <= head) {
+      const entries = await this.toEntries(await this.getLogs(firstNew, head));
+      // Logs read after the headers must come from the same blocks
+      const hashes = new Map(this.tip.map(block => [block.number, block.hash]));
+      if (entries.some(entry => entry.blockHash !== hashes.get(entry.blockNumber))) {
+        await this.rewind(handlers);
+        return this.follow(head, handlers);
+      }
+
+      this.pending.push(...entries);
+      if (handlers.onPending) handlers.onPending(entries);
+    }
+
+    this.confirm(head - this.confirmations, handlers);
+  }
+
+  // Newest block read: the top of the tip, else the cursor block
+  lastFollowed() {
+    if (this.tip.length > 0) return this.tip[this.tip.length - 1];
+
+    const cursor = this.readCursor();
+    return { number: cursor.blockNumber, hash: cursor.blockHash };
+  }
+
+  // Store the pending events of blocks up to `blockNumber` and move the cursor there
+  confirm(blockNumber, handlers = {}) {
+    const confirmedBlocks = this.tip.filter(block => block.number <= blockNumber);
+    if (confirmedBlocks.length === 0) return;
+
+    const confirmed = this.pending.filter(entry => entry.blockNumber <= blockNumber);
+    this.pending = this.pending.filter(entry => entry.blockNumber > blockNumber);
+    this.tip = this.tip.filter(block => block.number > blockNumber);
+
+    this.store.append(confirmed);
+    this.writeCursor(confirmedBlocks[confirmedBlocks.length - 1]);
+    if (handlers.onConfirmed) handlers.onConfirmed(confirmed);
+  }
+
+  /**
+   * Walk back to the newest block still on the chain and retract the events
+   * after it. Blocks already stored are checked through the cursor's hash,
+   * then through the hashes of the stored events.
+   */
+  async rewind(handlers = {}) {
+    while (this.tip.length > 0) {
+      const block = this.tip[this.tip.length - 1];
+      const current = await hre.ethers.provider.getBlock(block.number);
+      if (current && current.hash === block.hash) break;
+      this.tip.pop();
+    }
+
+    let forkBlock;
+    if (this.tip.length > 0) {
+      forkBlock = this.tip[this.tip.length - 1].number;
+    } else {
+      forkBlock = await this.rewindStore(handlers);
+    }
+
+    const retracted = this.pending.filter(entry => entry.blockNumber > forkBlock);
+    this.pending = this.pending.filter(entry => entry.blockNumber <= forkBlock);
+    if (retracted.length > 0 && handlers.onRetracted) handlers.onRetracted(retracted);
+
+    console.log(`↩️  Rewound to block ${forkBlock}`);
+    return forkBlock;
+  }
+
+  /**
+   * Check that the cursor block is still on the chain. When a reorg deeper
+   * than the confirmation depth replaced it, remove the stored events of the
+   * replaced blocks and move the cursor back to the newest stored event
+   * still on the chain. Returns the cursor block.
+   */
+  async rewindStore(handlers = {}) {
+    const cursor = this.readCursor();
+    if (!cursor) return null;
+
+    const current = await hre.ethers.provider.getBlock(cursor.blockNumber);
+    if (!cursor.blockHash || (current && current.hash === cursor.blockHash)) return cursor.blockNumber;
+
+    const deploymentBlock = this.getDeploymentBlock();
+    let forkBlock = deploymentBlock === null ? 0 : deploymentBlock - 1;
+    // Newest stored event first, one block at a time
+    let [entry] = this.store.query({ toBlock: cursor.blockNumber, order: "desc", limit: 1 });
+    while (entry) {
+      const block = await hre.ethers.provider.getBlock(entry.blockNumber);
+      if (block && block.hash === entry.blockHash) {
+        forkBlock = entry.blockNumber;
+        break;
+      }
+      [entry] = this.store.query({ toBlock: entry.blockNumber - 1, order: "desc", limit: 1 });
+    }
+
+    const retracted = this.store.remove({ fromBlock: forkBlock + 1 });
+    if (retracted.length > 0 && handlers.onRetracted) handlers.onRetracted(retracted);
+
+    this.writeCursor(await hre.ethers.provider.getBlock(forkBlock));
+    console.log(`🔀 Block ${cursor.blockNumber} was reorged out after being stored: removed ${retracted.length} events after block ${forkBlock}`);
+    return forkBlock;
+  }
+
+  close() {
+    this.store.close();
+  }
+}
+
+/**
+ * Log the deployment's past events from `fromBlock` (default: where the
+ * cursor or the deployment left off) to `toBlock` (default: the latest block
+ * with `confirmations` blocks on top). Run with
+ * `npx hardhat baselytics backfill --network <network>`.
+ */
+async function backfillEvents({ fromBlock, toBlock, chunkSize, confirmations, include, exclude } = {}) {
+  console.log("⏪ Event Backfill");
+  console.log(`📍 Network: ${hre.network.name}`);
+  console.log("=" .repeat(50));
+
+  const deployment = ContractLoader.getDeployment();
+  const contracts = await ContractLoader.loadAllContracts();
+  const indexer = new EventIndexer(contracts, { deployment, chunkSize, confirmations, include, exclude });
+
+  // A reorg while nothing was running may have replaced stored blocks
+  await indexer.rewindStore();
+
+  let start = fromBlock;
+  if (start === undefined) {
+    start = indexer.getStartBlock();
+    if (start === null) {
+      console.log(`⚠️  Deployment ${deployment.id} records no deployment blocks, scanning from block 0`);
+      start = 0;
+    }
+  }
+  const end = toBlock === undefined ? await indexer.getConfirmedBlock() : toBlock;
+
+  console.log(`📦 Deployment: ${deployment.id}`);
+  console.log(`🔎 Scanning blocks ${start}-${end} for ${indexer.eventCount} events of ${indexer.subscriptions.length} contracts`);
+
+  const result = start > end
+    ? { fromBlock: start, toBlock: end, chunks: 0, events: 0, added: 0 }
+    : await indexer.indexRange(start, end, entries => {
+      if (entries.length > 0) console.log(`   📝 ${entries.length} events up to block ${entries[entries.length - 1].blockNumber}`);
+    });
+
+  const cursor = indexer.getCursor();
+  indexer.close();
+  console.log(`\n✅ ${result.events} events found, ${result.added} new, in ${result.chunks} getLogs calls`);
+  console.log(cursor !== null ? `📌 Cursor at block ${cursor}` : "📌 Cursor not moved: the range does not continue from it");
+
+  return { network: hre.network.name, deploymentId: deployment.id, ...result, cursor };
+}
+
+module.exports = { EventIndexer, backfillEvents, isRangeLimitError, DEFAULT_CONFIRMATIONS };
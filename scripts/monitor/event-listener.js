@@ -1,111 +1,167 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
-const fs = require("fs");
-const path = require("path");
+const { EventIndexer } = require("./event-indexer");
+const { createSinkRouter } = require("./event-sinks");
 
+/**
+ * Follows every event in the ABI of each loaded contract and logs it
+ * decoded (see utils/event-decoder). `include` and `exclude` narrow the
+ * subscriptions to contracts or single events, e.g. ["BaseDEX",
+ * "BaseMarketplace.ItemSold"].
+ *
+ * Each new block is read with getLogs through the EventIndexer, so events
+ * land in the same log and move the same cursor as the backfill. Monitoring
+ * resumes from the cursor, or from the deployment block on a first run;
+ * records without deployment blocks start at the next block.
+ *
+ * An event is logged once its block has `confirmations` blocks on top
+ * (default 5). Events of blocks a reorg replaced are retracted: dropped
+ * while pending, removed from the log once stored. The replacing blocks'
+ * events are logged like any others.
+ *
+ * Logged and retracted events also go to the sinks of the `sinks` config
+ * file (see monitor/event-sinks): webhooks, rotating files, a local queue.
+ */
 class EventMonitor {
-  constructor() {
+  // With `json`, each event is printed as one JSON line (a stdout sink);
+  // retracted events are printed again with "removed": true
+  constructor(options = {}) {
     this.contracts = {};
-    this.listeners = [];
+    this.subscriptions = [];
     this.eventLog = [];
+    this.json = Boolean(options.json);
+    this.confirmations = options.confirmations;
+    this.filter = { include: options.include || [], exclude: options.exclude || [] };
+    this.sinks = createSinkRouter({ config: options.sinks, json: this.json });
+    this.indexing = Promise.resolve();
+    this.onBlock = (blockNumber) => this.indexNewBlocks(blockNumber);
+    this.handlers = {
+      onPending: entries => entries.forEach(entry => this.logPending(entry)),
+      onConfirmed: entries => entries.forEach(entry => this.logEvent(entry)),
+      onRetracted: entries => entries.forEach(entry => this.retractEvent(entry))
+    };
   }
-  
+
   async initialize() {
     console.log("🔍 Initializing Event Monitor...");
     console.log(`📍 Network: ${hre.network.name}`);
-    
+
     this.contracts = await ContractLoader.loadAllContracts();
-    this.setupEventListeners();
-    
+    const subscribed = this.setupEventListeners();
+
+    // A reorg while the monitor was down may have replaced stored blocks
+    await this.indexer.rewindStore(this.handlers);
+
+    const confirmed = await this.indexer.getConfirmedBlock();
+    const start = this.indexer.getStartBlock();
+    if (start !== null && start <= confirmed) {
+      console.log(`⏩ Catching up from block ${start} to ${confirmed}...`);
+      await this.indexer.indexRange(start, confirmed, this.handlers.onConfirmed);
+    }
+    if (this.indexer.getCursor() === null) {
+      // Nothing confirmed to catch up on: follow from the deployment block, or from now
+      const from = start === null ? confirmed : start - 1;
+      this.indexer.writeCursor(await hre.ethers.provider.getBlock(Math.max(from, 0)));
+    }
+
+    await this.indexNewBlocks(await hre.ethers.provider.getBlockNumber());
+    await hre.ethers.provider.on("block", this.onBlock);
+
     console.log("✅ Event monitoring started");
     console.log("📊 Monitoring contracts:", Object.keys(this.contracts).join(", "));
+    console.log(`👂 Subscribed to ${subscribed} events, logged after ${this.indexer.confirmations} confirmations`);
+    if (this.sinks.size > 0) {
+      console.log(`📤 Delivering events to ${this.sinks.routes.map(route => route.name).join(", ")}`);
+    }
   }
-  
+
   setupEventListeners() {
-    // BaseToken Events
-    if (this.contracts.BaseToken) {
-      this.contracts.BaseToken.on("Transfer", (from, to, value, event) => {
-        this.logEvent("BaseToken", "Transfer", { from, to, value: ContractLoader.formatEther(value) }, event);
-      });
-    }
-    
-    // BaseNFT Events
-    if (this.contracts.BaseNFT) {
-      this.contracts.BaseNFT.on("Transfer", (from, to, tokenId, event) => {
-        this.logEvent("BaseNFT", "Transfer", { from, to, tokenId: tokenId.toString() }, event);
-      });
+    this.warnUnknownFilters();
+    this.indexer = new EventIndexer(this.contracts, {
+      deployment: ContractLoader.getDeployment(),
+      confirmations: this.confirmations,
+      ...this.filter
+    });
+    this.subscriptions = this.indexer.subscriptions;
+
+    return this.indexer.eventCount;
+  }
+
+  // Filter entries that name no loaded contract or event are most likely typos
+  warnUnknownFilters() {
+    const known = new Set();
+    for (const [name, contract] of Object.entries(this.contracts)) {
+      known.add(name);
+      contract.interface.forEachEvent(fragment => known.add(`${name}.${fragment.name}`));
     }
-    
-    // BaseStaking Events
-    if (this.contracts.BaseStaking) {
-      this.contracts.BaseStaking.on("Staked", (user, amount, event) => {
-        this.logEvent("BaseStaking", "Staked", { user, amount: ContractLoader.formatEther(amount) }, event);
-      });
-      
-      this.contracts.BaseStaking.on("Unstaked", (user, amount, event) => {
-        this.logEvent("BaseStaking", "Unstaked", { user, amount: ContractLoader.formatEther(amount) }, event);
+
+    [...this.filter.include, ...this.filter.exclude]
+      .filter(entry => !known.has(entry))
+      .forEach(entry => console.log(`⚠️  Filter ${entry} matches no loaded contract or event`));
+  }
+
+  // Blocks are followed one call at a time, in order; a failed call is
+  // retried with the next block
+  indexNewBlocks(blockNumber) {
+    this.indexing = this.indexing
+      .then(() => this.indexer.follow(blockNumber, this.handlers))
+      .catch(error => {
+        console.log(`⚠️  Could not read events up to block ${blockNumber}: ${error.message}`);
       });
+
+    return this.indexing;
+  }
+
+  logPending(entry) {
+    if (!this.json) {
+      console.log(`⏳ ${entry.timestamp} | ${entry.contract}.${entry.event} | block ${entry.blockNumber}, waiting for ${this.indexer.confirmations} confirmations`);
     }
   }
-  
-  logEvent(contract, eventName, data, event) {
-    const timestamp = new Date().toISOString();
-    const logEntry = {
-      timestamp,
-      contract,
-      event: eventName,
-      data,
-      blockNumber: event.blockNumber,
-      transactionHash: event.transactionHash
-    };
-    
+
+  logEvent(logEntry) {
     this.eventLog.push(logEntry);
-    console.log(`📝 ${timestamp} | ${contract}.${eventName} | ${JSON.stringify(data)}`);
-    
-    // Save to file periodically
-    if (this.eventLog.length % 10 === 0) {
-      this.saveEventLog();
+    if (!this.json) {
+      console.log(`📝 ${logEntry.timestamp} | ${logEntry.contract}.${logEntry.event} | ${JSON.stringify(logEntry.data)}`);
     }
+    this.sinks.dispatch(logEntry);
   }
-  
-  saveEventLog() {
-    const logsDir = path.join(__dirname, "../../logs");
-    if (!fs.existsSync(logsDir)) {
-      fs.mkdirSync(logsDir, { recursive: true });
-    }
-    
-    const filename = `events-${hre.network.name}-${new Date().toISOString().split('T')[0]}.json`;
-    fs.writeFileSync(
-      path.join(logsDir, filename),
-      JSON.stringify(this.eventLog, null, 2)
+
+  retractEvent(entry) {
+    const logged = this.eventLog.findIndex(candidate =>
+      candidate.transactionHash === entry.transactionHash && candidate.logIndex === entry.logIndex
     );
+    if (logged >= 0) this.eventLog.splice(logged, 1);
+
+    if (!this.json) {
+      console.log(`↩️  ${entry.timestamp} | ${entry.contract}.${entry.event} | retracted, block ${entry.blockNumber} was reorged out`);
+    }
+    this.sinks.dispatch({ ...entry, removed: true });
   }
-  
-  stop() {
+
+  async stop() {
     console.log("🛑 Stopping event monitor...");
-    this.listeners.forEach(listener => listener.removeAllListeners());
-    this.saveEventLog();
+    await hre.ethers.provider.off("block", this.onBlock);
+    await this.indexing;
+    this.indexer.close();
+    return this.sinks.close();
   }
 }
 
-async function startMonitoring() {
-  const monitor = new EventMonitor();
-  
-  try {
-    await monitor.initialize();
-    
-    // Handle graceful shutdown
-    process.on('SIGINT', () => {
-      monitor.stop();
-      process.exit(0);
-    });
-    
-    // Keep the process running
-    console.log("Press Ctrl+C to stop monitoring");
-    
-  } catch (error) {
-    console.error("❌ Monitoring failed:", error.message);
-    process.exit(1);
-  }
+/**
+ * Log events until Ctrl+C.
+ * Run with `npx hardhat baselytics monitor [--json] [--sinks file] [--confirmations n] [--include ...] [--exclude ...]`.
+ */
+async function startMonitoring(options = {}) {
+  const monitor = new EventMonitor(options);
+  await monitor.initialize();
+
+  // Keep the process running until Ctrl+C
+  console.log("Press Ctrl+C to stop monitoring");
+
+  await new Promise(resolve => process.once("SIGINT", resolve));
+  const sinks = await monitor.stop();
+
+  return { network: hre.network.name, events: monitor.eventLog.length, lastBlock: monitor.indexer.getCursor(), sinks };
 }
 
-startMonitoring();
\ No newline at end of file
+module.exports = { EventMonitor, startMonitoring };
@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const hre = require("hardhat");
+const { matchesFilter } = require("../utils/event-decoder");
+const { LocalQueue, QUEUE_DIR } = require("../utils/local-queue");
+
+const LOGS_DIR = path.join(__dirname, "../../logs");
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Newline-delimited JSON on stdout, one line per event
+ */
+class StdoutSink {
+  write(entry) {
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * JSON lines appended to `path` (default logs/monitor-<network>.jsonl).
+ * Before a line would take the file past `maxBytes` (default 10 MB), it is
+ * renamed to <path>.1, older files move up to <path>.<maxFiles> (default 5)
+ * and the oldest is deleted.
+ */
+class FileSink {
+  constructor(options = {}, context = {}) {
+    this.file = options.path || path.join(LOGS_DIR, `monitor-${context.network}.jsonl`);
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 5;
+  }
+
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxBytes) this.rotate();
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, line);
+  }
+
+  rotate() {
+    fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+    }
+    fs.renameSync(this.file, `${this.file}.1`);
+  }
+}
+
+/**
+ * POSTs each event as JSON to `url`. With a secret (`secret`, or the
+ * environment variable named by `secretEnv`) the request is signed:
+ * X-Baselytics-Signature is "sha256=" and the hex HMAC-SHA256 of
+ * "<X-Baselytics-Timestamp>.<body>". X-Baselytics-Delivery identifies the
+ * event for receivers that deduplicate.
+ *
+ * Network errors, timeouts (`timeout`, default 10 s), 429 and 5xx answers
+ * are retried up to `retries` times (default 5), waiting `retryDelay` ms
+ * (default 1000) and twice as long after each attempt.
+ */
+class WebhookSink {
+  constructor(options = {}) {
+    if (!options.url) throw new Error("A webhook sink needs a url");
+    if (options.secretEnv && !process.env[options.secretEnv]) {
+      throw new Error(`The webhook secret variable ${options.secretEnv} is not set`);
+    }
+
+    this.url = options.url;
+    this.secret = options.secret || (options.secretEnv && process.env[options.secretEnv]);
+    this.headers = options.headers || {};
+    this.retries = options.retries === undefined ? 5 : options.retries;
+    this.retryDelay = options.retryDelay === undefined ? 1000 : options.retryDelay;
+    this.timeout = options.timeout || 10000;
+  }
+
+  sign(timestamp, body) {
+    return crypto.createHmac("sha256", this.secret).update(`${timestamp}.${body}`).digest("hex");
+  }
+
+  async write(entry) {
+    const body = JSON.stringify(entry);
+
+    for (let attempt = 0; ; attempt++) {
+      let retryable = true;
+      try {
+        const response = await this.post(entry, body);
+        if (response.ok) return;
+
+        retryable = response.status === 429 || response.status >= 500;
+        throw new Error(`${this.url} answered ${response.status} ${response.statusText}`);
+      } catch (error) {
+        if (!retryable || attempt >= this.retries) throw error;
+        await sleep(this.retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  post(entry, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      ...this.headers,
+      "Content-Type": "application/json",
+      "X-Baselytics-Event": `${entry.contract}.${entry.event}`,
+      "X-Baselytics-Delivery": `${entry.transactionHash}:${entry.logIndex}${entry.removed ? ":removed" : ""}`,
+      "X-Baselytics-Timestamp": timestamp
+    };
+    if (this.secret) headers["X-Baselytics-Signature"] = `sha256=${this.sign(timestamp, body)}`;
+
+    return fetch(this.url, { method: "POST", headers, body, signal: AbortSignal.timeout(this.timeout) });
+  }
+}
+
+/**
+ * Publishes each event to a local queue (utils/local-queue) in `dir`
+ * (default logs/queue) under `subject`, where {network}, {contract} and
+ * {event} are filled in (default "baselytics.{network}.{contract}.{event}").
+ */
+class QueueSink {
+  constructor(options = {}, context = {}) {
+    this.queue = new LocalQueue(options.dir || QUEUE_DIR);
+    this.subject = options.subject || "baselytics.{network}.{contract}.{event}";
+    this.network = context.network;
+  }
+
+  write(entry) {
+    const subject = this.subject
+      .replace("{network}", this.network)
+      .replace("{contract}", entry.contract)
+      .replace("{event}", entry.event);
+    this.queue.publish(subject, entry);
+  }
+}
+
+// Sink classes by config "type"; add a class here, or name a module in the
+// config, to plug in another destination
+const SINK_TYPES = {
+  stdout: StdoutSink,
+  file: FileSink,
+  webhook: WebhookSink,
+  queue: QueueSink
+};
+
+/**
+ * Delivers the monitor's events to sinks. A sink is an object with
+ * write(entry) and optionally close(); either may return a promise. Each
+ * sink takes its events in order, one at a time, without holding up the
+ * monitor or the other sinks. Events a sink fails to take (after its own
+ * retries) are appended to logs/sink-failures-<network>.jsonl.
+ *
+ * Entries are the stored events (see monitor/event-indexer); events a reorg
+ * retracted are delivered again with "removed": true.
+ */
+class SinkRouter {
+  constructor(routes = [], options = {}) {
+    this.network = options.network || hre.network.name;
+    this.failuresFile = options.failuresFile || path.join(LOGS_DIR, `sink-failures-${this.network}.jsonl`);
+    this.routes = routes.map(route => ({
+      name: route.name,
+      sink: route.sink,
+      filter: { include: route.include || [], exclude: route.exclude || [] },
+      delivery: Promise.resolve(),
+      delivered: 0,
+      failed: 0
+    }));
+  }
+
+  get size() {
+    return this.routes.length;
+  }
+
+  dispatch(entry) {
+    for (const route of this.routes) {
+      if (!matchesFilter(entry.contract, entry.event, route.filter)) continue;
+
+      route.delivery = route.delivery
+        .then(() => route.sink.write(entry))
+        .then(() => { route.delivered++; }, error => this.fail(route, entry, error));
+    }
+  }
+
+  fail(route, entry, error) {
+    route.failed++;
+    console.log(`⚠️  Sink ${route.name} could not take ${entry.contract}.${entry.event} (${entry.transactionHash}): ${error.message}`);
+
+    fs.mkdirSync(path.dirname(this.failuresFile), { recursive: true });
+    fs.appendFileSync(this.failuresFile, `${JSON.stringify({ sink: route.name, error: error.message, failedAt: new Date().toISOString(), entry })}\n`);
+  }
+
+  /**
+   * Wait for every sink to take the events dispatched so far, then close
+   * the sinks. Returns what each sink delivered.
+   */
+  async close() {
+    await Promise.all(this.routes.map(route => route.delivery));
+    for (const route of this.routes) {
+      if (route.sink.close) await route.sink.close();
+    }
+    return this.summary();
+  }
+
+  summary() {
+    return this.routes.map(({ name, delivered, failed }) => ({ name, delivered, failed }));
+  }
+}
+
+/**
+ * Sink routes from a config file:
+ *
+ *   { "sinks": [{ "type": "webhook", "url": "...", "include": ["BaseMarketplace.ItemSold"] }, ...] }
+ *
+ * `type` is a key of SINK_TYPES or the path of a module exporting a sink
+ * class; the other keys are the sink's options. `include` and `exclude`
+ * pick the events a sink gets, as for the monitor. Relative paths are
+ * resolved from the config file's directory.
+ */
+function loadSinkRoutes(configFile, context = {}) {
+  const file = path.resolve(configFile);
+  if (!fs.existsSync(file)) throw new Error(`Sink config ${configFile} not found`);
+
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(config.sinks)) throw new Error(`Invalid sink config ${configFile}: "sinks" must be a list`);
+
+  const baseDir = path.dirname(file);
+  const resolve = (value) => (value ? path.resolve(baseDir, value) : value);
+
+  return config.sinks.map((options, i) => {
+    const { type, name, include, exclude, ...sinkOptions } = options;
+    const isModule = typeof type === "string" && /^[./]/.test(type);
+    const SinkClass = isModule ? require(resolve(type)) : SINK_TYPES[type];
+    if (typeof SinkClass !== "function") {
+      throw new Error(`Invalid sink config ${configFile}: unknown sink type ${type} (expected ${Object.keys(SINK_TYPES).join(", ")} or a module path)`);
+    }
+
+    for (const key of ["path", "dir"]) {
+      if (sinkOptions[key]) sinkOptions[key] = resolve(sinkOptions[key]);
+    }
+
+    return { name: name || `${type}#${i + 1}`, sink: new SinkClass(sinkOptions, context), include, exclude };
+  });
+}
+
+/**
+ * Router for the monitor: the sinks of `config` (a file path), plus stdout
+ * with `json` unless the config already has a stdout sink
+ */
+function createSinkRouter({ config, json, network = hre.network.name } = {}) {
+  const routes = config ? loadSinkRoutes(config, { network }) : [];
+  if (json && !routes.some(route => route.sink instanceof StdoutSink)) {
+    routes.unshift({ name: "stdout", sink: new StdoutSink() });
+  }
+
+  return new SinkRouter(routes, { network });
+}
+
+module.exports = {
+  StdoutSink,
+  FileSink,
+  WebhookSink,
+  QueueSink,
+  SinkRouter,
+  SINK_TYPES,
+  loadSinkRoutes,
+  createSinkRouter
+};
@@ -1,116 +1,167 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
+const { sampleFeeHistory, loadSamples, appendSamples, getFeeLevels, getL1Fee } = require("../utils/fee-history");
 
-async function trackGasUsage() {
+const DEFAULT_SAMPLE_BLOCKS = 100;
+// About a day of Base blocks (2 seconds each)
+const DEFAULT_WINDOW_BLOCKS = 43200;
+const RECIPIENT = "0x0000000000000000000000000000000000000001";
+
+// Common operations whose cost is tracked
+const TRACKED_OPERATIONS = [
+  { contract: "BaseToken", method: "mint", args: () => [RECIPIENT, ContractLoader.parseEther("1000")], hint: "check permissions" },
+  { contract: "BaseToken", method: "transfer", args: () => [RECIPIENT, ContractLoader.parseEther("100")], hint: "check permissions" },
+  { contract: "BaseNFT", method: "mint", args: () => [], value: (nft) => nft.PRICE() },
+  { contract: "BaseStaking", method: "stake", args: () => [ContractLoader.parseEther("100")], hint: "check approvals" }
+];
+
+/**
+ * Sample fee history over the latest `blocks` blocks, store the samples in
+ * logs/gas-samples-<network>.jsonl and price each tracked operation at the
+ * p10/p50/p90 fee levels of the stored samples from the last `windowBlocks`
+ * blocks. On Base the L1 data fee is added to each cost.
+ * Run with `npx hardhat baselytics gas-track --network <network>`.
+ */
+async function trackGasUsage({ blocks = DEFAULT_SAMPLE_BLOCKS, windowBlocks = DEFAULT_WINDOW_BLOCKS } = {}) {
   console.log("⛽ Gas Usage Tracking");
   console.log(`📍 Network: ${hre.network.name}`);
   console.log("=" .repeat(50));
-  
-  try {
-    const contracts = await ContractLoader.loadAllContracts();
-    const gasData = await analyzeGasUsage(contracts);
-    
-    displayGasAnalysis(gasData);
-    
-  } catch (error) {
-    console.error("❌ Gas tracking failed:", error.message);
-    process.exit(1);
-  }
-}
 
-async function analyzeGasUsage(contracts) {
+  const feeData = await hre.ethers.provider.getFeeData();
+
+  const samples = await sampleFeeHistory(blocks);
+  const added = appendSamples(hre.network.name, samples);
+  const latestBlock = samples.length > 0 ? samples[samples.length - 1].block : await hre.ethers.provider.getBlockNumber();
+  const window = loadSamples(hre.network.name).filter(sample => sample.block > latestBlock - windowBlocks);
+  const levels = getFeeLevels(window);
+
+  console.log(`📥 Sampled ${samples.length} blocks (${added} new), pricing from ${window.length} stored samples`);
+
+  const contracts = await ContractLoader.loadAllContracts();
+  const signer = await ContractLoader.getSigner();
+  const estimates = await estimateOperations(contracts, signer, feeData);
+
   const gasData = {
     timestamp: new Date().toISOString(),
     network: hre.network.name,
-    gasPrice: await hre.ethers.provider.getGasPrice(),
-    estimates: {}
+    feeData: {
+      gasPrice: feeData.gasPrice,
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+    },
+    samples: { fetched: samples.length, added, used: window.length },
+    levels,
+    estimates: priceEstimates(estimates, levels)
   };
-  
-  // Estimate gas for common operations
-  if (contracts.BaseToken) {
-    try {
-      const mintGas = await contracts.BaseToken.mint.estimateGas(
-        "0x0000000000000000000000000000000000000001",
-        ContractLoader.parseEther("1000")
-      );
-      
-      const transferGas = await contracts.BaseToken.transfer.estimateGas(
-        "0x0000000000000000000000000000000000000001",
-        ContractLoader.parseEther("100")
-      );
-      
-      gasData.estimates.BaseToken = {
-        mint: mintGas.toString(),
-        transfer: transferGas.toString()
-      };
-    } catch (error) {
-      gasData.estimates.BaseToken = { error: "Estimation failed - check permissions" };
-    }
-  }
-  
-  if (contracts.BaseNFT) {
+
+  displayGasAnalysis(gasData);
+  return serialize(gasData);
+}
+
+async function estimateOperations(contracts, signer, feeData) {
+  const estimates = {};
+
+  for (const operation of TRACKED_OPERATIONS) {
+    const contract = contracts[operation.contract];
+    if (!contract) continue;
+
+    estimates[operation.contract] = estimates[operation.contract] || {};
+
     try {
-      const price = await contracts.BaseNFT.PRICE();
-      const mintGas = await contracts.BaseNFT.mint.estimateGas({ value: price });
-      
-      gasData.estimates.BaseNFT = {
-        mint: mintGas.toString()
-      };
+      const value = operation.value ? await operation.value(contract) : undefined;
+      const tx = await contract[operation.method].populateTransaction(...operation.args(), value === undefined ? {} : { value });
+      const gas = await hre.ethers.provider.estimateGas({ ...tx, from: signer.address });
+
+      const l1Fee = await getL1Fee({
+        ...tx,
+        gasLimit: gas,
+        nonce: await hre.ethers.provider.getTransactionCount(signer.address),
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      });
+
+      estimates[operation.contract][operation.method] = { gas, l1Fee };
     } catch (error) {
-      gasData.estimates.BaseNFT = { error: "Estimation failed" };
+      const hint = operation.hint ? ` - ${operation.hint}` : "";
+      estimates[operation.contract][operation.method] = { error: `Estimation failed${hint}` };
     }
   }
-  
-  if (contracts.BaseStaking) {
-    try {
-      const stakeGas = await contracts.BaseStaking.stake.estimateGas(
-        ContractLoader.parseEther("100")
-      );
-      
-      gasData.estimates.BaseStaking = {
-        stake: stakeGas.toString()
-      };
-    } catch (error) {
-      gasData.estimates.BaseStaking = { error: "Estimation failed - check approvals" };
+
+  return estimates;
+}
+
+// Cost of each estimate at every fee level: L2 execution plus the L1 data fee
+function priceEstimates(estimates, levels) {
+  const priced = {};
+
+  for (const [contract, operations] of Object.entries(estimates)) {
+    priced[contract] = {};
+
+    for (const [operation, estimate] of Object.entries(operations)) {
+      if (estimate.error) {
+        priced[contract][operation] = estimate;
+        continue;
+      }
+
+      const costs = Object.fromEntries(Object.entries(levels).map(([level, fees]) => [
+        level,
+        estimate.gas * fees.feePerGas + (estimate.l1Fee || 0n)
+      ]));
+      priced[contract][operation] = { ...estimate, costs };
     }
   }
-  
-  return gasData;
+
+  return priced;
+}
+
+function formatGwei(wei) {
+  return wei === null || wei === undefined ? "n/a" : `${parseFloat(hre.ethers.formatUnits(wei, "gwei")).toFixed(4)} gwei`;
+}
+
+function formatEth(wei) {
+  return `${parseFloat(ContractLoader.formatEther(wei)).toFixed(8)} ETH`;
 }
 
 function displayGasAnalysis(gasData) {
-  const gasPriceGwei = ContractLoader.formatEther(gasData.gasPrice * 1000000000n);
-  
-  console.log(`\n⛽ Current Gas Price: ${parseFloat(gasPriceGwei).toFixed(2)} gwei`);
-  
+  const { feeData, levels } = gasData;
+
+  console.log(`\n⛽ Current Gas Price: ${formatGwei(feeData.gasPrice)}`);
+  console.log(`   Max Fee: ${formatGwei(feeData.maxFeePerGas)}, Priority Fee: ${formatGwei(feeData.maxPriorityFeePerGas)}`);
+
+  console.log("\n📈 Fee Levels:");
+  for (const [level, fees] of Object.entries(levels)) {
+    console.log(`   ${level.padEnd(4)} base ${formatGwei(fees.baseFeePerGas).padStart(16)}  tip ${formatGwei(fees.priorityFeePerGas).padStart(16)}  total ${formatGwei(fees.feePerGas).padStart(16)}`);
+  }
+
   console.log("\n📊 Gas Estimates by Operation:");
-  
+
   Object.entries(gasData.estimates).forEach(([contract, operations]) => {
     console.log(`\n🔸 ${contract}:`);
-    
-    if (operations.error) {
-      console.log(`   ⚠️  ${operations.error}`);
-      return;
-    }
-    
-    Object.entries(operations).forEach(([operation, gasEstimate]) => {
-      const gasCost = BigInt(gasEstimate) * gasData.gasPrice;
-      const costETH = ContractLoader.formatEther(gasCost);
-      
+
+    Object.entries(operations).forEach(([operation, estimate]) => {
+      if (estimate.error) {
+        console.log(`   ${operation}: ⚠️  ${estimate.error}`);
+        return;
+      }
+
       console.log(`   ${operation}:`);
-      console.log(`     Gas: ${gasEstimate}`);
-      console.log(`     Cost: ${parseFloat(costETH).toFixed(6)} ETH`);
+      console.log(`     Gas: ${estimate.gas}`);
+      console.log(`     L1 Data Fee: ${estimate.l1Fee === null ? "n/a (no L1 fee on this network)" : formatEth(estimate.l1Fee)}`);
+      Object.entries(estimate.costs).forEach(([level, cost]) => {
+        console.log(`     Cost at ${level}: ${formatEth(cost)}`);
+      });
     });
   });
-  
+
   // Gas optimization recommendations
   console.log("\n💡 Optimization Recommendations:");
-  
+
   Object.entries(gasData.estimates).forEach(([contract, operations]) => {
-    if (operations.error) return;
-    
-    Object.entries(operations).forEach(([operation, gasEstimate]) => {
-      const gas = parseInt(gasEstimate);
-      
+    Object.entries(operations).forEach(([operation, estimate]) => {
+      if (estimate.error) return;
+
+      const gas = Number(estimate.gas);
+
       if (gas > 200000) {
         console.log(`   🔴 ${contract}.${operation}: High gas usage (${gas})`);
       } else if (gas > 100000) {
@@ -122,4 +173,14 @@ function displayGasAnalysis(gasData) {
   });
 }
 
-trackGasUsage();
\ No newline at end of file
+// Wei amounts as strings, so the result can be printed as JSON
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, serialize(entry)]));
+  }
+  return value;
+}
+
+module.exports = { trackGasUsage };
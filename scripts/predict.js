@@ -0,0 +1,91 @@
+const hre = require("hardhat");
+const DeploymentManifest = require("./utils/deployment-manifest");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { matchesArtifact } = require("./utils/bytecode");
+const { DETERMINISTIC_DEPLOYER, toSalt, getFactoryAddress, predictAddress, getInitCode, hasCode } = require("./utils/create2");
+
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function getDeployer() {
+  const deployer = getOption("deployer");
+  if (deployer) return hre.ethers.getAddress(deployer);
+
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error(`No account configured for ${hre.network.name}; pass --deployer <address>`);
+  }
+  return signer.address;
+}
+
+async function main() {
+  // Run with plain node, which does not compile the contracts first
+  await hre.run("compile", { quiet: true });
+
+  const saltOverride = getOption("salt");
+  const manifest = DeploymentManifest.load(hre.network.name);
+  const deployer = await getDeployer();
+  const factory = await getFactoryAddress();
+
+  console.log(`🔮 CREATE2 addresses on ${hre.network.name}`);
+  console.log("=" .repeat(50));
+  console.log("Deployer:", deployer);
+  console.log(`Factory: ${factory} (${(await hasCode(factory)) ? "deployed" : "not deployed yet"})`);
+  if (!(await hasCode(DETERMINISTIC_DEPLOYER))) {
+    console.log(`⚠️  Deterministic deployment proxy ${DETERMINISTIC_DEPLOYER} is missing on this network`);
+  }
+  if (saltOverride) {
+    console.log("Salt override:", saltOverride);
+  }
+  console.log("");
+
+  // Contracts deployed without CREATE2 resolve to their active deployment
+  const active = new DeploymentRegistry().getActive(hre.network.name);
+  const addresses = {};
+  const predictions = [];
+
+  for (const contractName of manifest.getDeploymentOrder()) {
+    const configuredSalt = manifest.getCreate2Salt(contractName);
+    if (!configuredSalt) {
+      if (active && active.contracts[contractName]) {
+        addresses[contractName] = active.contracts[contractName];
+      }
+      continue;
+    }
+
+    const salt = saltOverride ? toSalt(saltOverride) : configuredSalt;
+
+    let args;
+    try {
+      args = manifest.resolveArgs(contractName, addresses);
+    } catch (error) {
+      console.log(`⚠️  ${contractName}: ${error.message}`);
+      continue;
+    }
+
+    const address = predictAddress(factory, deployer, salt, await getInitCode(contractName, args));
+    addresses[contractName] = address;
+
+    let status = "free";
+    if (await hasCode(address)) {
+      status = (await matchesArtifact(contractName, address)) ? "already deployed" : "occupied by different code";
+    }
+
+    predictions.push({ contractName, address, status });
+    const icon = status === "free" ? "🆕" : status === "already deployed" ? "✅" : "❌";
+    console.log(`${icon} ${contractName.padEnd(16)} ${address}  ${status}`);
+  }
+
+  if (predictions.length === 0) {
+    console.log("No contracts in the manifest use CREATE2 (add a \"salt\" to a contract)");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Prediction failed:", error);
+    process.exit(1);
+  });
@@ -1,26 +1,26 @@
+const hre = require("hardhat");
 const ContractLoader = require("../utils/contract-loader");
+const { EventStore } = require("../utils/event-store");
 const fs = require("fs");
 const path = require("path");
 
-async function generateDailySummary() {
-  const date = process.argv[2] || new Date().toISOString().split('T')[0];
-  
+/**
+ * Compile, print and save the summary for `date` (YYYY-MM-DD, default today).
+ * Run with `npx hardhat baselytics report [--date 2025-01-31]`.
+ */
+async function generateDailySummary(date = new Date().toISOString().split('T')[0]) {
   console.log("📋 Daily Summary Report");
   console.log(`📍 Network: ${hre.network.name}`);
   console.log(`📅 Date: ${date}`);
   console.log("=" .repeat(50));
   
-  try {
-    const contracts = await ContractLoader.loadAllContracts();
-    const summary = await compileSummary(contracts, date);
-    
-    displaySummary(summary);
-    saveSummary(summary, date);
-    
-  } catch (error) {
-    console.error("❌ Summary generation failed:", error.message);
-    process.exit(1);
-  }
+  const contracts = await ContractLoader.loadAllContracts();
+  const summary = await compileSummary(contracts, date);
+  
+  summary.healthScore = displaySummary(summary);
+  summary.file = saveSummary(summary, date);
+  
+  return summary;
 }
 
 async function compileSummary(contracts, date) {
@@ -36,7 +36,7 @@ async function compileSummary(contracts, date) {
   // Contract States
   if (contracts.BaseToken) {
     const totalSupply = await contracts.BaseToken.totalSupply();
-    const maxSupply = await contracts.BaseToken.maxSupply();
+    const maxSupply = await contracts.BaseToken.MAX_SUPPLY();
     
     summary.contracts.BaseToken = {
       totalSupply: ContractLoader.formatEther(totalSupply),
@@ -66,7 +66,7 @@ async function compileSummary(contracts, date) {
     summary.contracts.BaseStaking = {
       totalStaked: ContractLoader.formatEther(totalStaked),
       rewardRate: rewardRate.toString() + " bp",
-      apy: (rewardRate * 365 / 100).toString() + "%"
+      apy: (Number(rewardRate) * 365 / 100).toString() + "%"
     };
   }
   
@@ -86,15 +86,17 @@ async function compileSummary(contracts, date) {
 }
 
 function loadDailyEventMetrics(date) {
-  const logsDir = path.join(__dirname, "../../logs");
-  if (!fs.existsSync(logsDir)) return null;
-  
-  const eventFile = `events-${hre.network.name}-${date}.json`;
-  const eventPath = path.join(logsDir, eventFile);
-  
-  if (!fs.existsSync(eventPath)) return null;
-  
-  const events = JSON.parse(fs.readFileSync(eventPath, 'utf8'));
+  const store = EventStore.openExisting();
+  if (!store) return null;
+
+  const dayStart = new Date(`${date}T00:00:00.000Z`);
+  let events;
+  try {
+    events = store.query({ fromTime: dayStart, toTime: dayStart.getTime() + 24 * 60 * 60 * 1000 });
+  } finally {
+    store.close();
+  }
+  if (events.length === 0) return null;
   
   const metrics = {
     totalEvents: events.length,
@@ -152,6 +154,7 @@ function displaySummary(summary) {
   // Health Score
   const healthScore = calculateHealthScore(summary);
   console.log(`\n💚 System Health Score: ${healthScore}/100`);
+  return healthScore;
 }
 
 function calculateHealthScore(summary) {
@@ -187,6 +190,7 @@ function saveSummary(summary, date) {
   );
   
   console.log(`\n💾 Summary saved to reports/${filename}`);
+  return `reports/${filename}`;
 }
 
-generateDailySummary();
\ No newline at end of file
+module.exports = { generateDailySummary };
@@ -0,0 +1,91 @@
+const hre = require("hardhat");
+const DeploymentManifest = require("./utils/deployment-manifest");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { getCompilerConfig } = require("./utils/deployment-metadata");
+const { runChecks, printCheckResults } = require("./utils/post-deploy-checks");
+const { upgradeProxy } = require("./utils/proxy-deployer");
+const { getStorageLayout, compareStorageLayouts } = require("./utils/storage-layout");
+
+async function main() {
+  const [contractName, implementationArg] = process.argv.slice(2).filter(arg => !arg.startsWith("--"));
+  const checkOnly = process.argv.includes("--check");
+
+  if (!contractName) {
+    console.log("Usage: HARDHAT_NETWORK=<network> node scripts/upgrade.js <contract-name> [implementation-contract] [--check]");
+    console.log("  --check  only compare storage layouts, do not upgrade");
+    process.exit(1);
+  }
+
+  const registry = new DeploymentRegistry();
+  const deployment = registry.getActive(hre.network.name);
+  if (!deployment) {
+    throw new Error(`No active deployment found for network ${hre.network.name}`);
+  }
+
+  const details = (deployment.details || {})[contractName];
+  if (!details || !details.proxy) {
+    throw new Error(`${contractName} is not deployed behind a proxy in ${deployment.id}`);
+  }
+
+  const manifest = DeploymentManifest.load(hre.network.name);
+  const proxyConfig = manifest.hasContract(contractName) ? manifest.getProxyConfig(contractName) : null;
+  const implementationName = implementationArg ||
+    (proxyConfig ? proxyConfig.implementation : details.proxy.implementationContract);
+
+  console.log(`⬆️  Upgrading ${contractName} on ${hre.network.name}`);
+  console.log("=" .repeat(50));
+  console.log(`📋 Deployment: ${deployment.id}`);
+  console.log(`🔗 ${details.proxy.kind} proxy: ${details.proxy.address}`);
+  console.log(`📦 Current implementation: ${details.proxy.implementationContract} at ${details.proxy.implementation}`);
+  console.log(`📦 New implementation: ${implementationName}`);
+
+  if (checkOnly) {
+    const errors = compareStorageLayouts(details.proxy.storageLayout, await getStorageLayout(implementationName));
+    if (errors.length > 0) {
+      errors.forEach(error => console.log(`❌ ${error}`));
+      throw new Error("Storage layout is not upgrade safe");
+    }
+    console.log("✅ Storage layout is compatible");
+    return;
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  console.log("📝 Upgrading with account:", signer.address);
+
+  const upgraded = await upgradeProxy(implementationName, details, signer);
+  console.log(`✅ ${contractName} proxy now points at ${upgraded.proxy.implementation}`);
+
+  const checks = await runChecks(manifest, deployment.contracts);
+  printCheckResults(checks);
+
+  const { id, ...record } = deployment;
+  const newId = registry.save({
+    ...record,
+    status: checks.status === "failed" ? "failed" : "completed",
+    timestamp: new Date().toISOString(),
+    compiler: getCompilerConfig(),
+    details: { ...deployment.details, [contractName]: upgraded },
+    checks: checks.results,
+    upgrade: {
+      contract: contractName,
+      from: id,
+      previousImplementation: details.proxy.implementation,
+      implementation: upgraded.proxy.implementation
+    }
+  });
+
+  if (checks.status === "failed") {
+    console.log(`\n💾 Upgrade recorded as ${newId}, marked failed and not activated`);
+    throw new Error("Post-deploy checks failed after the upgrade");
+  }
+
+  console.log(`\n💾 Upgrade recorded as ${newId} (now active)`);
+  console.log("\n🎉 Upgrade completed successfully!");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Upgrade failed:", error);
+    process.exit(1);
+  });
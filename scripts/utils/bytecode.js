@@ -0,0 +1,113 @@
+const hre = require("hardhat");
+
+/**
+ * Runtime bytecode of a compiled contract together with the byte ranges the
+ * compiler reserves for immutables, which are only filled in at deploy time.
+ */
+async function getCompiledRuntime(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+
+  let immutableReferences = {};
+  if (buildInfo) {
+    const output = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+    immutableReferences = output.evm.deployedBytecode.immutableReferences || {};
+  }
+
+  return {
+    bytecode: artifact.deployedBytecode,
+    immutableReferences
+  };
+}
+
+/**
+ * Zero out every immutable slot so bytecode from different deployments of the
+ * same source can be compared.
+ */
+function maskImmutables(bytecode, immutableReferences = {}) {
+  const code = bytecode.replace(/^0x/, "").split("");
+
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      for (let i = start * 2; i < (start + length) * 2 && i < code.length; i++) {
+        code[i] = "0";
+      }
+    }
+  }
+
+  return "0x" + code.join("");
+}
+
+/**
+ * Drop the CBOR-encoded metadata solc appends to runtime bytecode. Its length
+ * is stored in the last two bytes; code without a metadata map is returned
+ * unchanged.
+ */
+function stripMetadata(bytecode) {
+  const code = bytecode.replace(/^0x/, "");
+  if (code.length < 4) return "0x" + code;
+
+  const start = code.length - 4 - parseInt(code.slice(-4), 16) * 2;
+  if (start < 0 || !/^a[1-9a-f]$/i.test(code.slice(start, start + 2))) {
+    return "0x" + code;
+  }
+
+  return "0x" + code.slice(0, start);
+}
+
+/**
+ * Compare the code at `address` with the current compiled runtime of
+ * `contractName`, ignoring immutables and metadata. `recorded` holds the
+ * deployedBytecodeHash and immutableReferences saved at deployment: code
+ * that no longer matches the artifacts but, with the immutables it had at
+ * deploy time masked, still hashes to it was deployed from an older source.
+ * Records without immutableReferences are masked with the current ones.
+ *
+ * Returns { status } with status "matches", "source changed since deploy",
+ * "unknown code" or "no code"; matches also report whether the metadata
+ * hash is identical.
+ */
+async function getDriftStatus(contractName, address, recorded = null, provider = hre.ethers.provider) {
+  const deployedCode = await provider.getCode(address);
+  if (deployedCode === "0x") return { status: "no code" };
+
+  const { bytecode, immutableReferences } = await getCompiledRuntime(contractName);
+  const onchain = maskImmutables(deployedCode, immutableReferences).toLowerCase();
+  const compiled = maskImmutables(bytecode, immutableReferences).toLowerCase();
+
+  if (stripMetadata(onchain) === stripMetadata(compiled)) {
+    return { status: "matches", sameMetadata: onchain === compiled };
+  }
+
+  if (recorded && recorded.deployedBytecodeHash) {
+    const masked = maskImmutables(deployedCode, recorded.immutableReferences || immutableReferences).toLowerCase();
+    if (hre.ethers.keccak256(masked) === recorded.deployedBytecodeHash.toLowerCase()) {
+      return { status: "source changed since deploy" };
+    }
+  }
+
+  return { status: "unknown code" };
+}
+
+/**
+ * Check that the code at `address` is the current compiled runtime of
+ * `contractName`, ignoring immutable values.
+ */
+async function matchesArtifact(contractName, address, provider = hre.ethers.provider) {
+  const deployedCode = await provider.getCode(address);
+  if (deployedCode === "0x") return false;
+
+  const { bytecode, immutableReferences } = await getCompiledRuntime(contractName);
+
+  return maskImmutables(deployedCode, immutableReferences).toLowerCase() ===
+    maskImmutables(bytecode, immutableReferences).toLowerCase();
+}
+
+module.exports = {
+  getCompiledRuntime,
+  maskImmutables,
+  stripMetadata,
+  getDriftStatus,
+  matchesArtifact
+};
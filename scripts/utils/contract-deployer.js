@@ -0,0 +1,232 @@
+const hre = require("hardhat");
+const DeploymentJournal = require("./deployment-journal");
+const { matchesArtifact } = require("./bytecode");
+const { describeDeployment } = require("./deployment-metadata");
+const { deployProxy } = require("./proxy-deployer");
+const { deployCreate2 } = require("./create2");
+
+/**
+ * Deploy `contractName` with a plain CREATE. With a `journal` the
+ * transaction is recorded as pending once sent and as completed once mined.
+ */
+async function deployContract(contractName, args, deployer, journal = null) {
+  console.log(`\n🚀 Deploying ${contractName}...`);
+
+  const Contract = await hre.ethers.getContractFactory(contractName, deployer);
+
+  // Estimate gas
+  const deployTx = await Contract.getDeployTransaction(...args);
+  const gasEstimate = await hre.ethers.provider.estimateGas(deployTx);
+  console.log(`⛽ Estimated gas: ${gasEstimate.toString()}`);
+
+  const contract = await Contract.deploy(...args);
+  const sentTx = contract.deploymentTransaction();
+  if (journal) journal.recordPendingContract(contractName, sentTx.hash);
+
+  await contract.waitForDeployment();
+  const receipt = await sentTx.wait();
+
+  const address = await contract.getAddress();
+  const details = await describeDeployment(contractName, args, receipt);
+  if (journal) journal.recordContract(contractName, { address, ...details });
+  console.log(`✅ ${contractName} deployed to: ${address}`);
+  console.log(`⛽ Gas used: ${details.gasUsed} (block ${receipt.blockNumber})`);
+
+  return { contract, address, details };
+}
+
+/**
+ * Deploy `contractName` with CREATE2. Not journaled while pending: a
+ * resumed run finds the contract at its predicted address.
+ */
+async function deployCreate2Contract(contractName, args, salt, deployer, journal = null) {
+  console.log(`\n🚀 Deploying ${contractName} with CREATE2...`);
+
+  const { address, details, gasUsed } = await deployCreate2(contractName, args, salt, deployer);
+  if (journal) journal.recordContract(contractName, { address, ...details });
+  console.log(`✅ ${contractName} deployed to: ${address}`);
+  console.log(`⛽ Gas used: ${gasUsed}`);
+
+  return { address, details };
+}
+
+/**
+ * Deploy `contractName` behind a proxy. Journaled once all proxy
+ * transactions are mined; an interrupted run deploys the proxy again on
+ * resume.
+ */
+async function deployProxyContract(contractName, proxyConfig, args, deployer, journal = null) {
+  console.log(`\n🚀 Deploying ${contractName} behind a ${proxyConfig.kind} proxy...`);
+
+  const { address, details, gasUsed } = await deployProxy(contractName, proxyConfig, args, deployer);
+  if (journal) journal.recordContract(contractName, { address, ...details });
+  console.log(`✅ ${contractName} proxy deployed to: ${address}`);
+  console.log(`⛽ Gas used: ${gasUsed}`);
+
+  return { address, details };
+}
+
+/**
+ * Deploy `contractName` the way the manifest asks: with CREATE2 when it has
+ * a salt, behind a proxy when it has a proxy entry, plainly otherwise.
+ * Returns its address and deployment details.
+ */
+async function deployManifestContract(manifest, contractName, args, deployer, journal = null) {
+  const salt = manifest.getCreate2Salt(contractName);
+  if (salt) {
+    return deployCreate2Contract(contractName, args, salt, deployer, journal);
+  }
+
+  const proxyConfig = manifest.getProxyConfig(contractName);
+  if (proxyConfig) {
+    return deployProxyContract(contractName, proxyConfig, args, deployer, journal);
+  }
+
+  const { address, details } = await deployContract(contractName, args, deployer, journal);
+  return { address, details };
+}
+
+/**
+ * Run the manifest's configuration `steps` against `addresses`. Steps whose
+ * contracts are not deployed yet are skipped. With a `journal`, steps it
+ * already completed are not run again and each transaction is journaled.
+ */
+async function runConfigurationSteps(manifest, steps, addresses, journal = null) {
+  if (steps.length === 0) return;
+
+  console.log("\n🔧 Configuring contracts...");
+
+  for (const step of steps) {
+    if (journal && await recoverStep(step.id, journal)) {
+      console.log(`⏭️  ${step.description || step.id} (already done)`);
+      continue;
+    }
+
+    if (!manifest.canResolveStep(step, addresses)) {
+      console.log(`⏭️  Skipping ${step.id}: required contracts not deployed yet`);
+      continue;
+    }
+
+    const Contract = await hre.ethers.getContractFactory(step.contract);
+    const contract = Contract.attach(addresses[step.contract]);
+    const tx = await contract[step.method](...manifest.resolveStepArgs(step, addresses));
+    if (journal) journal.recordPendingStep(step.id, tx.hash);
+
+    const receipt = await tx.wait();
+    if (journal) journal.recordStep(step.id, { txHash: tx.hash, blockNumber: receipt.blockNumber });
+    console.log(`✅ ${step.description || `${step.contract}.${step.method} executed`}`);
+  }
+}
+
+/**
+ * Journal for a deployment of `manifest`: a new one, or with `resume` the
+ * unfinished one of this network. A journal recorded on another network or
+ * chain, or for a different manifest, cannot be resumed.
+ */
+async function openJournal(manifest, deployer, { resume = false, dir } = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const unfinished = DeploymentJournal.findUnfinished(hre.network.name, dir);
+
+  if (!resume) {
+    if (unfinished) {
+      throw new Error(`Unfinished deployment journal found (${unfinished.file}). Rerun with --resume, or remove it to start over.`);
+    }
+    return DeploymentJournal.create(hre.network.name, chainId, deployer.address, { manifestHash: manifest.hash, dir });
+  }
+
+  if (!unfinished) {
+    throw new Error(`No unfinished deployment journal found for network ${hre.network.name}`);
+  }
+
+  if (unfinished.network !== hre.network.name) {
+    throw new Error(`Journal ${unfinished.file} was recorded on network ${unfinished.network}, not ${hre.network.name}`);
+  }
+
+  if (unfinished.chainId !== chainId.toString()) {
+    throw new Error(`Journal was recorded on chain ${unfinished.chainId}, but connected to chain ${chainId}`);
+  }
+
+  if (unfinished.manifestHash !== manifest.hash) {
+    throw new Error(`Journal ${unfinished.file} was recorded for a different manifest than ${manifest.source}. Restore that manifest to resume, or remove the journal to start over.`);
+  }
+
+  console.log(`📓 Resuming from journal ${unfinished.file}`);
+  return unfinished;
+}
+
+/**
+ * Address and deployment details of a contract the journal already deployed,
+ * or null if it still has to be deployed. Recorded code is checked against
+ * the compiled artifact.
+ */
+async function recoverContract(contractName, args, journal) {
+  const entry = journal.getContract(contractName);
+  if (!entry) return null;
+
+  if (entry.status === "pending") {
+    const receipt = await waitForJournaledTransaction(entry.txHash);
+    if (!receipt || !receipt.contractAddress) return null;
+
+    journal.recordContract(contractName, {
+      address: receipt.contractAddress,
+      ...(await describeDeployment(contractName, args, receipt))
+    });
+  }
+
+  const { status, address, completedAt, ...details } = journal.getContract(contractName);
+
+  // Proxies are checked through their implementation
+  const [artifactName, codeAddress] = details.proxy
+    ? [details.proxy.implementationContract, details.proxy.implementation]
+    : [contractName, address];
+
+  if (!(await matchesArtifact(artifactName, codeAddress))) {
+    throw new Error(`${contractName} at ${codeAddress} does not match the compiled ${artifactName} artifact`);
+  }
+
+  return { address, details };
+}
+
+/**
+ * Whether the journal already ran configuration step `stepId`; a step whose
+ * transaction was sent by an earlier run is looked up first
+ */
+async function recoverStep(stepId, journal) {
+  const entry = journal.getStep(stepId);
+  if (!entry) return false;
+  if (entry.status === "completed") return true;
+
+  const receipt = await waitForJournaledTransaction(entry.txHash);
+  if (!receipt) return false;
+
+  journal.recordStep(stepId, { txHash: entry.txHash, blockNumber: receipt.blockNumber });
+  return true;
+}
+
+/**
+ * Successful receipt for a transaction sent by an earlier run, waiting for
+ * it if still in the mempool. Returns null if it was dropped or reverted.
+ */
+async function waitForJournaledTransaction(txHash) {
+  const tx = await hre.ethers.provider.getTransaction(txHash);
+  if (!tx) return null;
+
+  try {
+    return await tx.wait();
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION") return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  deployContract,
+  deployCreate2Contract,
+  deployProxyContract,
+  deployManifestContract,
+  runConfigurationSteps,
+  openJournal,
+  recoverContract,
+  recoverStep,
+  waitForJournaledTransaction
+};
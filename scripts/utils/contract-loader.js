@@ -1,65 +1,305 @@
-const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const hre = require("hardhat");
+const DeploymentManifest = require("./deployment-manifest");
+const DeploymentRegistry = require("./deployment-registry");
+const { getSignerOption, resolveSigner } = require("./signers");
+
+const DEFAULT_SELECTOR = "active";
+const PREFERRED_PROBES = ["name", "symbol", "owner", "decimals"];
+const MAX_PROBES = 3;
+
+// ERC165 ids checked when the ABI declares the interface's functions
+const ERC165_ID = "0x01ffc9a7";
+const INTERFACE_PROBES = [
+  { name: "ERC721", id: "0x80ac58cd", functions: ["ownerOf", "getApproved", "isApprovedForAll"] },
+  { name: "ERC721Metadata", id: "0x5b5e139f", functions: ["tokenURI"] },
+  { name: "ERC1155", id: "0xd9b67a26", functions: ["balanceOfBatch"] }
+];
+
+/**
+ * Raised when an address does not hold the contract a script expects: wrong
+ * chain, no code, or code that does not answer like the ABI.
+ */
+class ContractValidationError extends Error {
+  constructor(contract, address, expected, found) {
+    super(`${contract}${address ? ` at ${address}` : ""}: expected ${expected}, found ${found}`);
+    this.name = "ContractValidationError";
+    this.contract = contract;
+    this.address = address;
+    this.expected = expected;
+    this.found = found;
+  }
+}
 
+/**
+ * Loads contract handles for a recorded deployment.
+ *
+ * The deployment is picked with `options.deployment` or the DEPLOYMENT
+ * environment variable: a deployment id, a path to a record file, or one of
+ * the tags "active" (default), "latest" and "previous". A <NAME>_ADDRESS
+ * environment variable (BASE_TOKEN_ADDRESS, BASE_DEX_ADDRESS, ...) overrides
+ * the recorded address of a single contract. Records and handles are cached,
+ * so repeated loads in one script do not read deployments/ again.
+ *
+ * Handles are validated before they are returned unless `options.validate`
+ * is false: the chain id must match the deployment record, and the address
+ * must hold code that answers a few of the ABI's view functions (and its
+ * ERC165 interfaces). Failures throw a ContractValidationError.
+ */
 class ContractLoader {
-  static getLatestDeployment() {
-    const deploymentsDir = path.join(__dirname, "../../deployments");
-    if (!fs.existsSync(deploymentsDir)) {
-      throw new Error("No deployments found. Deploy contracts first.");
+  static cache = new Map();
+  static deploymentsDir = undefined;
+
+  static getDeployment(selector = process.env.DEPLOYMENT || DEFAULT_SELECTOR) {
+    return this.getCacheEntry(selector).deployment;
+  }
+
+  /**
+   * First block of the deployment, or undefined if its record has no block
+   * numbers. Stored events before it belong to other deployments.
+   */
+  static getDeploymentBlock(selector = process.env.DEPLOYMENT || DEFAULT_SELECTOR) {
+    const details = this.getDeployment(selector).details || {};
+    const blocks = Object.values(details).map(detail => detail.blockNumber).filter(block => block !== undefined);
+    return blocks.length > 0 ? Math.min(...blocks) : undefined;
+  }
+
+  static getCacheEntry(selector = process.env.DEPLOYMENT || DEFAULT_SELECTOR) {
+    const key = `${hre.network.name}:${selector}`;
+
+    if (!this.cache.has(key)) {
+      this.cache.set(key, { deployment: this.readDeployment(selector), contracts: {} });
     }
-    
-    const files = fs.readdirSync(deploymentsDir)
-      .filter(f => f.startsWith(hre.network.name) && f.endsWith('.json'))
-      .sort()
-      .reverse();
-    
-    if (files.length === 0) {
-      throw new Error(`No deployments found for network ${hre.network.name}`);
+
+    return this.cache.get(key);
+  }
+
+  static readDeployment(selector) {
+    const network = hre.network.name;
+
+    if (selector.endsWith(".json")) {
+      const file = path.resolve(selector);
+      if (!fs.existsSync(file)) {
+        throw new Error(`Deployment file ${selector} not found`);
+      }
+      return { id: path.basename(file, ".json"), ...JSON.parse(fs.readFileSync(file, "utf8")) };
     }
-    
-    return JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]), 'utf8'));
-  }
-  
-  static async loadContract(contractName) {
-    const deployment = this.getLatestDeployment();
-    
-    if (!deployment.contracts[contractName]) {
-      throw new Error(`Contract ${contractName} not found in deployment`);
+
+    const registry = new DeploymentRegistry(this.deploymentsDir);
+    const deployments = registry.list(network);
+    const ids = {
+      active: () => registry.getActiveId(network),
+      latest: () => (deployments.length > 0 ? deployments[deployments.length - 1].id : null),
+      previous: () => registry.getPreviousId(network)
+    };
+
+    const id = ids[selector] ? ids[selector]() : selector;
+    if (!id) {
+      throw new Error(`No ${selector} deployment found for network ${network}`);
     }
-    
-    const contractFactory = await hre.ethers.getContractFactory(contractName);
-    return contractFactory.attach(deployment.contracts[contractName]);
+
+    return registry.get(id);
+  }
+
+  /**
+   * Address from the <NAME>_ADDRESS environment variable, or null.
+   */
+  static getAddressOverride(name) {
+    const variable = `${toEnvName(name)}_ADDRESS`;
+    const value = process.env[variable];
+    if (!value) return null;
+
+    if (!hre.ethers.isAddress(value)) {
+      throw new Error(`${variable} is not a valid address: ${value}`);
+    }
+
+    return hre.ethers.getAddress(value);
   }
-  
-  static async loadAllContracts() {
-    const deployment = this.getLatestDeployment();
+
+  /**
+   * Handle for `contractName` from the selected deployment (see class docs),
+   * connected to `options.signer` when given.
+   */
+  static async loadContract(contractName, options = {}) {
+    const entry = this.getCacheEntry(options.deployment);
+
+    if (!entry.contracts[contractName]) {
+      const address = this.getAddressOverride(contractName) || entry.deployment.contracts[contractName];
+      if (!address) {
+        throw new Error(`Contract ${contractName} not found in deployment ${entry.deployment.id}`);
+      }
+
+      const contract = await hre.ethers.getContractAt(contractName, address);
+      if (options.validate !== false) {
+        await this.validateChain(entry);
+        await this.validateContract(contractName, contract);
+      }
+      entry.contracts[contractName] = contract;
+    }
+
+    const contract = entry.contracts[contractName];
+    return options.signer ? contract.connect(options.signer) : contract;
+  }
+
+  static async loadAllContracts(options = {}) {
+    const deployment = this.getDeployment(options.deployment);
     const contracts = {};
-    
-    for (const [name, address] of Object.entries(deployment.contracts)) {
+
+    for (const name of Object.keys(deployment.contracts)) {
       try {
-        const contractFactory = await hre.ethers.getContractFactory(name);
-        contracts[name] = contractFactory.attach(address);
+        contracts[name] = await this.loadContract(name, options);
       } catch (error) {
+        if (error instanceof ContractValidationError) throw error;
         console.log(`⚠️  Could not load ${name}: ${error.message}`);
       }
     }
-    
+
     return contracts;
   }
-  
-  static async getSigner() {
-    const [signer] = await hre.ethers.getSigners();
-    return signer;
+
+  /**
+   * Handle for a contract outside the deployment (WETH, a third-party NFT)
+   * through any compiled ABI, e.g. "IERC20" or "IERC721". `target` is an
+   * address or the name of a manifest param such as "weth"; params can be
+   * overridden like contracts (WETH_ADDRESS).
+   */
+  static async loadExternal(abiName, target, options = {}) {
+    const address = hre.ethers.isAddress(target) ? hre.ethers.getAddress(target) : this.resolveParamAddress(target);
+    const entry = this.getCacheEntry(options.deployment);
+    const key = `${abiName}@${address}`;
+
+    if (!entry.contracts[key]) {
+      const contract = await hre.ethers.getContractAt(abiName, address);
+      if (options.validate !== false) {
+        await this.validateContract(abiName, contract);
+      }
+      entry.contracts[key] = contract;
+    }
+
+    return options.signer ? entry.contracts[key].connect(options.signer) : entry.contracts[key];
+  }
+
+  static resolveParamAddress(param) {
+    const override = this.getAddressOverride(param);
+    if (override) return override;
+
+    const manifest = DeploymentManifest.load(hre.network.name);
+    const address = manifest.params[param];
+    if (typeof address !== "string" || !hre.ethers.isAddress(address)) {
+      throw new Error(`"${param}" is neither an address nor an address param in ${manifest.source}`);
+    }
+
+    return hre.ethers.getAddress(address);
+  }
+
+  /**
+   * Check once per deployment that the node is on the chain it was recorded
+   * on. Records without a chain id are not checked.
+   */
+  static async validateChain(entry) {
+    if (entry.chainValidated || !entry.deployment.chainId) return;
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    if (chainId.toString() !== String(entry.deployment.chainId)) {
+      throw new ContractValidationError(
+        `deployment ${entry.deployment.id}`,
+        null,
+        `chain id ${entry.deployment.chainId} (${entry.deployment.network})`,
+        `chain id ${chainId} on network ${hre.network.name}`
+      );
+    }
+
+    entry.chainValidated = true;
   }
-  
+
+  /**
+   * Check that `contract` has code and answers like its ABI: its first few
+   * parameterless view functions must return decodable values, and every
+   * ERC165 interface the ABI implies must be reported as supported.
+   */
+  static async validateContract(name, contract) {
+    const address = contract.target;
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+      throw new ContractValidationError(name, address, `${name} bytecode`, `no code on ${hre.network.name}`);
+    }
+
+    const functions = contract.interface.fragments.filter(fragment => fragment.type === "function");
+    const has = (functionName) => functions.some(fragment => fragment.name === functionName);
+
+    const views = functions.filter(fragment => fragment.constant && fragment.inputs.length === 0);
+    const probes = [
+      ...views.filter(fragment => PREFERRED_PROBES.includes(fragment.name)),
+      ...views.filter(fragment => !PREFERRED_PROBES.includes(fragment.name))
+    ].slice(0, MAX_PROBES);
+
+    const failed = [];
+    for (const fragment of probes) {
+      try {
+        await contract.getFunction(fragment.format())();
+      } catch (error) {
+        failed.push(`${fragment.format()} (${error.shortMessage || error.message})`);
+      }
+    }
+
+    if (has("supportsInterface")) {
+      const interfaces = [{ name: "ERC165", id: ERC165_ID }, ...INTERFACE_PROBES.filter(probe => probe.functions.every(has))];
+      for (const { name: interfaceName, id } of interfaces) {
+        try {
+          if (!(await contract.supportsInterface(id))) failed.push(`supportsInterface(${interfaceName}) returned false`);
+        } catch (error) {
+          failed.push(`supportsInterface(${interfaceName}) (${error.shortMessage || error.message})`);
+        }
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new ContractValidationError(
+        name,
+        address,
+        `${name} answering ${probes.map(fragment => fragment.format()).join(", ")}`,
+        `code that fails ${failed.join("; ")}`
+      );
+    }
+  }
+
+  static clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Signer for `spec` (an account index, address, manifest role or
+   * keystore:<name>, see utils/signers), defaulting to the `--as` option or
+   * SIGNER environment variable, then to the first account.
+   */
+  static async getSigner(spec = getSignerOption()) {
+    const key = `${hre.network.name}:signer:${spec || ""}`;
+
+    if (!this.cache.has(key)) {
+      this.cache.set(key, await resolveSigner(spec));
+    }
+
+    return this.cache.get(key);
+  }
+
   static formatEther(value) {
     return hre.ethers.formatEther(value);
   }
-  
+
   static parseEther(value) {
     return hre.ethers.parseEther(value);
   }
 }
 
-module.exports = ContractLoader;
\ No newline at end of file
+/**
+ * BaseToken -> BASE_TOKEN, BaseDEX -> BASE_DEX, weth -> WETH
+ */
+function toEnvName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/([A-Z])([A-Z][a-z])/g, "$1_$2")
+    .toUpperCase();
+}
+
+module.exports = ContractLoader;
+module.exports.ContractValidationError = ContractValidationError;
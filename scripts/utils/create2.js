@@ -0,0 +1,130 @@
+const hre = require("hardhat");
+const { matchesArtifact } = require("./bytecode");
+const { describeDeployment, getArtifactMetadata, serializeArgs } = require("./deployment-metadata");
+
+// Deterministic deployment proxy (github.com/Arachnid/deterministic-deployment-proxy),
+// preinstalled on Base and Base Sepolia. Create2Deployer is deployed through it
+// with a zero salt, so the factory has the same address on every chain.
+const DETERMINISTIC_DEPLOYER = "0x4e59b44847b379578588920ca78fbf26c0b4956c";
+const DETERMINISTIC_DEPLOYER_CODE = "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+/**
+ * bytes32 salt from a 32-byte hex string, or the hash of any other value.
+ */
+function toSalt(value) {
+  const salt = String(value);
+  return /^0x[0-9a-fA-F]{64}$/.test(salt) ? salt : hre.ethers.id(salt);
+}
+
+async function hasCode(address) {
+  return (await hre.ethers.provider.getCode(address)) !== "0x";
+}
+
+async function getFactoryAddress() {
+  const Factory = await hre.ethers.getContractFactory("Create2Deployer");
+  return hre.ethers.getCreate2Address(DETERMINISTIC_DEPLOYER, hre.ethers.ZeroHash, hre.ethers.keccak256(Factory.bytecode));
+}
+
+/**
+ * Address of the Create2Deployer factory, deploying it first if needed.
+ * Development nodes without the deterministic deployment proxy get it
+ * installed with hardhat_setCode.
+ */
+async function ensureFactory(signer) {
+  const address = await getFactoryAddress();
+  if (await hasCode(address)) return { address, gasUsed: 0n };
+
+  if (!(await hasCode(DETERMINISTIC_DEPLOYER))) {
+    try {
+      await hre.network.provider.request({
+        method: "hardhat_setCode",
+        params: [DETERMINISTIC_DEPLOYER, DETERMINISTIC_DEPLOYER_CODE]
+      });
+    } catch (error) {
+      throw new Error(`Deterministic deployment proxy ${DETERMINISTIC_DEPLOYER} is not available on ${hre.network.name}`);
+    }
+  }
+
+  const Factory = await hre.ethers.getContractFactory("Create2Deployer");
+  const tx = await signer.sendTransaction({
+    to: DETERMINISTIC_DEPLOYER,
+    data: hre.ethers.concat([hre.ethers.ZeroHash, Factory.bytecode])
+  });
+  const receipt = await tx.wait();
+
+  if (!(await hasCode(address))) {
+    throw new Error(`Create2Deployer was not deployed to the expected address ${address}`);
+  }
+
+  console.log(`   🏭 Create2Deployer deployed to: ${address}`);
+  return { address, gasUsed: receipt.gasUsed };
+}
+
+/**
+ * Address `deployer` gets from the factory for `salt` and `initCode`
+ * (mirrors Create2Deployer.computeAddress).
+ */
+function predictAddress(factoryAddress, deployer, salt, initCode) {
+  const callerSalt = hre.ethers.keccak256(
+    hre.ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [deployer, salt])
+  );
+  return hre.ethers.getCreate2Address(factoryAddress, callerSalt, hre.ethers.keccak256(initCode));
+}
+
+async function getInitCode(contractName, args) {
+  const Contract = await hre.ethers.getContractFactory(contractName);
+  const { data } = await Contract.getDeployTransaction(...args);
+  return data;
+}
+
+/**
+ * Deploy `contractName` through the factory, or reuse the contract already
+ * at the predicted address. Returns the address, deployment details (with a
+ * `create2` section) and the gas used.
+ */
+async function deployCreate2(contractName, args, salt, signer) {
+  const factory = await ensureFactory(signer);
+  const initCode = await getInitCode(contractName, args);
+  const address = predictAddress(factory.address, signer.address, salt, initCode);
+  const create2 = { factory: factory.address, salt, initCodeHash: hre.ethers.keccak256(initCode) };
+
+  if (await hasCode(address)) {
+    if (!(await matchesArtifact(contractName, address))) {
+      throw new Error(`Code at predicted address ${address} does not match the compiled ${contractName} artifact`);
+    }
+
+    console.log(`   ♻️  ${contractName} already deployed at predicted address ${address}`);
+    return {
+      address,
+      details: {
+        constructorArgs: serializeArgs(args),
+        ...(await getArtifactMetadata(contractName)),
+        create2: { ...create2, reused: true }
+      },
+      gasUsed: factory.gasUsed
+    };
+  }
+
+  const deployer = await hre.ethers.getContractAt("Create2Deployer", factory.address, signer);
+  const receipt = await (await deployer.deploy(salt, initCode)).wait();
+
+  if (!(await hasCode(address))) {
+    throw new Error(`${contractName} was not deployed to the predicted address ${address}`);
+  }
+
+  return {
+    address,
+    details: { ...(await describeDeployment(contractName, args, receipt)), create2 },
+    gasUsed: factory.gasUsed + receipt.gasUsed
+  };
+}
+
+module.exports = {
+  DETERMINISTIC_DEPLOYER,
+  toSalt,
+  getFactoryAddress,
+  predictAddress,
+  getInitCode,
+  hasCode,
+  deployCreate2
+};
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+
+const JOURNALS_DIR = path.join(__dirname, "../../deployments/journals");
+
+/**
+ * Append-as-you-go record of a deployment run.
+ *
+ * Every contract deployment and configuration step is written to disk as
+ * soon as its transaction is sent ("pending") and again once it is mined
+ * ("completed"), so an interrupted run can be resumed without redeploying.
+ */
+class DeploymentJournal {
+  constructor(file, data) {
+    this.file = file;
+    this.data = data;
+  }
+
+  /**
+   * New journal in `dir` (default deployments/journals). `manifestHash`
+   * identifies the manifest being deployed, so a resume cannot switch
+   * manifests halfway.
+   */
+  static create(network, chainId, deployer, { manifestHash, dir = JOURNALS_DIR } = {}) {
+    const startedAt = new Date();
+    const journal = new DeploymentJournal(
+      path.join(dir, `${network}-${startedAt.getTime()}.json`),
+      {
+        network,
+        chainId: chainId.toString(),
+        deployer,
+        manifestHash,
+        status: "in-progress",
+        startedAt: startedAt.toISOString(),
+        updatedAt: startedAt.toISOString(),
+        contracts: {},
+        steps: {}
+      }
+    );
+
+    journal.save();
+    return journal;
+  }
+
+  static load(file) {
+    return new DeploymentJournal(file, JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  /**
+   * Most recent journal for `network` that did not complete, or null.
+   */
+  static findUnfinished(network, dir = JOURNALS_DIR) {
+    if (!fs.existsSync(dir)) return null;
+
+    const files = fs.readdirSync(dir)
+      .filter(f => f.startsWith(`${network}-`) && f.endsWith(".json"))
+      .sort()
+      .reverse();
+
+    for (const file of files) {
+      const journal = this.load(path.join(dir, file));
+      if (journal.status !== "completed") return journal;
+    }
+
+    return null;
+  }
+
+  get status() {
+    return this.data.status;
+  }
+
+  get chainId() {
+    return this.data.chainId;
+  }
+
+  get network() {
+    return this.data.network;
+  }
+
+  get manifestHash() {
+    return this.data.manifestHash;
+  }
+
+  getContract(name) {
+    return this.data.contracts[name];
+  }
+
+  getAddresses() {
+    const addresses = {};
+    for (const [name, entry] of Object.entries(this.data.contracts)) {
+      if (entry.status === "completed") addresses[name] = entry.address;
+    }
+    return addresses;
+  }
+
+  recordPendingContract(name, txHash) {
+    this.data.contracts[name] = { status: "pending", txHash, sentAt: new Date().toISOString() };
+    this.save();
+  }
+
+  /**
+   * Mark a contract deployed. `entry` holds its address plus any deployment
+   * details (tx hash, block, constructor args, ...) to carry into the record.
+   */
+  recordContract(name, entry) {
+    this.data.contracts[name] = {
+      status: "completed",
+      ...entry,
+      completedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  getStep(id) {
+    return this.data.steps[id];
+  }
+
+  recordPendingStep(id, txHash) {
+    this.data.steps[id] = { status: "pending", txHash, sentAt: new Date().toISOString() };
+    this.save();
+  }
+
+  recordStep(id, { txHash, blockNumber }) {
+    this.data.steps[id] = {
+      status: "completed",
+      txHash,
+      blockNumber,
+      completedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  markCompleted(deploymentId) {
+    this.data.status = "completed";
+    this.data.deploymentId = deploymentId;
+    this.save();
+  }
+
+  markFailed(error) {
+    this.data.status = "failed";
+    this.data.error = error.message || String(error);
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.data.updatedAt = new Date().toISOString();
+
+    // Write to a temporary file first so a crash never leaves a truncated journal
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+}
+
+module.exports = DeploymentJournal;
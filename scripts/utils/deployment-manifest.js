@@ -0,0 +1,320 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { toSalt } = require("./create2");
+
+const MANIFESTS_DIR = path.join(__dirname, "../../manifests");
+const ADDRESS_REFERENCE = /^\$\{(\w+)\.address\}$/;
+const PARAM_REFERENCE = /^\$\{params\.(\w+)\}$/;
+const PROXY_KINDS = ["transparent", "uups"];
+
+/**
+ * Per-network deployment manifest.
+ *
+ * A manifest declares every contract to deploy, its constructor arguments and
+ * the configuration calls to make once contracts are live. Arguments may
+ * reference other contracts with "${ContractName.address}" and ether amounts
+ * with { "ether": "1000" }; references also define the dependency graph.
+ * "${params.name}" is replaced with the manifest's per-network "params" value.
+ * "checks" are view calls asserted once the deployment is configured.
+ * A contract with a "proxy" entry is deployed behind an upgradeable proxy and
+ * its args are passed to the implementation's initializer. A contract with a
+ * "salt" is deployed with CREATE2 to an address that does not depend on the
+ * deployer's nonce. "handoff" names the account that owns every contract once
+ * the deployment is done. "signers" names the accounts interaction scripts
+ * act as (see utils/signers).
+ */
+class DeploymentManifest {
+  constructor(data, source = "<inline>") {
+    if (!data || typeof data.contracts !== "object") {
+      throw new Error(`Invalid manifest ${source}: missing "contracts" section`);
+    }
+
+    this.source = source;
+    // Identifies the manifest's content, e.g. in deployment journals
+    this.hash = hre.ethers.id(JSON.stringify(data));
+    this.network = data.network;
+    this.contracts = data.contracts;
+    this.configure = data.configure || [];
+    this.checks = data.checks || [];
+    this.params = data.params || {};
+    this.handoff = data.handoff || null;
+    this.signers = data.signers || {};
+  }
+
+  static getManifestPath(network) {
+    return path.join(MANIFESTS_DIR, `${network}.json`);
+  }
+
+  static load(network) {
+    const manifestPath = this.getManifestPath(network);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`No deployment manifest found for network ${network} (expected manifests/${network}.json)`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    return new DeploymentManifest(data, manifestPath);
+  }
+
+  getContractNames() {
+    return Object.keys(this.contracts);
+  }
+
+  hasContract(name) {
+    return Object.prototype.hasOwnProperty.call(this.contracts, name);
+  }
+
+  getContract(name) {
+    if (!this.hasContract(name)) {
+      throw new Error(`Contract ${name} is not declared in ${this.source}`);
+    }
+    return this.contracts[name];
+  }
+
+  /**
+   * Contracts that must be deployed before `name`: every "${X.address}"
+   * reference in its args plus anything listed in "dependsOn".
+   */
+  getDependencies(name) {
+    const config = this.getContract(name);
+    const dependencies = new Set(config.dependsOn || []);
+
+    collectReferences(config.args || [], dependencies);
+
+    for (const dependency of dependencies) {
+      if (!this.hasContract(dependency)) {
+        throw new Error(`${name} depends on ${dependency}, which is not declared in ${this.source}`);
+      }
+    }
+
+    return [...dependencies];
+  }
+
+  /**
+   * Topologically sorted deployment order. When `names` is given only those
+   * contracts are returned; their dependencies outside the subset are
+   * expected to be deployed already. Throws on dependency cycles.
+   */
+  getDeploymentOrder(names = this.getContractNames()) {
+    const selected = new Set(names);
+    const order = [];
+    const state = {};
+
+    for (const name of selected) {
+      this.getContract(name);
+    }
+
+    const visit = (name, trail) => {
+      if (state[name] === "done") return;
+      if (state[name] === "visiting") {
+        const cycle = trail.slice(trail.indexOf(name)).concat(name);
+        throw new Error(`Dependency cycle detected: ${cycle.join(" -> ")}`);
+      }
+
+      state[name] = "visiting";
+      for (const dependency of this.getDependencies(name)) {
+        visit(dependency, trail.concat(name));
+      }
+      state[name] = "done";
+
+      if (selected.has(name)) {
+        order.push(name);
+      }
+    };
+
+    for (const name of this.getContractNames()) {
+      if (selected.has(name)) {
+        visit(name, []);
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Proxy settings for `name`, or null when it is deployed directly.
+   * The implementation defaults to "<name>Upgradeable" with an "initialize"
+   * initializer.
+   */
+  getProxyConfig(name) {
+    const { proxy } = this.getContract(name);
+    if (!proxy) return null;
+
+    const config = typeof proxy === "string" ? { kind: proxy } : proxy;
+    if (!PROXY_KINDS.includes(config.kind)) {
+      throw new Error(`${name}: unknown proxy kind "${config.kind}" (expected ${PROXY_KINDS.join(" or ")})`);
+    }
+
+    return {
+      kind: config.kind,
+      implementation: config.implementation || `${name}Upgradeable`,
+      initializer: config.initializer || "initialize"
+    };
+  }
+
+  /**
+   * CREATE2 salt for `name` as bytes32, or null for a regular deployment.
+   * Salts that are not 32-byte hex strings are hashed.
+   */
+  getCreate2Salt(name) {
+    const config = this.getContract(name);
+    if (config.salt === undefined) return null;
+
+    if (config.proxy) {
+      throw new Error(`${name}: "salt" cannot be combined with "proxy"`);
+    }
+
+    return toSalt(config.salt);
+  }
+
+  resolveArgs(name, addresses) {
+    const config = this.getContract(name);
+    return resolveValue(config.args || [], addresses, name, this.params);
+  }
+
+  getConfigurationSteps() {
+    return this.configure.map((step, index) => ({
+      id: step.id || `${step.contract}.${step.method}#${index}`,
+      ...step
+    }));
+  }
+
+  /**
+   * Configuration steps touching any of `names`, either as the target
+   * contract or through an address reference in the call arguments.
+   */
+  getConfigurationStepsFor(names) {
+    const selected = new Set(names);
+
+    return this.getConfigurationSteps().filter(step => {
+      const references = new Set();
+      collectReferences(step.args || [], references);
+      return selected.has(step.contract) || [...references].some(ref => selected.has(ref));
+    });
+  }
+
+  /**
+   * True when every contract a step needs has a known address.
+   */
+  canResolveStep(step, addresses) {
+    const references = new Set(step.address ? [] : [step.contract]);
+    collectReferences(step.args || [], references);
+    return [...references].every(ref => Boolean(addresses[ref]));
+  }
+
+  resolveStepArgs(step, addresses) {
+    return resolveValue(step.args || [], addresses, step.id || `${step.contract}.${step.method}`, this.params);
+  }
+
+  getChecks() {
+    return this.checks.map((check, index) => ({
+      id: check.id || `${check.contract}.${check.call}#${index}`,
+      ...check
+    }));
+  }
+
+  /**
+   * True when the check's contract and every reference in its args and
+   * expected value have a known address.
+   */
+  canResolveCheck(check, addresses) {
+    const references = new Set(check.address ? [] : [check.contract]);
+    collectReferences([check.args || [], check.expect], references);
+    return [...references].every(ref => Boolean(addresses[ref]));
+  }
+
+  resolveCheck(check, addresses) {
+    return {
+      args: resolveValue(check.args || [], addresses, check.id, this.params),
+      expected: resolveValue(check.expect, addresses, check.id, this.params)
+    };
+  }
+
+  /**
+   * Resolved "handoff" section, or null when contracts stay with the
+   * deployer. `owner` receives ownership of every Ownable contract,
+   * `feeRecipients` maps contracts to the account set with setFeeRecipient
+   * and `roles` lists grant/revoke/check functions moved from the deployer
+   * to the owner. Throws when an account is not a valid address.
+   */
+  getHandoff() {
+    if (!this.handoff) return null;
+
+    const resolveAccount = (value, context) => {
+      const account = resolveValue(value, {}, context, this.params);
+      if (typeof account !== "string" || !hre.ethers.isAddress(account) || account === hre.ethers.ZeroAddress) {
+        throw new Error(`${context} is not set to a valid address in ${this.source} (got "${account}")`);
+      }
+      return hre.ethers.getAddress(account);
+    };
+
+    const owner = resolveAccount(this.handoff.owner, "handoff.owner");
+    const feeRecipients = {};
+    for (const [name, recipient] of Object.entries(this.handoff.feeRecipients || {})) {
+      this.getContract(name);
+      feeRecipients[name] = resolveAccount(recipient, `handoff.feeRecipients.${name}`);
+    }
+
+    const roles = (this.handoff.roles || []).map((role, index) => {
+      this.getContract(role.contract);
+      if (!role.grant || !role.check) {
+        throw new Error(`handoff.roles[${index}]: "grant" and "check" are required`);
+      }
+      return role;
+    });
+
+    return { owner, feeRecipients, roles };
+  }
+}
+
+function collectReferences(value, references) {
+  if (typeof value === "string") {
+    const match = value.match(ADDRESS_REFERENCE);
+    if (match) references.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, references));
+  } else if (value && typeof value === "object" && value.ether === undefined) {
+    Object.values(value).forEach(item => collectReferences(item, references));
+  }
+}
+
+function resolveValue(value, addresses, context, params = {}) {
+  if (typeof value === "string") {
+    const param = value.match(PARAM_REFERENCE);
+    if (param) {
+      if (params[param[1]] === undefined) {
+        throw new Error(`${context}: unknown parameter ${value}`);
+      }
+      return resolveValue(params[param[1]], addresses, context, params);
+    }
+
+    const match = value.match(ADDRESS_REFERENCE);
+    if (!match) return value;
+
+    const address = addresses[match[1]];
+    if (!address) {
+      throw new Error(`${context}: unresolved reference ${value} (deploy ${match[1]} first)`);
+    }
+    return address;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, addresses, context, params));
+  }
+
+  if (value && typeof value === "object") {
+    if (value.ether !== undefined) {
+      return hre.ethers.parseEther(String(resolveValue(value.ether, addresses, context, params)));
+    }
+
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveValue(item, addresses, context, params);
+    }
+    return resolved;
+  }
+
+  return value;
+}
+
+module.exports = DeploymentManifest;
@@ -0,0 +1,84 @@
+const hre = require("hardhat");
+const { getCompiledRuntime } = require("./bytecode");
+
+/**
+ * Compiler version and settings configured in hardhat.config.js.
+ */
+function getCompilerConfig() {
+  return hre.config.solidity.compilers.map(({ version, settings }) => ({
+    version,
+    optimizer: settings.optimizer,
+    evmVersion: settings.evmVersion
+  }));
+}
+
+/**
+ * Hashes identifying the compiled artifact plus the exact compiler build
+ * and settings recorded in its build info. The immutable references locate
+ * the immutables in the deployed code, which a later compile may move.
+ */
+async function getArtifactMetadata(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+
+  const metadata = {
+    contract: fullyQualifiedName,
+    bytecodeHash: hre.ethers.keccak256(artifact.bytecode),
+    deployedBytecodeHash: hre.ethers.keccak256(artifact.deployedBytecode),
+    abiHash: hre.ethers.id(JSON.stringify(artifact.abi))
+  };
+
+  if (buildInfo) {
+    metadata.immutableReferences = (await getCompiledRuntime(contractName)).immutableReferences;
+    metadata.compiler = {
+      version: buildInfo.solcLongVersion,
+      optimizer: buildInfo.input.settings.optimizer,
+      evmVersion: buildInfo.input.settings.evmVersion
+    };
+  }
+
+  return metadata;
+}
+
+/**
+ * Everything needed to reproduce and audit a contract deployment, taken from
+ * its constructor arguments and deployment receipt.
+ */
+async function describeDeployment(contractName, args, receipt) {
+  return {
+    constructorArgs: serializeArgs(args),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    gasPrice: receipt.gasPrice.toString(),
+    deployer: receipt.from,
+    ...(await getArtifactMetadata(contractName))
+  };
+}
+
+/**
+ * Convert constructor arguments to JSON-safe values (bigints become
+ * decimal strings, which ethers accepts back for uint parameters).
+ */
+function serializeArgs(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serializeArgs);
+
+  if (value && typeof value === "object") {
+    const serialized = {};
+    for (const [key, item] of Object.entries(value)) {
+      serialized[key] = serializeArgs(item);
+    }
+    return serialized;
+  }
+
+  return value;
+}
+
+module.exports = {
+  getCompilerConfig,
+  getArtifactMetadata,
+  describeDeployment,
+  serializeArgs
+};
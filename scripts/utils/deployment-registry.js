@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+const REGISTRY_FILE = "registry.json";
+const DEPLOYMENT_FILE = /^(.+)-(\d+)\.json$/;
+
+// Per-contract fields compared by diff(), besides the address
+const DIFF_FIELDS = ["constructorArgs", "bytecodeHash"];
+
+/**
+ * Registry of the deployment records in deployments/.
+ *
+ * Each record is a `<network>-<timestamp>.json` file whose id is the file name
+ * without extension. registry.json keeps, per network, which record is
+ * "active" and the history of activations so it can be rolled back.
+ */
+class DeploymentRegistry {
+  constructor(deploymentsDir = DEPLOYMENTS_DIR) {
+    this.deploymentsDir = deploymentsDir;
+    this.registryPath = path.join(deploymentsDir, REGISTRY_FILE);
+  }
+
+  /**
+   * All deployments recorded for `network`, oldest first.
+   */
+  list(network) {
+    if (!fs.existsSync(this.deploymentsDir)) return [];
+
+    return fs.readdirSync(this.deploymentsDir)
+      .map(file => ({ file, match: file.match(DEPLOYMENT_FILE) }))
+      .filter(({ match }) => match && match[1] === network)
+      .map(({ file, match }) => ({
+        id: file.replace(/\.json$/, ""),
+        network,
+        timestamp: Number(match[2]),
+        file: path.join(this.deploymentsDir, file)
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  get(id) {
+    const file = path.join(this.deploymentsDir, `${id}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Deployment ${id} not found`);
+    }
+
+    return { id, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  }
+
+  /**
+   * Id of the active deployment for `network`. Networks that were never
+   * tagged fall back to their most recent deployment that did not fail.
+   */
+  getActiveId(network) {
+    const entry = this.readRegistry().networks[network];
+    if (entry && entry.active) return entry.active;
+
+    const deployments = this.list(network).filter(({ id }) => this.get(id).status !== "failed");
+    return deployments.length > 0 ? deployments[deployments.length - 1].id : null;
+  }
+
+  getActive(network) {
+    const id = this.getActiveId(network);
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * Write a new deployment record and make it the active one, unless the
+   * record is marked failed.
+   */
+  save(deployment) {
+    if (!fs.existsSync(this.deploymentsDir)) {
+      fs.mkdirSync(this.deploymentsDir, { recursive: true });
+    }
+
+    const id = `${deployment.network}-${Date.now()}`;
+    fs.writeFileSync(
+      path.join(this.deploymentsDir, `${id}.json`),
+      JSON.stringify(deployment, null, 2)
+    );
+
+    if (deployment.status !== "failed") {
+      this.setActive(deployment.network, id, "deployed");
+    }
+    return id;
+  }
+
+  setActive(network, id, reason = "manual") {
+    const deployment = this.get(id);
+    if (deployment.network !== network) {
+      throw new Error(`Deployment ${id} belongs to ${deployment.network}, not ${network}`);
+    }
+
+    const registry = this.readRegistry();
+    const entry = registry.networks[network] || { active: null, history: [] };
+
+    entry.history.push({
+      id,
+      previous: entry.active,
+      reason,
+      activatedAt: new Date().toISOString()
+    });
+    entry.active = id;
+
+    registry.networks[network] = entry;
+    this.writeRegistry(registry);
+  }
+
+  /**
+   * Point the active tag back to `id`, or to the previously active
+   * deployment when no id is given. Repeated rollbacks keep going back:
+   * the deployments they left are not returned to. Returns the newly
+   * active id.
+   */
+  rollback(network, id) {
+    let target = id;
+
+    if (!target) {
+      const stack = this.getActivationStack(network);
+      target = stack.length > 1 ? stack[stack.length - 2] : this.getPreviousId(network);
+
+      if (!target) {
+        throw new Error(`No earlier deployment to roll back to on network ${network}`);
+      }
+    }
+
+    this.setActive(network, target, "rollback");
+    return target;
+  }
+
+  /**
+   * Deployments that were active, oldest first and the active one last,
+   * without those a rollback left
+   */
+  getActivationStack(network) {
+    const history = this.getHistory(network);
+    const stack = history.length > 0 && history[0].previous ? [history[0].previous] : [];
+
+    for (const activation of history) {
+      if (activation.reason === "rollback") {
+        const index = stack.lastIndexOf(activation.id);
+        if (index >= 0) {
+          stack.splice(index + 1);
+          continue;
+        }
+        // Rolled back to a deployment that was never active: it replaces the one left
+        stack.pop();
+      }
+      if (stack[stack.length - 1] !== activation.id) stack.push(activation.id);
+    }
+
+    return stack;
+  }
+
+  getPreviousId(network) {
+    const ids = this.list(network).map(deployment => deployment.id);
+    const index = ids.indexOf(this.getActiveId(network));
+    return index > 0 ? ids[index - 1] : null;
+  }
+
+  getHistory(network) {
+    const entry = this.readRegistry().networks[network];
+    return entry ? entry.history : [];
+  }
+
+  /**
+   * Compare two deployments contract by contract: address, constructor
+   * arguments and bytecode hash (when the records carry them).
+   */
+  diff(fromId, toId) {
+    const from = this.get(fromId);
+    const to = this.get(toId);
+    const names = new Set([...Object.keys(from.contracts), ...Object.keys(to.contracts)]);
+    const result = { from: fromId, to: toId, added: [], removed: [], changed: [], unchanged: [] };
+
+    for (const name of names) {
+      if (!from.contracts[name]) {
+        result.added.push(name);
+        continue;
+      }
+      if (!to.contracts[name]) {
+        result.removed.push(name);
+        continue;
+      }
+
+      const changes = {};
+      if (from.contracts[name] !== to.contracts[name]) {
+        changes.address = { from: from.contracts[name], to: to.contracts[name] };
+      }
+
+      const fromDetails = (from.details || {})[name] || {};
+      const toDetails = (to.details || {})[name] || {};
+      for (const field of DIFF_FIELDS) {
+        if (fromDetails[field] === undefined || toDetails[field] === undefined) continue;
+        if (JSON.stringify(fromDetails[field]) !== JSON.stringify(toDetails[field])) {
+          changes[field] = { from: fromDetails[field], to: toDetails[field] };
+        }
+      }
+
+      if (Object.keys(changes).length > 0) {
+        result.changed.push({ contract: name, changes });
+      } else {
+        result.unchanged.push(name);
+      }
+    }
+
+    return result;
+  }
+
+  readRegistry() {
+    if (!fs.existsSync(this.registryPath)) {
+      return { networks: {} };
+    }
+    return JSON.parse(fs.readFileSync(this.registryPath, "utf8"));
+  }
+
+  writeRegistry(registry) {
+    const tempFile = `${this.registryPath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(registry, null, 2));
+    fs.renameSync(tempFile, this.registryPath);
+  }
+}
+
+module.exports = DeploymentRegistry;
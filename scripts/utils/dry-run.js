@@ -0,0 +1,224 @@
+const hre = require("hardhat");
+const { spawnSync } = require("child_process");
+const { deployProxy } = require("./proxy-deployer");
+const { deployCreate2 } = require("./create2");
+
+function isDryRun() {
+  return process.argv.includes("--dry-run") || process.env.DEPLOY_DRY_RUN === "true";
+}
+
+/**
+ * Network a deployment is planned for. During a dry run the script runs on
+ * the in-process Hardhat network, and this is the network it rehearses.
+ */
+function getTargetNetwork() {
+  return process.env.DRY_RUN_NETWORK || hre.network.name;
+}
+
+/**
+ * Rerun the current script on the in-process Hardhat network, so nothing
+ * can be broadcast to the network it was started with.
+ */
+function relaunchInProcess() {
+  const result = spawnSync(process.execPath, process.argv.slice(1), {
+    stdio: "inherit",
+    env: {
+      ...process.env,
+      HARDHAT_NETWORK: "hardhat",
+      DRY_RUN_NETWORK: hre.network.name,
+      DEPLOY_DRY_RUN: "true"
+    }
+  });
+
+  if (result.status !== 0) {
+    throw new Error(`Dry run exited with code ${result.status}`);
+  }
+}
+
+/**
+ * Fork the target network into the in-process chain and act as its deployer.
+ * Networks without an RPC url are rehearsed on a fresh chain instead.
+ */
+async function prepareChain(network) {
+  const config = hre.config.networks[network];
+
+  if (network === "hardhat" || !config || !config.url) {
+    const [signer] = await hre.ethers.getSigners();
+    return { signer, balance: await hre.ethers.provider.getBalance(signer.address), forkBlock: null };
+  }
+
+  const deployer = await getDeployerAddress(network, config);
+
+  await hre.network.provider.request({
+    method: "hardhat_reset",
+    params: [{ forking: { jsonRpcUrl: config.url } }]
+  });
+  await hre.network.provider.request({ method: "hardhat_impersonateAccount", params: [deployer] });
+
+  // Keep the real balance for the report, then top up so a short balance
+  // does not hide reverts further down the deployment
+  const balance = await hre.ethers.provider.getBalance(deployer);
+  await hre.network.provider.request({
+    method: "hardhat_setBalance",
+    params: [deployer, "0x" + hre.ethers.parseEther("1000000").toString(16)]
+  });
+
+  return {
+    signer: await hre.ethers.getSigner(deployer),
+    balance,
+    forkBlock: await hre.ethers.provider.getBlockNumber()
+  };
+}
+
+async function getDeployerAddress(network, config) {
+  if (Array.isArray(config.accounts)) {
+    if (config.accounts.length === 0) {
+      throw new Error(`No deployer account configured for network ${network}`);
+    }
+    return new hre.ethers.Wallet(config.accounts[0]).address;
+  }
+
+  const [account] = await new hre.ethers.JsonRpcProvider(config.url).send("eth_accounts", []);
+  if (!account) {
+    throw new Error(`Node at ${config.url} exposes no accounts`);
+  }
+  return account;
+}
+
+/**
+ * Deploy `order` and run the configuration `steps` with `signer`, recording
+ * gas used and reverts instead of stopping at the first failure. `existing`
+ * maps already deployed contracts; entries without code on this chain are
+ * ignored.
+ */
+async function simulateDeployment(manifest, order, steps, signer, existing = {}) {
+  const addresses = {};
+  const results = [];
+
+  for (const [name, address] of Object.entries(existing)) {
+    if ((await hre.ethers.provider.getCode(address)) !== "0x") {
+      addresses[name] = address;
+    }
+  }
+
+  for (const contractName of order) {
+    const missing = manifest.getDependencies(contractName).filter(dep => !addresses[dep]);
+    if (missing.length > 0) {
+      results.push({ type: "deploy", name: contractName, status: "skipped", reason: `missing ${missing.join(", ")}` });
+      continue;
+    }
+
+    try {
+      const args = manifest.resolveArgs(contractName, addresses);
+      const salt = manifest.getCreate2Salt(contractName);
+      const proxyConfig = manifest.getProxyConfig(contractName);
+
+      if (salt) {
+        const { address, gasUsed } = await deployCreate2(contractName, args, salt, signer);
+        addresses[contractName] = address;
+        results.push({ type: "deploy", name: `${contractName} (CREATE2)`, status: "ok", address, gasUsed });
+        continue;
+      }
+
+      if (proxyConfig) {
+        const { address, gasUsed } = await deployProxy(contractName, proxyConfig, args, signer);
+        addresses[contractName] = address;
+        results.push({ type: "deploy", name: `${contractName} (${proxyConfig.kind} proxy)`, status: "ok", address, gasUsed });
+        continue;
+      }
+
+      const Contract = await hre.ethers.getContractFactory(contractName, signer);
+      const contract = await Contract.deploy(...args);
+      const receipt = await contract.deploymentTransaction().wait();
+
+      addresses[contractName] = receipt.contractAddress;
+      results.push({ type: "deploy", name: contractName, status: "ok", address: receipt.contractAddress, gasUsed: receipt.gasUsed });
+    } catch (error) {
+      results.push({ type: "deploy", name: contractName, status: "reverted", reason: error.shortMessage || error.message });
+    }
+  }
+
+  for (const step of steps) {
+    if (!manifest.canResolveStep(step, addresses)) {
+      results.push({ type: "configure", name: step.id, status: "skipped", reason: "required contracts not deployed" });
+      continue;
+    }
+
+    try {
+      const contract = await hre.ethers.getContractAt(step.contract, addresses[step.contract], signer);
+      const tx = await contract[step.method](...manifest.resolveStepArgs(step, addresses));
+      const receipt = await tx.wait();
+
+      results.push({ type: "configure", name: step.id, status: "ok", gasUsed: receipt.gasUsed });
+    } catch (error) {
+      results.push({ type: "configure", name: step.id, status: "reverted", reason: error.shortMessage || error.message });
+    }
+  }
+
+  return { addresses, results };
+}
+
+function printReport(network, chain, results, gasPrice) {
+  const totalGas = results.reduce((sum, result) => sum + (result.gasUsed || 0n), 0n);
+  const totalCost = totalGas * gasPrice;
+
+  console.log(`\n🧪 Dry run for ${network}`);
+  console.log("=" .repeat(50));
+  console.log(chain.forkBlock === null ? "Chain: fresh in-process chain" : `Chain: fork of ${network} at block ${chain.forkBlock}`);
+  console.log("Deployer:", chain.signer.address);
+
+  for (const result of results) {
+    const label = `${result.type} ${result.name}`.padEnd(40);
+
+    if (result.status === "ok") {
+      const cost = hre.ethers.formatEther(result.gasUsed * gasPrice);
+      console.log(`✅ ${label} ${result.gasUsed.toString().padStart(10)} gas  ${cost} ETH${result.address ? `  -> ${result.address}` : ""}`);
+    } else if (result.status === "skipped") {
+      console.log(`⏭️  ${label} skipped: ${result.reason}`);
+    } else {
+      console.log(`❌ ${label} reverted: ${result.reason}`);
+    }
+  }
+
+  console.log("=" .repeat(50));
+  console.log("Total gas:", totalGas.toString());
+  console.log("Gas price:", hre.ethers.formatUnits(gasPrice, "gwei"), "gwei");
+  console.log("Estimated cost:", hre.ethers.formatEther(totalCost), "ETH");
+  console.log("Deployer balance:", hre.ethers.formatEther(chain.balance), "ETH");
+
+  if (chain.balance < totalCost) {
+    console.log("⚠️  Deployer balance does not cover the estimated cost");
+  }
+}
+
+/**
+ * Rehearse a deployment of `order` plus configuration `steps` without
+ * broadcasting anything. Throws when any deployment or step reverts.
+ */
+async function dryRun(manifest, order, steps, existing = {}) {
+  if (hre.network.name !== "hardhat") {
+    relaunchInProcess();
+    return;
+  }
+
+  const network = getTargetNetwork();
+  const chain = await prepareChain(network);
+  const { gasPrice } = await hre.ethers.provider.getFeeData();
+
+  console.log(`🧪 Dry run: rehearsing deployment to ${network}, nothing will be broadcast`);
+
+  const { results } = await simulateDeployment(manifest, order, steps, chain.signer, existing);
+  printReport(network, chain, results, gasPrice);
+
+  const reverted = results.filter(result => result.status === "reverted");
+  if (reverted.length > 0) {
+    throw new Error(`Dry run found ${reverted.length} reverted transaction(s)`);
+  }
+}
+
+module.exports = {
+  isDryRun,
+  getTargetNetwork,
+  simulateDeployment,
+  dryRun
+};
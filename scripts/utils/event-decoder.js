@@ -0,0 +1,144 @@
+const hre = require("hardhat");
+
+const { ZeroAddress } = hre.ethers;
+const ETH_DECIMALS = 18;
+const DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+// uint parameters read as ids, points in time and durations; the other
+// uint256 values are token amounts
+const ID_PARAM = /(^id$|Id$)/;
+const TIME_PARAM = /(^timestamp$|Time$)/;
+const DURATION_PARAM = /(Duration|Delay|Period)$/;
+// Address parameters naming the token an event's amounts are paid in
+const PAYMENT_TOKEN_PARAMS = ["paymentToken", "token"];
+
+/**
+ * Decodes any event of `contract` from its ABI into plain JSON values:
+ * addresses and strings as they are, ids as strings, timestamps as ISO
+ * dates, durations and small integers as numbers, and amounts formatted
+ * with the decimals of the token they are in.
+ *
+ * An amount is in the token its name points at (amountIn -> tokenIn), else
+ * in the event's paymentToken or token, else in the contract's own token:
+ * the contract itself when it has decimals(), or the address returned by a
+ * view such as stakingToken(). Amounts in the zero address or in contracts
+ * without a token are ETH. Amounts in tokens without decimals() are left as
+ * raw strings.
+ */
+class EventDecoder {
+  constructor(contract, provider = hre.ethers.provider) {
+    this.contract = contract;
+    this.provider = provider;
+    this.decimals = new Map([[ZeroAddress, ETH_DECIMALS]]);
+    this.defaultToken = undefined;
+  }
+
+  getEventFragments() {
+    return this.contract.interface.fragments.filter(fragment => fragment.type === "event");
+  }
+
+  async getDefaultToken() {
+    if (this.defaultToken === undefined) {
+      const views = this.contract.interface.fragments.filter(fragment =>
+        fragment.type === "function" && fragment.constant && fragment.inputs.length === 0
+      );
+      const getter = views.find(fragment =>
+        /token$/i.test(fragment.name) && fragment.outputs.length === 1 && fragment.outputs[0].type === "address"
+      );
+
+      if (views.some(fragment => fragment.name === "decimals")) {
+        this.defaultToken = await this.contract.getAddress();
+      } else {
+        this.defaultToken = getter ? await this.contract.getFunction(getter.format())() : ZeroAddress;
+      }
+    }
+
+    return this.defaultToken;
+  }
+
+  async getDecimals(token) {
+    if (!this.decimals.has(token)) {
+      try {
+        const erc20 = new hre.ethers.Contract(token, DECIMALS_ABI, this.provider);
+        this.decimals.set(token, Number(await erc20.decimals()));
+      } catch (error) {
+        this.decimals.set(token, null);
+      }
+    }
+
+    return this.decimals.get(token);
+  }
+
+  async getAmountToken(name, values) {
+    const suffix = name.match(/^amount([A-Z]\w*)$/);
+    if (suffix && typeof values[`token${suffix[1]}`] === "string") {
+      return values[`token${suffix[1]}`];
+    }
+
+    const param = PAYMENT_TOKEN_PARAMS.find(candidate => typeof values[candidate] === "string");
+    return param ? values[param] : this.getDefaultToken();
+  }
+
+  /**
+   * Decoded arguments of `fragment` (an EventFragment) from its `args`
+   */
+  async decode(fragment, args) {
+    const values = Object.fromEntries(fragment.inputs.map((param, index) => [param.name, args[index]]));
+    const data = {};
+
+    for (const param of fragment.inputs) {
+      data[param.name] = await this.formatValue(param, values[param.name], values);
+    }
+
+    return data;
+  }
+
+  /**
+   * Event name and decoded arguments of a raw log, or null when the log is
+   * not one of the contract's events
+   */
+  async decodeLog(log) {
+    const parsed = this.contract.interface.parseLog(log);
+    if (!parsed) return null;
+
+    return { event: parsed.name, data: await this.decode(parsed.fragment, parsed.args) };
+  }
+
+  async formatValue(param, value, values) {
+    // Indexed strings, bytes and arrays are only logged as their hash
+    if (value && value._isIndexed) return value.hash;
+
+    if (param.baseType === "array" || param.baseType === "tuple") {
+      return plain(value);
+    }
+
+    if (!/^u?int/.test(param.type)) return value;
+
+    const bits = Number(param.type.replace(/^u?int/, "") || 256);
+    if (ID_PARAM.test(param.name)) return value.toString();
+    if (TIME_PARAM.test(param.name)) return new Date(Number(value) * 1000).toISOString();
+    if (DURATION_PARAM.test(param.name) || bits <= 48) return Number(value);
+
+    const decimals = await this.getDecimals(await this.getAmountToken(param.name, values));
+    return decimals === null ? value.toString() : hre.ethers.formatUnits(value, decimals);
+  }
+}
+
+// Result arrays and structs as JSON values
+function plain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return Array.from(value, plain);
+  return value;
+}
+
+/**
+ * Whether `contractName`.`eventName` passes the filters. `include` and
+ * `exclude` list contracts ("BaseDEX") or single events
+ * ("BaseMarketplace.ItemSold"); an empty include list includes everything.
+ */
+function matchesFilter(contractName, eventName, { include = [], exclude = [] } = {}) {
+  const matches = (entry) => entry === contractName || entry === `${contractName}.${eventName}`;
+  return (include.length === 0 || include.some(matches)) && !exclude.some(matches);
+}
+
+module.exports = { EventDecoder, matchesFilter };
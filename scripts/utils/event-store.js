@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+const STORE_DIR = path.join(__dirname, "../../logs/event-store");
+// New records between index saves; the index catches up from the event file
+// on open, so saving it less often only costs replay time
+const INDEX_SAVE_INTERVAL = 500;
+
+/**
+ * chain:contract:event:block:logIndex, the identity of a stored event
+ */
+function eventKey(entry) {
+  return `${entry.chainId}:${entry.contract}:${entry.event}:${entry.blockNumber}:${entry.logIndex}`;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+function toMillis(time) {
+  return time instanceof Date ? time.getTime() : typeof time === "number" ? time : Date.parse(time);
+}
+
+// Whether any address among an event's arguments is `address`
+function hasAddress(data, address) {
+  const wanted = address.toLowerCase();
+  return Object.values(data).some(value =>
+    Array.isArray(value)
+      ? value.some(item => typeof item === "string" && item.toLowerCase() === wanted)
+      : typeof value === "string" && value.toLowerCase() === wanted
+  );
+}
+
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Append-only event store of one network, in logs/event-store/<network>/:
+ *
+ * - events.jsonl: one event per line, appended and fsynced before an append
+ *   returns. Events removed by a reorg are followed by a tombstone line
+ *   ({ key, removed: true }); the file is never rewritten.
+ * - index.json: byte offset and block time of every live event by key, and
+ *   how much of events.jsonl it covers. It is derived data: on open the
+ *   store replays whatever the index does not cover yet, and drops a
+ *   partial last line left by a crash mid-append.
+ * - cursor.json: the indexer's cursor (see monitor/event-indexer).
+ *
+ * Events are keyed by chain, contract, event, block and log index; appending
+ * a stored event again is a no-op. Queries filter on the index and only read
+ * the matching lines.
+ */
+class EventStore {
+  constructor(network = hre.network.name, options = {}) {
+    this.network = network;
+    this.dir = options.dir || path.join(STORE_DIR, network);
+    this.file = path.join(this.dir, "events.jsonl");
+    this.indexFile = path.join(this.dir, "index.json");
+    this.cursorFile = path.join(this.dir, "cursor.json");
+    this.unsaved = 0;
+    this.open();
+  }
+
+  /**
+   * The store of `network`, or null when nothing was ever stored there
+   */
+  static openExisting(network = hre.network.name, options = {}) {
+    const dir = options.dir || path.join(STORE_DIR, network);
+    return fs.existsSync(path.join(dir, "events.jsonl")) ? new EventStore(network, options) : null;
+  }
+
+  // Nothing is created until the first write
+  open() {
+    this.repairTail();
+    const size = this.fileSize();
+
+    this.index = { size: 0, keys: {} };
+    if (fs.existsSync(this.indexFile)) {
+      try {
+        const index = JSON.parse(fs.readFileSync(this.indexFile, "utf8"));
+        // An index ahead of the event file belongs to another file
+        if (index.size <= size) this.index = index;
+      } catch (error) {
+        console.log(`⚠️  Rebuilding the event index of ${this.network}: ${error.message}`);
+      }
+    }
+
+    this.refresh();
+  }
+
+  fileSize() {
+    return fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+  }
+
+  // Cut a partial last line, the trace of a crash during an append
+  repairTail() {
+    const size = this.fileSize();
+    if (size === 0) return;
+
+    const fd = fs.openSync(this.file, "r+");
+    try {
+      const tail = Buffer.alloc(Math.min(size, 64 * 1024));
+      let end = size;
+      let lastNewline = -1;
+
+      while (end > 0 && lastNewline < 0) {
+        const start = Math.max(0, end - tail.length);
+        const read = fs.readSync(fd, tail, 0, end - start, start);
+        const at = tail.subarray(0, read).lastIndexOf(0x0a);
+        if (at >= 0) lastNewline = start + at;
+        end = start;
+      }
+
+      if (lastNewline + 1 < size) {
+        console.log(`⚠️  Dropping a partial event record at the end of ${this.file}`);
+        fs.ftruncateSync(fd, lastNewline + 1);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Index the records appended since the index was last brought up to date,
+   * by this process or another one
+   */
+  refresh() {
+    const size = this.fileSize();
+    if (size <= this.index.size) return;
+
+    const buffer = Buffer.alloc(size - this.index.size);
+    const fd = fs.openSync(this.file, "r");
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, this.index.size);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    let offset = this.index.size;
+    let start = 0;
+    for (let end = buffer.indexOf(0x0a); end >= 0; end = buffer.indexOf(0x0a, start)) {
+      const line = buffer.subarray(start, end).toString("utf8");
+      if (line.trim()) {
+        this.apply(JSON.parse(line), offset + start, end - start);
+        this.unsaved++;
+      }
+      start = end + 1;
+    }
+
+    // A line still being written by another process is picked up next time
+    this.index.size = offset + start;
+  }
+
+  apply(record, offset, length) {
+    if (record.removed) {
+      delete this.index.keys[record.key];
+    } else {
+      this.index.keys[record.key] = [offset, length, Math.floor(Date.parse(record.timestamp) / 1000)];
+    }
+  }
+
+  has(entry) {
+    return Object.prototype.hasOwnProperty.call(this.index.keys, eventKey(entry));
+  }
+
+  /**
+   * Store the entries that are not stored yet; returns how many were new
+   */
+  append(entries) {
+    this.refresh();
+
+    const seen = new Set();
+    const fresh = entries.filter(entry => {
+      const key = eventKey(entry);
+      if (this.has(entry) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    this.write(fresh.map(entry => ({ key: eventKey(entry), ...entry })));
+    return fresh.length;
+  }
+
+  /**
+   * Remove the events of blocks `fromBlock` and later, e.g. blocks a reorg
+   * replaced. Returns the removed entries.
+   */
+  remove({ fromBlock }) {
+    const removed = this.query({ fromBlock });
+    this.write(removed.map(entry => ({ key: eventKey(entry), removed: true, blockNumber: entry.blockNumber })));
+    return removed;
+  }
+
+  write(records) {
+    if (records.length === 0) return;
+
+    const lines = records.map(record => Buffer.from(`${JSON.stringify(record)}\n`));
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fd = fs.openSync(this.file, "a");
+    try {
+      fs.writeSync(fd, Buffer.concat(lines));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    let offset = this.index.size;
+    records.forEach((record, i) => {
+      this.apply(record, offset, lines[i].length - 1);
+      offset += lines[i].length;
+    });
+    this.index.size = offset;
+
+    this.unsaved += records.length;
+    if (this.unsaved >= INDEX_SAVE_INTERVAL) this.saveIndex();
+  }
+
+  saveIndex() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeFileAtomic(this.indexFile, JSON.stringify(this.index));
+    this.unsaved = 0;
+  }
+
+  /**
+   * Stored events in chain order (newest first with order "desc"). Every
+   * filter is optional:
+   * - contract, event: a name or a list of names
+   * - address: an address among the event's arguments
+   * - fromTime, toTime: block time as a Date, ISO string or milliseconds;
+   *   fromTime is inclusive, toTime exclusive
+   * - fromBlock, toBlock: inclusive block range
+   * - limit: at most this many events
+   */
+  query(filter = {}) {
+    this.refresh();
+
+    const contracts = toList(filter.contract);
+    const events = toList(filter.event);
+    const fromTime = filter.fromTime === undefined ? -Infinity : toMillis(filter.fromTime) / 1000;
+    const toTime = filter.toTime === undefined ? Infinity : toMillis(filter.toTime) / 1000;
+    const fromBlock = filter.fromBlock === undefined ? -Infinity : filter.fromBlock;
+    const toBlock = filter.toBlock === undefined ? Infinity : filter.toBlock;
+
+    const matches = [];
+    for (const [key, [offset, length, time]] of Object.entries(this.index.keys)) {
+      const [, contract, event, block, logIndex] = key.split(":");
+      const blockNumber = Number(block);
+
+      if (contracts && !contracts.includes(contract)) continue;
+      if (events && !events.includes(event)) continue;
+      if (blockNumber < fromBlock || blockNumber > toBlock) continue;
+      if (time < fromTime || time >= toTime) continue;
+
+      matches.push({ offset, length, blockNumber, logIndex: Number(logIndex) });
+    }
+
+    matches.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    if (filter.order === "desc") matches.reverse();
+
+    const results = [];
+    if (matches.length === 0) return results;
+
+    const fd = fs.openSync(this.file, "r");
+    try {
+      for (const match of matches) {
+        const buffer = Buffer.alloc(match.length);
+        fs.readSync(fd, buffer, 0, match.length, match.offset);
+        const { key, ...entry } = JSON.parse(buffer.toString("utf8"));
+
+        if (filter.address && !hasAddress(entry.data, filter.address)) continue;
+        results.push(entry);
+        if (filter.limit && results.length >= filter.limit) break;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return results;
+  }
+
+  count() {
+    this.refresh();
+    return Object.keys(this.index.keys).length;
+  }
+
+  /**
+   * Indexer cursor: { deploymentId, blockNumber, blockHash, updatedAt }, or null
+   */
+  readCursor() {
+    return fs.existsSync(this.cursorFile) ? JSON.parse(fs.readFileSync(this.cursorFile, "utf8")) : null;
+  }
+
+  writeCursor(cursor) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeFileAtomic(this.cursorFile, JSON.stringify({ ...cursor, updatedAt: new Date().toISOString() }, null, 2));
+  }
+
+  close() {
+    if (this.unsaved > 0) this.saveIndex();
+  }
+}
+
+module.exports = { EventStore, eventKey, STORE_DIR };
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+const SAMPLES_DIR = path.join(__dirname, "../../logs");
+// eth_feeHistory returns at most 1024 blocks per call on most RPCs
+const MAX_FEE_HISTORY_BLOCKS = 1024;
+const PERCENTILES = [10, 50, 90];
+
+// OP Stack predeploy that prices the L1 data of an L2 transaction (Base, Base Sepolia)
+const GAS_PRICE_ORACLE = "0x420000000000000000000000000000000000000F";
+const GAS_PRICE_ORACLE_ABI = ["function getL1Fee(bytes _data) view returns (uint256)"];
+
+/**
+ * Base fee and priority fees of the latest `blockCount` blocks, one sample
+ * per block. `priorityFee` holds the block's p10/p50/p90 effective tip.
+ */
+async function sampleFeeHistory(blockCount = 100, provider = hre.ethers.provider) {
+  const count = Math.min(blockCount, MAX_FEE_HISTORY_BLOCKS);
+  const history = await provider.send("eth_feeHistory", [hre.ethers.toQuantity(count), "latest", PERCENTILES]);
+  const oldestBlock = Number(history.oldestBlock);
+  const sampledAt = new Date().toISOString();
+
+  // baseFeePerGas has one extra entry: the next block's base fee
+  return history.gasUsedRatio.map((gasUsedRatio, index) => ({
+    block: oldestBlock + index,
+    baseFeePerGas: BigInt(history.baseFeePerGas[index]).toString(),
+    priorityFee: Object.fromEntries(PERCENTILES.map((p, i) => [
+      `p${p}`,
+      BigInt(history.reward ? history.reward[index][i] : 0).toString()
+    ])),
+    gasUsedRatio,
+    sampledAt
+  }));
+}
+
+function samplesFile(network) {
+  return path.join(SAMPLES_DIR, `gas-samples-${network}.jsonl`);
+}
+
+/**
+ * Stored samples for `network`, oldest first
+ */
+function loadSamples(network) {
+  const file = samplesFile(network);
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, "utf8")
+    .split("\n")
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Append the samples for blocks not stored yet; returns how many were new
+ */
+function appendSamples(network, samples) {
+  const stored = new Set(loadSamples(network).map(sample => sample.block));
+  const fresh = samples.filter(sample => !stored.has(sample.block));
+
+  if (fresh.length > 0) {
+    fs.mkdirSync(SAMPLES_DIR, { recursive: true });
+    fs.appendFileSync(samplesFile(network), fresh.map(sample => `${JSON.stringify(sample)}\n`).join(""));
+  }
+
+  return fresh.length;
+}
+
+/**
+ * Nearest-rank percentile of bigint values
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0n;
+
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(rank, 1) - 1];
+}
+
+/**
+ * p10/p50/p90 of the base fee and of each block's median tip across
+ * `samples`. A fee level is their sum: what a transaction paid in a cheap,
+ * typical and busy block.
+ */
+function getFeeLevels(samples) {
+  const baseFees = samples.map(sample => BigInt(sample.baseFeePerGas));
+  const tips = samples.map(sample => BigInt(sample.priorityFee.p50));
+
+  return Object.fromEntries(PERCENTILES.map(p => {
+    const baseFeePerGas = percentile(baseFees, p);
+    const priorityFeePerGas = percentile(tips, p);
+    return [`p${p}`, { baseFeePerGas, priorityFeePerGas, feePerGas: baseFeePerGas + priorityFeePerGas }];
+  }));
+}
+
+/**
+ * L1 data fee of sending `tx` on an OP Stack chain, or null on chains
+ * without the gas price oracle
+ */
+async function getL1Fee(tx, provider = hre.ethers.provider) {
+  if ((await provider.getCode(GAS_PRICE_ORACLE)) === "0x") {
+    return null;
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const unsigned = hre.ethers.Transaction.from({
+    type: 2,
+    chainId,
+    nonce: tx.nonce || 0,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value || 0n,
+    gasLimit: tx.gasLimit,
+    maxFeePerGas: tx.maxFeePerGas || 0n,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas || 0n
+  });
+
+  const oracle = new hre.ethers.Contract(GAS_PRICE_ORACLE, GAS_PRICE_ORACLE_ABI, provider);
+  return oracle.getL1Fee(unsigned.unsignedSerialized);
+}
+
+module.exports = {
+  GAS_PRICE_ORACLE,
+  sampleFeeHistory,
+  loadSamples,
+  appendSamples,
+  percentile,
+  getFeeLevels,
+  getL1Fee
+};
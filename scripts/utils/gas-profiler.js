@@ -0,0 +1,241 @@
+const hre = require("hardhat");
+
+/**
+ * Records the gas used by deployments and function calls on the in-process
+ * hardhat network.
+ *
+ * Measurements are keyed by contract name and function name (the full
+ * signature for overloaded functions such as safeTransferFrom), with an
+ * optional label for a second case of the same function, e.g.
+ * "addLiquidity (first deposit)". A call that reverts is recorded with its
+ * reason instead of failing the run.
+ */
+class GasProfiler {
+  constructor() {
+    this.measurements = [];
+    this.contractNames = new Map();
+  }
+
+  /**
+   * Deploy `name` and record its deployment gas as "constructor"
+   */
+  async deploy(name, args = [], { from } = {}) {
+    const contract = await hre.ethers.deployContract(name, args, from);
+    const receipt = await contract.deploymentTransaction().wait();
+    await contract.waitForDeployment();
+
+    this.contractNames.set(await contract.getAddress(), name);
+    this.record(name, "constructor", { gasUsed: receipt.gasUsed });
+    return contract;
+  }
+
+  /**
+   * Send `contract.method(...args)` and record the gas it used.
+   * Returns the receipt, or null when the call reverted.
+   */
+  async measure(contract, method, args = [], { from, value, label } = {}) {
+    const name = this.contractNames.get(await contract.getAddress());
+    if (!name) {
+      throw new Error(`Contract at ${await contract.getAddress()} was not deployed by the profiler`);
+    }
+
+    const fragment = contract.interface.getFunction(method);
+    const key = functionKey(contract.interface, fragment);
+    const overrides = value === undefined ? {} : { value };
+
+    try {
+      const target = from ? contract.connect(from) : contract;
+      const tx = await target.getFunction(fragment.format())(...args, overrides);
+      const receipt = await tx.wait();
+
+      this.record(name, key, { label, gasUsed: receipt.gasUsed });
+      return receipt;
+    } catch (error) {
+      this.record(name, key, { label, error: revertReason(error) });
+      return null;
+    }
+  }
+
+  record(contract, method, { label, gasUsed, error }) {
+    this.measurements.push({
+      contract,
+      method,
+      key: label ? `${method} (${label})` : method,
+      gasUsed: gasUsed === undefined ? undefined : Number(gasUsed),
+      error
+    });
+  }
+
+  /**
+   * Public state-changing functions of each profiled contract that no
+   * measurement (successful or reverted) covers
+   */
+  async getUnmeasured() {
+    const unmeasured = {};
+
+    for (const name of new Set(this.contractNames.values())) {
+      const artifact = await hre.artifacts.readArtifact(name);
+      const iface = new hre.ethers.Interface(artifact.abi);
+      const measured = new Set(this.measurements.filter(m => m.contract === name).map(m => m.method));
+      const missing = getStateChangingFunctions(iface).filter(key => !measured.has(key));
+
+      if (missing.length > 0) {
+        unmeasured[name] = missing;
+      }
+    }
+
+    return unmeasured;
+  }
+
+  /**
+   * Baseline shape: { contracts: { BaseDEX: { swap: 81234, ... } }, reverted, unmeasured }
+   */
+  async toBaseline() {
+    const contracts = {};
+    const reverted = {};
+
+    for (const measurement of this.measurements) {
+      if (measurement.error) {
+        reverted[measurement.contract] = reverted[measurement.contract] || {};
+        reverted[measurement.contract][measurement.key] = measurement.error;
+        continue;
+      }
+      contracts[measurement.contract] = contracts[measurement.contract] || {};
+      contracts[measurement.contract][measurement.key] = measurement.gasUsed;
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      network: hre.network.name,
+      solcVersion: hre.config.solidity.compilers[0].version,
+      contracts,
+      reverted,
+      unmeasured: await this.getUnmeasured()
+    };
+  }
+}
+
+/**
+ * Non-view, non-pure functions keyed the same way as measurements
+ */
+function getStateChangingFunctions(iface) {
+  const keys = [];
+  iface.forEachFunction(fragment => {
+    if (fragment.stateMutability !== "view" && fragment.stateMutability !== "pure") {
+      keys.push(functionKey(iface, fragment));
+    }
+  });
+  return keys.sort();
+}
+
+// "VM Exception ... reverted with reason string 'X'" -> "X"
+function revertReason(error) {
+  const message = error.shortMessage || error.message.split("\n")[0];
+  const match = message.match(/reverted with (?:reason string '(.*)'|(.*))$/);
+  return match ? match[1] || match[2] : message;
+}
+
+function functionKey(iface, fragment) {
+  let overloads = 0;
+  iface.forEachFunction(other => {
+    if (other.name === fragment.name) overloads++;
+  });
+  return overloads > 1 ? fragment.format() : fragment.name;
+}
+
+// Same bands as the gas tracker's efficiency ratings
+function rateGas(gasUsed) {
+  if (gasUsed < 100000) return "🟢";
+  if (gasUsed < 200000) return "🟡";
+  return "🔴";
+}
+
+function printProfile(baseline) {
+  const names = new Set([
+    ...Object.keys(baseline.contracts),
+    ...Object.keys(baseline.reverted),
+    ...Object.keys(baseline.unmeasured)
+  ]);
+
+  for (const name of names) {
+    console.log(`\n📄 ${name}`);
+    console.log("-" .repeat(70));
+
+    for (const [key, gasUsed] of Object.entries(baseline.contracts[name] || {})) {
+      console.log(`${rateGas(gasUsed)} ${key.padEnd(50)} ${gasUsed.toString().padStart(10)}`);
+    }
+    for (const [key, error] of Object.entries(baseline.reverted[name] || {})) {
+      console.log(`❌ ${key.padEnd(50)} ${"REVERTED".padStart(10)} - ${error}`);
+    }
+    for (const key of baseline.unmeasured[name] || []) {
+      console.log(`⏭️  ${key.padEnd(50)} ${"-".padStart(10)} (not measured)`);
+    }
+  }
+}
+
+/**
+ * Compare two baselines per contract and function. An increase of more
+ * than `threshold` percent is a regression; functions that are in only one
+ * of them are listed as added or removed.
+ */
+function diffBaselines(baseline, current, threshold) {
+  const diff = { threshold, regressions: [], improvements: [], unchanged: 0, added: [], removed: [] };
+  const names = new Set([...Object.keys(baseline.contracts), ...Object.keys(current.contracts)]);
+
+  for (const contract of names) {
+    const before = baseline.contracts[contract] || {};
+    const after = current.contracts[contract] || {};
+
+    for (const [key, gasUsed] of Object.entries(after)) {
+      if (before[key] === undefined) {
+        diff.added.push({ contract, key, current: gasUsed });
+        continue;
+      }
+
+      const change = ((gasUsed - before[key]) / before[key]) * 100;
+      const entry = { contract, key, baseline: before[key], current: gasUsed, change: Number(change.toFixed(2)) };
+
+      if (change > threshold) {
+        diff.regressions.push(entry);
+      } else if (gasUsed < before[key]) {
+        diff.improvements.push(entry);
+      } else {
+        diff.unchanged++;
+      }
+    }
+
+    for (const [key, gasUsed] of Object.entries(before)) {
+      if (after[key] === undefined) {
+        diff.removed.push({ contract, key, baseline: gasUsed, reason: (current.reverted[contract] || {})[key] || "not measured" });
+      }
+    }
+  }
+
+  return diff;
+}
+
+function printDiff(diff) {
+  const row = (entry) => `${`${entry.contract}.${entry.key}`.padEnd(55)} ${entry.baseline.toString().padStart(10)} -> ${entry.current.toString().padStart(10)}`;
+
+  for (const entry of diff.regressions) {
+    console.log(`❌ ${row(entry)}  +${entry.change}%`);
+  }
+  for (const entry of diff.improvements) {
+    console.log(`✅ ${row(entry)}  ${entry.change}%`);
+  }
+  for (const entry of diff.added) {
+    console.log(`🆕 ${`${entry.contract}.${entry.key}`.padEnd(55)} ${"-".padStart(10)} -> ${entry.current.toString().padStart(10)}`);
+  }
+  for (const entry of diff.removed) {
+    console.log(`❌ ${`${entry.contract}.${entry.key}`.padEnd(55)} ${entry.baseline.toString().padStart(10)} -> ${"-".padStart(10)}  (${entry.reason})`);
+  }
+}
+
+module.exports = {
+  GasProfiler,
+  getStateChangingFunctions,
+  printProfile,
+  diffBaselines,
+  printDiff,
+  revertReason
+};
@@ -0,0 +1,109 @@
+const hre = require("hardhat");
+const { getStorageLayout } = require("./storage-layout");
+const { revertReason } = require("./gas-profiler");
+
+const { AbiCoder, keccak256, toBeHex, toUtf8Bytes, zeroPadBytes } = hre.ethers;
+
+/**
+ * Slot of `variable` in `contractName`'s storage layout, as a bigint
+ */
+async function getVariableSlot(contractName, variable) {
+  const layout = await getStorageLayout(contractName);
+  const entry = layout.storage.find(candidate => candidate.label === variable);
+  if (!entry) {
+    throw new Error(`${contractName} has no storage variable ${variable}`);
+  }
+  return BigInt(entry.slot);
+}
+
+/**
+ * Slot of `mapping[key]` for a mapping stored at `slot`. Key types are
+ * "address", "uint256" or "bytes32".
+ */
+function mappingSlot(keyType, key, slot) {
+  return BigInt(keccak256(AbiCoder.defaultAbiCoder().encode([keyType, "uint256"], [key, slot])));
+}
+
+/**
+ * Storage word of a string up to 31 bytes long
+ */
+function shortString(value) {
+  const bytes = toUtf8Bytes(value);
+  if (bytes.length > 31) {
+    throw new Error(`"${value}" does not fit in a single storage slot`);
+  }
+  return (BigInt(zeroPadBytes(bytes, 32)) | BigInt(bytes.length * 2));
+}
+
+async function setStorage(address, slot, value) {
+  await hre.network.provider.send("hardhat_setStorageAt", [address, toBeHex(slot, 32), toBeHex(value, 32)]);
+}
+
+/**
+ * Grow the dynamic storage array at `slot` from `from` to `to` entries by
+ * writing storage directly. `entry(i)` returns the words of element i; the
+ * array length is written last.
+ */
+async function seedArray(address, slot, from, to, entry) {
+  const dataSlot = BigInt(keccak256(toBeHex(slot, 32)));
+
+  for (let i = from; i < to; i++) {
+    const words = entry(i);
+    for (let word = 0; word < words.length; word++) {
+      await setStorage(address, dataSlot + BigInt(i * words.length + word), words[word]);
+    }
+  }
+
+  await setStorage(address, slot, to);
+}
+
+/**
+ * Gas `contract.method(...args)` would use, estimated without sending it.
+ * Views are estimated the same way, as if called in a transaction.
+ */
+async function estimateGas(contract, method, args = [], { from, value } = {}) {
+  const target = from ? contract.connect(from) : contract;
+  const overrides = value === undefined ? {} : { value };
+
+  try {
+    return { gasUsed: Number(await target.getFunction(method).estimateGas(...args, overrides)) };
+  } catch (error) {
+    const reason = revertReason(error);
+    // The estimate is capped at the chain's block gas limit
+    if (/out of gas|exceeds (block gas limit|allowance)/i.test(reason)) {
+      return { exceedsLimit: true };
+    }
+    return { error: reason };
+  }
+}
+
+/**
+ * Largest history length that stays under `blockGasLimit`, extrapolated
+ * linearly from the last two measurements. Infinity when the cost per entry
+ * is below 1 gas or falls as the history grows (constant or logarithmic
+ * cost, e.g. a binary search).
+ */
+function maxEntriesUnderLimit(points, blockGasLimit) {
+  const measured = points.filter(point => point.gasUsed !== undefined);
+  if (measured.length < 2) return null;
+
+  const slopes = measured.slice(1).map((point, index) =>
+    (point.gasUsed - measured[index].gasUsed) / (point.size - measured[index].size)
+  );
+  const slope = slopes[slopes.length - 1];
+  const sublinear = slopes.length > 1 && slope < slopes[slopes.length - 2] / 2;
+  if (slope < 1 || sublinear) return Infinity;
+
+  const last = measured[measured.length - 1];
+  return Math.floor(last.size + (blockGasLimit - last.gasUsed) / slope);
+}
+
+module.exports = {
+  getVariableSlot,
+  mappingSlot,
+  shortString,
+  setStorage,
+  seedArray,
+  estimateGas,
+  maxEntriesUnderLimit
+};
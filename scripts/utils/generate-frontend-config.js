@@ -1,5 +1,6 @@
 const fs = require("fs");
 const path = require("path");
+const DeploymentRegistry = require("./deployment-registry");
 
 function generateFrontendConfig() {
   const network = process.argv[2] || "baseSepolia";
@@ -9,8 +10,8 @@ function generateFrontendConfig() {
   console.log("=" .repeat(50));
   
   try {
-    // Load latest deployment
-    const deployment = getLatestDeployment(network);
+    // Load active deployment
+    const deployment = new DeploymentRegistry().getActive(network);
     if (!deployment) {
       throw new Error(`No deployment found for network ${network}`);
     }
@@ -30,20 +31,6 @@ function generateFrontendConfig() {
   }
 }
 
-function getLatestDeployment(network) {
-  const deploymentsDir = path.join(__dirname, "../../deployments");
-  if (!fs.existsSync(deploymentsDir)) return null;
-  
-  const files = fs.readdirSync(deploymentsDir)
-    .filter(f => f.startsWith(network) && f.endsWith('.json'))
-    .sort()
-    .reverse();
-  
-  if (files.length === 0) return null;
-  
-  return JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]), 'utf8'));
-}
-
 function generateConfig(deployment, network) {
   const chainId = getChainId(network);
   
@@ -53,6 +40,7 @@ function generateConfig(deployment, network) {
     timestamp: new Date().toISOString(),
     contracts: deployment.contracts,
     deployer: deployment.deployer,
+    deploymentId: deployment.id,
     deploymentTimestamp: deployment.timestamp
   };
 }
@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+
+const QUEUE_DIR = path.join(__dirname, "../../logs/queue");
+
+/**
+ * Whether `subject` matches a NATS-style `pattern`: subjects are tokens
+ * joined by dots, "*" matches one token and a final ">" one or more.
+ */
+function matchSubject(pattern, subject) {
+  const wanted = pattern.split(".");
+  const tokens = subject.split(".");
+
+  for (let i = 0; i < wanted.length; i++) {
+    if (wanted[i] === ">" && i === wanted.length - 1) return tokens.length > i;
+    if (i >= tokens.length || (wanted[i] !== "*" && wanted[i] !== tokens[i])) return false;
+  }
+  return tokens.length === wanted.length;
+}
+
+/**
+ * Durable local message queue: one stream per directory, with
+ *
+ * - messages.jsonl: { seq, subject, publishedAt, data } per line, appended
+ *   and fsynced by publish()
+ * - consumers.json: how far each named consumer has read
+ *
+ * Consumers pick their messages by subject pattern (see matchSubject) and
+ * read at least once: a consumer's position moves past a message only after
+ * its handler returned. Use one publishing process per stream.
+ */
+class LocalQueue {
+  constructor(dir = QUEUE_DIR) {
+    this.dir = dir;
+    this.file = path.join(dir, "messages.jsonl");
+    this.consumersFile = path.join(dir, "consumers.json");
+    this.seq = null;
+  }
+
+  // Sequence number of the last message, read from the end of the stream
+  lastSeq() {
+    if (!fs.existsSync(this.file)) return 0;
+
+    const size = fs.statSync(this.file).size;
+    const tail = Buffer.alloc(Math.min(size, 64 * 1024));
+    const fd = fs.openSync(this.file, "r");
+    try {
+      fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lines = tail.toString("utf8").trim().split("\n");
+    return lines[lines.length - 1] ? JSON.parse(lines[lines.length - 1]).seq : 0;
+  }
+
+  publish(subject, data) {
+    if (this.seq === null) this.seq = this.lastSeq();
+    const message = { seq: ++this.seq, subject, publishedAt: new Date().toISOString(), data };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fd = fs.openSync(this.file, "a");
+    try {
+      fs.writeSync(fd, `${JSON.stringify(message)}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return message.seq;
+  }
+
+  readConsumers() {
+    return fs.existsSync(this.consumersFile) ? JSON.parse(fs.readFileSync(this.consumersFile, "utf8")) : {};
+  }
+
+  // Position of `consumer`: { seq, offset } of the last message it read
+  getPosition(consumer) {
+    return this.readConsumers()[consumer] || { seq: 0, offset: 0 };
+  }
+
+  setPosition(consumer, position) {
+    const consumers = this.readConsumers();
+    consumers[consumer] = { ...position, updatedAt: new Date().toISOString() };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(`${this.consumersFile}.tmp`, JSON.stringify(consumers, null, 2));
+    fs.renameSync(`${this.consumersFile}.tmp`, this.consumersFile);
+  }
+
+  /**
+   * Call `handler` with each message after `consumer`'s position whose
+   * subject matches `subject` (default: all), up to `limit` messages.
+   * Returns how many were handled.
+   */
+  async consume(consumer, handler, { subject = ">", limit = Infinity } = {}) {
+    if (!fs.existsSync(this.file)) return 0;
+
+    const position = this.getPosition(consumer);
+    const content = fs.readFileSync(this.file).subarray(position.offset);
+    let handled = 0;
+
+    for (let start = 0, end = content.indexOf(0x0a); end >= 0 && handled < limit; start = end + 1, end = content.indexOf(0x0a, start)) {
+      const message = JSON.parse(content.subarray(start, end).toString("utf8"));
+
+      if (matchSubject(subject, message.subject)) {
+        await handler(message);
+        handled++;
+      }
+      this.setPosition(consumer, { seq: message.seq, offset: position.offset + end + 1 });
+    }
+
+    return handled;
+  }
+}
+
+module.exports = { LocalQueue, matchSubject, QUEUE_DIR };
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+const REPORTS_DIR = path.join(__dirname, "../../reports");
+
+/**
+ * Gas used and cost in wei of deploying one contract, from its recorded
+ * deployment details. Proxied contracts add the proxy deployment; contracts
+ * reused at their CREATE2 address cost nothing.
+ */
+function getDeploymentCost(details = {}) {
+  let gasUsed = 0n;
+  let cost = 0n;
+
+  for (const entry of [details, details.proxy || {}]) {
+    if (entry.gasUsed === undefined) continue;
+    gasUsed += BigInt(entry.gasUsed);
+    cost += BigInt(entry.gasUsed) * BigInt(entry.gasPrice || 0);
+  }
+
+  return { gasUsed, cost };
+}
+
+/**
+ * Combined report of a multi-network run. `results` holds one
+ * { network, status, deploymentId, deployment } entry per network, in run
+ * order; `deployment` is the saved record, missing when nothing was saved.
+ */
+function buildReport(results) {
+  const deployed = results.filter(result => result.deployment);
+  const names = [...new Set(deployed.flatMap(result => Object.keys(result.deployment.contracts)))];
+
+  const contracts = {};
+  for (const name of names) {
+    const entry = { addresses: {}, gasUsed: {}, cost: {} };
+
+    for (const { network, deployment } of deployed) {
+      if (!deployment.contracts[name]) continue;
+
+      const { gasUsed, cost } = getDeploymentCost((deployment.details || {})[name]);
+      entry.addresses[network] = deployment.contracts[name];
+      entry.gasUsed[network] = gasUsed.toString();
+      entry.cost[network] = hre.ethers.formatEther(cost);
+    }
+
+    const addresses = Object.values(entry.addresses).map(address => address.toLowerCase());
+    entry.sameAddress = deployed.length > 1 && addresses.length === deployed.length && new Set(addresses).size === 1;
+    contracts[name] = entry;
+  }
+
+  const networks = {};
+  for (const { network, status, deploymentId, deployment, error } of results) {
+    networks[network] = { status, deploymentId: deploymentId || null };
+    if (error) networks[network].error = error;
+    if (!deployment) continue;
+
+    const totals = Object.values(deployment.details || {})
+      .map(details => getDeploymentCost(details))
+      .reduce((sum, item) => ({ gasUsed: sum.gasUsed + item.gasUsed, cost: sum.cost + item.cost }), { gasUsed: 0n, cost: 0n });
+
+    networks[network].chainId = deployment.chainId;
+    networks[network].deployer = deployment.deployer;
+    networks[network].gasUsed = totals.gasUsed.toString();
+    networks[network].cost = hre.ethers.formatEther(totals.cost);
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    networks,
+    contracts
+  };
+}
+
+function printReport(report) {
+  const networks = Object.keys(report.networks);
+
+  console.log("\n🌐 Multi-network Deployment Report");
+  console.log("=" .repeat(50));
+
+  for (const [network, result] of Object.entries(report.networks)) {
+    const icon = { completed: "✅", failed: "❌" }[result.status] || "⏭️ ";
+    const totals = result.gasUsed ? `  ${result.gasUsed} gas  ${result.cost} ETH` : "";
+    console.log(`${icon} ${network.padEnd(14)} ${result.status.padEnd(10)}${totals}`);
+  }
+
+  for (const [name, entry] of Object.entries(report.contracts)) {
+    console.log(`\n${entry.sameAddress ? "🔗" : "📦"} ${name}${entry.sameAddress ? " (same address on every network)" : ""}`);
+    for (const network of networks) {
+      if (!entry.addresses[network]) continue;
+      console.log(`   ${network.padEnd(14)} ${entry.addresses[network]}  ${entry.gasUsed[network].padStart(10)} gas  ${entry.cost[network]} ETH`);
+    }
+  }
+}
+
+function saveReport(report) {
+  if (!fs.existsSync(REPORTS_DIR)) {
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  }
+
+  const filename = `multi-network-deploy-${Date.now()}.json`;
+  fs.writeFileSync(path.join(REPORTS_DIR, filename), JSON.stringify(report, null, 2));
+
+  console.log(`\n💾 Report saved to reports/${filename}`);
+  return filename;
+}
+
+module.exports = {
+  getDeploymentCost,
+  buildReport,
+  printReport,
+  saveReport
+};
@@ -0,0 +1,116 @@
+const hre = require("hardhat");
+const { runChecks, printCheckResults } = require("./post-deploy-checks");
+
+function isOwnable(manifest, name) {
+  const proxyConfig = manifest.getProxyConfig(name);
+  const { abi } = hre.artifacts.readArtifactSync(proxyConfig ? proxyConfig.implementation : name);
+  return abi.some(item => item.type === "function" && item.name === "transferOwnership");
+}
+
+/**
+ * Transactions moving control of a deployment from `deployer` to the
+ * manifest's handoff accounts, each paired with the check that proves it took
+ * effect. Ownership is transferred last, after the owner-only calls before it.
+ * `details` adds the ProxyAdmin of every transparent proxy.
+ */
+function getHandoffPlan(manifest, handoff, deployer, details = {}) {
+  const { owner, feeRecipients, roles } = handoff;
+  const plan = [];
+
+  for (const [name, recipient] of Object.entries(feeRecipients)) {
+    plan.push({
+      step: { id: `handoff-fee-recipient-${name}`, contract: name, method: "setFeeRecipient", args: [recipient], description: `${name} fee recipient set to ${recipient}` },
+      check: { id: `handoff-fee-recipient-${name}`, contract: name, call: "feeRecipient", expect: recipient, description: `${name} fees go to ${recipient}` }
+    });
+  }
+
+  for (const role of roles) {
+    plan.push({
+      step: { id: `handoff-${role.contract}-${role.grant}`, contract: role.contract, method: role.grant, args: [owner], description: `${role.contract}.${role.grant}(${owner})` },
+      check: { id: `handoff-${role.contract}-${role.check}-owner`, contract: role.contract, call: role.check, args: [owner], expect: true, description: `${role.contract}.${role.check} granted to ${owner}` }
+    });
+
+    if (role.revoke && owner.toLowerCase() !== deployer.toLowerCase()) {
+      plan.push({
+        step: { id: `handoff-${role.contract}-${role.revoke}`, contract: role.contract, method: role.revoke, args: [deployer], description: `${role.contract}.${role.revoke}(${deployer})` },
+        check: { id: `handoff-${role.contract}-${role.check}-deployer`, contract: role.contract, call: role.check, args: [deployer], expect: false, description: `${role.contract}.${role.check} revoked from deployer ${deployer}` }
+      });
+    }
+  }
+
+  for (const name of manifest.getContractNames()) {
+    const proxy = (details[name] || {}).proxy;
+    if (!proxy || !proxy.admin) continue;
+
+    plan.push({
+      step: { id: `handoff-owner-${name}-ProxyAdmin`, contract: "ProxyAdmin", address: proxy.admin, method: "transferOwnership", args: [owner], description: `${name} ProxyAdmin ownership transferred to ${owner}` },
+      check: { id: `handoff-owner-${name}-ProxyAdmin`, contract: "ProxyAdmin", address: proxy.admin, call: "owner", expect: owner, description: `${name} ProxyAdmin owned by ${owner}` }
+    });
+  }
+
+  for (const name of manifest.getContractNames().filter(name => isOwnable(manifest, name))) {
+    plan.push({
+      step: { id: `handoff-owner-${name}`, contract: name, method: "transferOwnership", args: [owner], description: `${name} ownership transferred to ${owner}` },
+      check: { id: `handoff-owner-${name}`, contract: name, call: "owner", expect: owner, description: `${name} owned by ${owner}` }
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Send every planned transaction whose check does not hold yet. Steps are
+ * journaled when a `journal` is given; steps for contracts without an
+ * address are skipped.
+ */
+async function runHandoff(manifest, plan, addresses, signer, journal = null) {
+  for (const { step, check } of plan) {
+    if (!manifest.canResolveStep(step, addresses)) {
+      console.log(`⏭️  ${step.description} (skipped: contract not deployed)`);
+      continue;
+    }
+
+    const journaled = journal && journal.getStep(step.id);
+    if ((journaled && journaled.status === "completed") ||
+        (await runChecks(manifest, addresses, [check])).status === "passed") {
+      console.log(`⏭️  ${step.description} (already done)`);
+      continue;
+    }
+
+    const contract = await hre.ethers.getContractAt(step.contract, step.address || addresses[step.contract], signer);
+    const tx = await contract[step.method](...step.args);
+    if (journal) journal.recordPendingStep(step.id, tx.hash);
+
+    const receipt = await tx.wait();
+    if (journal) journal.recordStep(step.id, { txHash: tx.hash, blockNumber: receipt.blockNumber });
+    console.log(`✅ ${step.description}`);
+  }
+}
+
+/**
+ * Hand the deployment over and read back every owner, fee recipient and role
+ * on-chain. Returns the handoff section of the deployment record.
+ */
+async function handOff(manifest, addresses, details, signer, journal = null) {
+  const handoff = manifest.getHandoff();
+  const plan = getHandoffPlan(manifest, handoff, signer.address, details);
+
+  console.log(`\n🔐 Handing off to ${handoff.owner}...`);
+  await runHandoff(manifest, plan, addresses, signer, journal);
+
+  const verification = await verifyHandoff(manifest, plan, addresses);
+  return { ...handoff, status: verification.status, results: verification.results };
+}
+
+async function verifyHandoff(manifest, plan, addresses) {
+  const verification = await runChecks(manifest, addresses, plan.map(({ check }) => check));
+  printCheckResults(verification, "🔐 Handoff verification:");
+  return verification;
+}
+
+module.exports = {
+  getHandoffPlan,
+  runHandoff,
+  handOff,
+  verifyHandoff
+};
@@ -0,0 +1,87 @@
+const path = require("path");
+const hre = require("hardhat");
+const { serializeArgs } = require("./deployment-metadata");
+
+const ROOT_DIR = path.join(__dirname, "../..");
+
+/**
+ * Run the manifest's post-deploy checks against `addresses`.
+ *
+ * A check either calls a view function and compares the result (or one named
+ * `field` of it) with `expect`, or names a `module` exporting
+ * `async (addresses, hre) => {}` that throws when the invariant does not hold.
+ * Checks that need a contract without an address are skipped. `checks`
+ * defaults to the manifest's own; a check with an `address` calls that
+ * address instead of the named contract's.
+ */
+async function runChecks(manifest, addresses, checks = manifest.getChecks()) {
+  const results = [];
+
+  for (const check of checks) {
+    const result = { id: check.id, description: check.description };
+
+    if (!check.module && !manifest.canResolveCheck(check, addresses)) {
+      results.push({ ...result, status: "skipped", reason: "required contracts not deployed" });
+      continue;
+    }
+
+    try {
+      if (check.module) {
+        await require(path.resolve(ROOT_DIR, check.module))(addresses, hre);
+        results.push({ ...result, status: "passed" });
+        continue;
+      }
+
+      const { args, expected } = manifest.resolveCheck(check, addresses);
+      const contract = await hre.ethers.getContractAt(check.contract, check.address || addresses[check.contract]);
+      let actual = await contract[check.call](...args);
+      if (check.field !== undefined) {
+        actual = actual[check.field];
+      }
+
+      results.push({
+        ...result,
+        status: valuesEqual(actual, expected) ? "passed" : "failed",
+        expected: serializeArgs(expected),
+        actual: serializeArgs(actual)
+      });
+    } catch (error) {
+      results.push({ ...result, status: "failed", reason: error.shortMessage || error.message });
+    }
+  }
+
+  return {
+    status: results.some(result => result.status === "failed") ? "failed" : "passed",
+    results
+  };
+}
+
+function valuesEqual(actual, expected) {
+  if (hre.ethers.isAddress(actual) && hre.ethers.isAddress(expected)) {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  return String(actual) === String(expected);
+}
+
+function printCheckResults(checks, title = "🩺 Post-deploy checks:") {
+  console.log(`\n${title}`);
+
+  for (const result of checks.results) {
+    const label = result.description || result.id;
+
+    if (result.status === "passed") {
+      console.log(`✅ ${label}`);
+    } else if (result.status === "skipped") {
+      console.log(`⏭️  ${label} (skipped: ${result.reason})`);
+    } else if (result.reason) {
+      console.log(`❌ ${label}: ${result.reason}`);
+    } else {
+      console.log(`❌ ${label}: expected ${JSON.stringify(result.expected)}, got ${JSON.stringify(result.actual)}`);
+    }
+  }
+}
+
+module.exports = {
+  runChecks,
+  printCheckResults
+};
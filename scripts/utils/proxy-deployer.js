@@ -0,0 +1,124 @@
+const hre = require("hardhat");
+const { describeDeployment, serializeArgs } = require("./deployment-metadata");
+const { getStorageLayout, compareStorageLayouts } = require("./storage-layout");
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Deploy the implementation of `contractName` and a proxy in front of it,
+ * calling the initializer with `args`. Transparent proxies get their own
+ * ProxyAdmin owned by the deployer; UUPS proxies are upgraded through the
+ * implementation itself.
+ *
+ * Returns the proxy address, the deployment details (implementation metadata
+ * plus a `proxy` section) and the total gas used.
+ */
+async function deployProxy(contractName, config, args, signer) {
+  const Implementation = await hre.ethers.getContractFactory(config.implementation, signer);
+  const implementation = await Implementation.deploy();
+  const implementationReceipt = await implementation.deploymentTransaction().wait();
+  const implementationAddress = await implementation.getAddress();
+  console.log(`   📦 ${config.implementation} implementation deployed to: ${implementationAddress}`);
+
+  const initData = Implementation.interface.encodeFunctionData(config.initializer, args);
+  let proxy;
+  let admin;
+  let adminReceipt;
+
+  if (config.kind === "uups") {
+    const Proxy = await hre.ethers.getContractFactory("ERC1967Proxy", signer);
+    proxy = await Proxy.deploy(implementationAddress, initData);
+  } else {
+    const ProxyAdmin = await hre.ethers.getContractFactory("ProxyAdmin", signer);
+    const proxyAdmin = await ProxyAdmin.deploy();
+    adminReceipt = await proxyAdmin.deploymentTransaction().wait();
+    admin = await proxyAdmin.getAddress();
+    console.log(`   🔑 ProxyAdmin deployed to: ${admin}`);
+
+    const Proxy = await hre.ethers.getContractFactory("TransparentUpgradeableProxy", signer);
+    proxy = await Proxy.deploy(implementationAddress, admin, initData);
+  }
+
+  const proxyReceipt = await proxy.deploymentTransaction().wait();
+  const address = await proxy.getAddress();
+
+  const details = {
+    ...(await describeDeployment(config.implementation, [], implementationReceipt)),
+    proxy: {
+      kind: config.kind,
+      address,
+      implementation: implementationAddress,
+      implementationContract: config.implementation,
+      ...(admin && { admin }),
+      initializer: config.initializer,
+      initializerArgs: serializeArgs(args),
+      txHash: proxyReceipt.hash,
+      blockNumber: proxyReceipt.blockNumber,
+      gasUsed: proxyReceipt.gasUsed.toString(),
+      gasPrice: proxyReceipt.gasPrice.toString(),
+      storageLayout: await getStorageLayout(config.implementation)
+    }
+  };
+
+  const gasUsed = implementationReceipt.gasUsed + proxyReceipt.gasUsed + (adminReceipt ? adminReceipt.gasUsed : 0n);
+  return { address, details, gasUsed };
+}
+
+/**
+ * Point the proxy recorded in `details` at a new deployment of
+ * `implementationName`. Refuses to upgrade when the new storage layout is not
+ * compatible with the recorded one. Returns the updated details.
+ */
+async function upgradeProxy(implementationName, details, signer) {
+  const { proxy } = details;
+
+  const errors = compareStorageLayouts(proxy.storageLayout, await getStorageLayout(implementationName));
+  if (errors.length > 0) {
+    throw new Error(`Storage layout of ${implementationName} is incompatible with ${proxy.implementationContract}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const Implementation = await hre.ethers.getContractFactory(implementationName, signer);
+  const implementation = await Implementation.deploy();
+  const implementationReceipt = await implementation.deploymentTransaction().wait();
+  const implementationAddress = await implementation.getAddress();
+  console.log(`📦 ${implementationName} implementation deployed to: ${implementationAddress}`);
+
+  let tx;
+  if (proxy.kind === "uups") {
+    const upgradeable = await hre.ethers.getContractAt(implementationName, proxy.address, signer);
+    tx = await upgradeable.upgradeTo(implementationAddress);
+  } else {
+    const proxyAdmin = await hre.ethers.getContractAt("ProxyAdmin", proxy.admin, signer);
+    tx = await proxyAdmin.upgrade(proxy.address, implementationAddress);
+  }
+  const receipt = await tx.wait();
+
+  const current = await getImplementationAddress(proxy.address);
+  if (current.toLowerCase() !== implementationAddress.toLowerCase()) {
+    throw new Error(`Proxy ${proxy.address} points at ${current} after the upgrade, expected ${implementationAddress}`);
+  }
+
+  return {
+    ...(await describeDeployment(implementationName, [], implementationReceipt)),
+    proxy: {
+      ...proxy,
+      implementation: implementationAddress,
+      implementationContract: implementationName,
+      previousImplementation: proxy.implementation,
+      upgradeTxHash: receipt.hash,
+      storageLayout: await getStorageLayout(implementationName)
+    }
+  };
+}
+
+async function getImplementationAddress(proxyAddress) {
+  const value = await hre.ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  return hre.ethers.getAddress(hre.ethers.dataSlice(value, 12));
+}
+
+module.exports = {
+  deployProxy,
+  upgradeProxy,
+  getImplementationAddress
+};
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const DeploymentManifest = require("./deployment-manifest");
+
+const KEYSTORES_DIR = path.join(__dirname, "../../keystores");
+const KEYSTORE_PREFIX = "keystore:";
+
+/**
+ * Signer chosen with `--as <signer>` on the command line, or the SIGNER
+ * environment variable (which also works under `hardhat run`).
+ */
+function getSignerOption(argv = process.argv) {
+  const index = argv.indexOf("--as");
+  if (index !== -1) {
+    if (!argv[index + 1]) throw new Error("--as needs a signer: index, address, role or keystore:<name>");
+    return argv[index + 1];
+  }
+  return process.env.SIGNER || undefined;
+}
+
+/**
+ * Positional script arguments, without `--as <signer>`.
+ */
+function getScriptArgs(argv = process.argv) {
+  const args = argv.slice(2);
+  const index = args.indexOf("--as");
+  if (index !== -1) args.splice(index, 2);
+  return args;
+}
+
+/**
+ * Resolve a signer spec:
+ * - an account index ("1") or address among the network's accounts
+ * - a named role ("owner", "treasury", "operator") from the manifest's
+ *   "signers" section, itself mapping to one of the other forms
+ * - "keystore:<name>", an encrypted JSON wallet in keystores/<name>.json,
+ *   unlocked with KEYSTORE_PASSWORD
+ * Without a spec the first account is used. `visited` holds the roles
+ * followed so far, to catch roles that lead back to themselves.
+ */
+async function resolveSigner(spec, roles = null, visited = []) {
+  const accounts = await hre.ethers.getSigners();
+
+  if (spec === undefined || spec === null || spec === "") {
+    if (!accounts[0]) throw new Error(`No account configured for ${hre.network.name}`);
+    return accounts[0];
+  }
+
+  const value = String(spec);
+
+  if (/^\d+$/.test(value)) {
+    const signer = accounts[Number(value)];
+    if (!signer) {
+      throw new Error(`Signer index ${value} out of range: ${hre.network.name} has ${accounts.length} account(s)`);
+    }
+    return signer;
+  }
+
+  if (hre.ethers.isAddress(value)) {
+    const signer = accounts.find(account => account.address.toLowerCase() === value.toLowerCase());
+    if (!signer) {
+      throw new Error(`${value} is not one of the accounts configured for ${hre.network.name}; use a keystore instead`);
+    }
+    return signer;
+  }
+
+  if (value.startsWith(KEYSTORE_PREFIX)) {
+    return loadKeystore(value.slice(KEYSTORE_PREFIX.length));
+  }
+
+  const configured = roles || getRoles();
+  if (configured[value] === undefined) {
+    throw new Error(`Unknown signer "${value}": not an index, address, keystore:<name> or role (${Object.keys(configured).join(", ") || "no roles configured"})`);
+  }
+  if (visited.includes(value)) {
+    throw new Error(`Signer role cycle ${[...visited.slice(visited.indexOf(value)), value].join(" → ")}`);
+  }
+
+  return resolveSigner(configured[value], configured, [...visited, value]);
+}
+
+/**
+ * Named signer roles from the "signers" section of the network's manifest.
+ */
+function getRoles() {
+  if (!fs.existsSync(DeploymentManifest.getManifestPath(hre.network.name))) return {};
+
+  return DeploymentManifest.load(hre.network.name).signers;
+}
+
+async function loadKeystore(name) {
+  const file = path.join(KEYSTORES_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Keystore ${name} not found (expected keystores/${name}.json)`);
+  }
+
+  const password = process.env.KEYSTORE_PASSWORD;
+  if (!password) {
+    throw new Error(`Set KEYSTORE_PASSWORD to unlock keystore ${name}`);
+  }
+
+  const wallet = await hre.ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, "utf8"), password);
+  return wallet.connect(hre.ethers.provider);
+}
+
+module.exports = {
+  KEYSTORES_DIR,
+  getSignerOption,
+  getScriptArgs,
+  resolveSigner
+};
@@ -0,0 +1,103 @@
+const hre = require("hardhat");
+
+/**
+ * Storage layout of a compiled contract, taken from its build info. Type ids
+ * are normalized so layouts from different compilations can be compared.
+ */
+async function getStorageLayout(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${fullyQualifiedName}; run npx hardhat compile`);
+  }
+
+  const { storageLayout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!storageLayout) {
+    throw new Error(`No storage layout for ${fullyQualifiedName}; add "storageLayout" to the compiler outputSelection`);
+  }
+
+  return normalizeLayout(storageLayout);
+}
+
+function normalizeLayout({ storage, types }) {
+  const normalizedTypes = {};
+
+  for (const [id, type] of Object.entries(types || {})) {
+    normalizedTypes[normalizeTypeId(id)] = {
+      label: type.label,
+      numberOfBytes: type.numberOfBytes,
+      ...(type.members && { members: type.members.map(normalizeVariable) }),
+      ...(type.value && { value: normalizeTypeId(type.value) }),
+      ...(type.base && { base: normalizeTypeId(type.base) })
+    };
+  }
+
+  return { storage: storage.map(normalizeVariable), types: normalizedTypes };
+}
+
+function normalizeVariable({ label, slot, offset, type }) {
+  return { label, slot, offset, type: normalizeTypeId(type) };
+}
+
+// Type ids embed AST ids, e.g. t_struct(StakeInfo)7878_storage
+function normalizeTypeId(id) {
+  return id.replace(/\)\d+/g, ")");
+}
+
+/**
+ * Problems that make `next` unsafe as an upgrade of `previous`. Existing
+ * variables must keep their name, position and type; new variables may only
+ * be appended.
+ */
+function compareStorageLayouts(previous, next) {
+  const errors = [];
+
+  previous.storage.forEach((variable, index) => {
+    const candidate = next.storage[index];
+
+    if (!candidate) {
+      errors.push(`${variable.label} (slot ${variable.slot}) was removed`);
+    } else if (candidate.label !== variable.label) {
+      errors.push(`${variable.label} (slot ${variable.slot}) was replaced by ${candidate.label}`);
+    } else if (candidate.slot !== variable.slot || candidate.offset !== variable.offset) {
+      errors.push(`${variable.label} moved from slot ${variable.slot}+${variable.offset} to ${candidate.slot}+${candidate.offset}`);
+    } else if (!typesMatch(variable.type, previous.types, candidate.type, next.types)) {
+      errors.push(`${variable.label} changed type from ${describeType(variable.type, previous.types)} to ${describeType(candidate.type, next.types)}`);
+    }
+  });
+
+  return errors;
+}
+
+function typesMatch(previousId, previousTypes, nextId, nextTypes) {
+  if (previousId !== nextId) return false;
+
+  const previousType = previousTypes[previousId];
+  const nextType = nextTypes[nextId];
+  if (!previousType || !nextType) return previousType === nextType;
+  if (previousType.numberOfBytes !== nextType.numberOfBytes) return false;
+
+  // Mapping values and array elements live elsewhere but must keep their layout too
+  const inner = previousType.value ? "value" : previousType.base ? "base" : null;
+  if (inner) return typesMatch(previousType[inner], previousTypes, nextType[inner], nextTypes);
+  if (!previousType.members) return true;
+
+  return previousType.members.length === nextType.members.length &&
+    previousType.members.every((member, index) => {
+      const other = nextType.members[index];
+      return member.label === other.label &&
+        member.slot === other.slot &&
+        member.offset === other.offset &&
+        typesMatch(member.type, previousTypes, other.type, nextTypes);
+    });
+}
+
+function describeType(id, types) {
+  return types[id] ? types[id].label : id;
+}
+
+module.exports = {
+  getStorageLayout,
+  compareStorageLayouts
+};
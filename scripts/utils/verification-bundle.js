@@ -0,0 +1,132 @@
+const hre = require("hardhat");
+const {
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+  TASK_COMPILE_SOLIDITY_RUN_SOLC,
+  TASK_COMPILE_SOLIDITY_RUN_SOLCJS
+} = require("hardhat/builtin-tasks/task-names");
+const { maskImmutables } = require("./bytecode");
+
+/**
+ * Source files `sourceName` is compiled from: itself plus everything it
+ * imports, directly or not. The metadata hash covers exactly these sources,
+ * so leaving the others out of the input keeps the bytecode identical.
+ */
+function getSourceClosure(buildInfo, sourceName) {
+  const closure = new Set();
+
+  const visit = (name) => {
+    if (closure.has(name)) return;
+    closure.add(name);
+
+    for (const node of buildInfo.output.sources[name].ast.nodes) {
+      if (node.nodeType === "ImportDirective") {
+        visit(node.absolutePath);
+      }
+    }
+  };
+
+  visit(sourceName);
+  return [...closure].sort();
+}
+
+/**
+ * Standard-JSON verification bundle for a deployed contract, built from the
+ * local artifacts and build info. `details` is the contract's entry in the
+ * deployment record; proxied contracts are bundled as their implementation.
+ */
+async function createBundle(contractName, address, details = {}) {
+  const artifact = await hre.artifacts.readArtifact(details.contract || contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  if (!buildInfo) {
+    throw new Error(`No build info found for ${fullyQualifiedName}; run npx hardhat compile`);
+  }
+
+  const constructorArgs = details.constructorArgs || [];
+  const encoded = new hre.ethers.Interface(artifact.abi).encodeDeploy(constructorArgs);
+
+  const sources = {};
+  for (const sourceName of getSourceClosure(buildInfo, artifact.sourceName)) {
+    sources[sourceName] = buildInfo.input.sources[sourceName];
+  }
+
+  return {
+    contract: contractName,
+    address,
+    fullyQualifiedName,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    constructorArgs,
+    encodedConstructorArgs: encoded.replace(/^0x/, ""),
+    bytecodeHash: details.bytecodeHash || null,
+    deployedBytecodeHash: details.deployedBytecodeHash || null,
+    input: {
+      language: buildInfo.input.language,
+      sources,
+      settings: buildInfo.input.settings
+    }
+  };
+}
+
+async function compileInput(input, longVersion) {
+  const solcVersion = longVersion.replace(/^v/, "").split("+")[0];
+  const solcBuild = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { quiet: true, solcVersion });
+
+  const output = solcBuild.isSolcJs
+    ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: solcBuild.compilerPath })
+    : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: solcBuild.compilerPath, solcVersion });
+
+  const errors = (output.errors || []).filter(error => error.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(`Bundle does not compile: ${errors[0].formattedMessage || errors[0].message}`);
+  }
+
+  return output;
+}
+
+/**
+ * Recompile a bundle on its own and compare the result with the bytecode
+ * hashes recorded at deployment and, when `deployedCode` is given, with the
+ * code on chain (immutables masked). Each comparison is true, false, or null
+ * when there is nothing to compare with.
+ */
+async function checkBundle(bundle, deployedCode = null) {
+  const [sourceName, contractName] = splitName(bundle.fullyQualifiedName);
+  const output = await compileInput(bundle.input, bundle.compilerVersion);
+  const compiled = output.contracts[sourceName][contractName];
+
+  const bytecode = "0x" + compiled.evm.bytecode.object;
+  const deployedBytecode = "0x" + compiled.evm.deployedBytecode.object;
+  const immutableReferences = compiled.evm.deployedBytecode.immutableReferences || {};
+
+  const encodedArgs = new hre.ethers.Interface(compiled.abi).encodeDeploy(bundle.constructorArgs).replace(/^0x/, "");
+
+  const result = {
+    contract: bundle.contract,
+    bytecode: bundle.bytecodeHash ? hre.ethers.keccak256(bytecode) === bundle.bytecodeHash : null,
+    deployedBytecode: bundle.deployedBytecodeHash ? hre.ethers.keccak256(deployedBytecode) === bundle.deployedBytecodeHash : null,
+    constructorArgs: encodedArgs === bundle.encodedConstructorArgs,
+    onchain: null
+  };
+
+  if (deployedCode !== null) {
+    result.onchain = deployedCode !== "0x" &&
+      maskImmutables(deployedCode, immutableReferences).toLowerCase() ===
+      maskImmutables(deployedBytecode, immutableReferences).toLowerCase();
+  }
+
+  result.status = [result.bytecode, result.deployedBytecode, result.constructorArgs, result.onchain].includes(false)
+    ? "mismatch"
+    : "match";
+  return result;
+}
+
+function splitName(fullyQualifiedName) {
+  const index = fullyQualifiedName.lastIndexOf(":");
+  return [fullyQualifiedName.slice(0, index), fullyQualifiedName.slice(index + 1)];
+}
+
+module.exports = {
+  getSourceClosure,
+  createBundle,
+  checkBundle
+};
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const DeploymentRegistry = require("./utils/deployment-registry");
+const { createBundle, checkBundle } = require("./utils/verification-bundle");
+
+const BUNDLES_DIR = path.join(__dirname, "../deployments/verification");
+
+async function main() {
+  const contractName = process.argv.slice(2).find(arg => !arg.startsWith("--"));
+  const check = process.argv.includes("--check");
+  const onchain = process.argv.includes("--onchain");
+
+  const deployment = new DeploymentRegistry().getActive(hre.network.name);
+  if (!deployment) {
+    throw new Error(`No active deployment found for network ${hre.network.name}`);
+  }
+
+  const names = contractName ? [contractName] : Object.keys(deployment.contracts);
+  if (contractName && !deployment.contracts[contractName]) {
+    throw new Error(`Contract ${contractName} not found in deployment ${deployment.id}`);
+  }
+
+  const outputDir = path.join(BUNDLES_DIR, deployment.id);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  console.log(`📦 Verification bundles for ${hre.network.name}`);
+  console.log(`📋 Deployment: ${deployment.id}`);
+  console.log("=" .repeat(50));
+
+  const mismatches = [];
+
+  for (const name of names) {
+    const details = (deployment.details || {})[name] || {};
+    if (!details.constructorArgs) {
+      console.log(`\n⚠️  Skipping ${name}: no constructor args recorded in ${deployment.id}`);
+      continue;
+    }
+
+    // Proxied contracts are verified through their implementation
+    const address = details.proxy ? details.proxy.implementation : deployment.contracts[name];
+    const bundle = await createBundle(name, address, details);
+
+    const file = path.join(outputDir, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(bundle, null, 2));
+
+    console.log(`\n📦 ${name} (${bundle.fullyQualifiedName})`);
+    console.log(`   Address: ${address}`);
+    console.log(`   Compiler: ${bundle.compilerVersion}, ${Object.keys(bundle.input.sources).length} sources`);
+    console.log(`   Constructor args: ${bundle.encodedConstructorArgs || "(none)"}`);
+    console.log(`   💾 ${path.relative(process.cwd(), file)}`);
+
+    if (!check && !onchain) continue;
+
+    const deployedCode = onchain ? await hre.ethers.provider.getCode(address) : null;
+    const result = await checkBundle(bundle, deployedCode);
+
+    const describe = (value) => value === null ? "not recorded" : value ? "match" : "MISMATCH";
+    console.log(`   ${result.status === "match" ? "✅" : "❌"} Recompiled: bytecode ${describe(result.bytecode)}, ` +
+      `runtime ${describe(result.deployedBytecode)}, constructor args ${describe(result.constructorArgs)}` +
+      (onchain ? `, on-chain code ${describe(result.onchain)}` : ""));
+
+    if (result.status !== "match") {
+      mismatches.push(name);
+    }
+  }
+
+  if (mismatches.length > 0) {
+    throw new Error(`Recompiled bundles do not match the deployment for ${mismatches.join(", ")}`);
+  }
+
+  console.log(`\n🎉 Bundles written to ${path.relative(process.cwd(), outputDir)}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Bundle generation failed:", error);
+    process.exit(1);
+  });
@@ -1,15 +1,6 @@
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-const CONTRACT_ARGS = {
-  BaseToken: ["BaseLytics Token", "BLT", hre.ethers.parseEther("1000000")],
-  BaseNFT: ["BaseLytics NFT", "BLNFT", "https://api.baselytics.com/nft/"],
-  BalanceManager: ["Balance Manager Token", "BMT", hre.ethers.parseEther("500000")],
-  BalanceTracker: [],
-  BaseDEX: [],
-  BaseMarketplace: []
-};
+const DeploymentManifest = require("./utils/deployment-manifest");
+const DeploymentRegistry = require("./utils/deployment-registry");
 
 async function verifyContract(name, address, args) {
   console.log(`\n🔍 Verifying ${name}...`);
@@ -31,14 +22,17 @@ async function verifyContract(name, address, args) {
 async function main() {
   const contractName = process.argv[2];
   
-  // Load latest deployment
-  const deployment = getLatestDeployment();
+  // Load active deployment
+  const deployment = new DeploymentRegistry().getActive(hre.network.name);
   if (!deployment) {
     console.log("❌ No deployment found. Deploy contracts first.");
     process.exit(1);
   }
   
+  const manifest = DeploymentManifest.load(hre.network.name);
+  
   console.log(`🔍 Verifying contracts on ${hre.network.name}`);
+  console.log(`📋 Deployment: ${deployment.id}`);
   console.log("=" .repeat(50));
   
   if (contractName) {
@@ -48,43 +42,51 @@ async function main() {
       process.exit(1);
     }
     
-    let args = CONTRACT_ARGS[contractName] || [];
-    
-    // Handle contracts with dependencies
-    if (["BaseStaking", "BaseVesting", "BaseGovernance"].includes(contractName)) {
-      args = [deployment.contracts.BaseToken];
-    }
-    
-    await verifyContract(contractName, deployment.contracts[contractName], args);
+    const args = getConstructorArgs(contractName, deployment, manifest);
+    await verifyContract(contractName, getVerificationAddress(contractName, deployment), args);
   } else {
     // Verify all contracts
-    for (const [name, address] of Object.entries(deployment.contracts)) {
-      let args = CONTRACT_ARGS[name] || [];
-      
-      // Handle contracts with dependencies
-      if (["BaseStaking", "BaseVesting", "BaseGovernance"].includes(name)) {
-        args = [deployment.contracts.BaseToken];
+    for (const name of Object.keys(deployment.contracts)) {
+      const args = getConstructorArgs(name, deployment, manifest);
+      if (!args) {
+        console.log(`\n⚠️  Skipping ${name}: no recorded constructor args and not declared in manifests/${hre.network.name}.json`);
+        continue;
       }
       
-      await verifyContract(name, address, args);
+      await verifyContract(name, getVerificationAddress(name, deployment), args);
     }
   }
   
   console.log("\n🎉 Verification completed!");
 }
 
-function getLatestDeployment() {
-  const deploymentsDir = path.join(__dirname, "../deployments");
-  if (!fs.existsSync(deploymentsDir)) return null;
-  
-  const files = fs.readdirSync(deploymentsDir)
-    .filter(f => f.startsWith(hre.network.name) && f.endsWith('.json'))
-    .sort()
-    .reverse();
+/**
+ * Constructor args recorded with the deployment. Older records without them
+ * fall back to the manifest, which may have changed since the deployment.
+ */
+function getConstructorArgs(name, deployment, manifest) {
+  const details = (deployment.details || {})[name];
+  if (details && details.constructorArgs) {
+    return details.constructorArgs;
+  }
   
-  if (files.length === 0) return null;
+  if (!manifest.hasContract(name)) return null;
   
-  return JSON.parse(fs.readFileSync(path.join(deploymentsDir, files[0]), 'utf8'));
+  console.log(`\n⚠️  No recorded constructor args for ${name}, using manifests/${hre.network.name}.json`);
+  return manifest.resolveArgs(name, deployment.contracts);
+}
+
+/**
+ * Proxied contracts are verified through their implementation; explorers
+ * link the proxy to it.
+ */
+function getVerificationAddress(name, deployment) {
+  const details = (deployment.details || {})[name];
+  if (details && details.proxy) {
+    console.log(`\n🔗 ${name} is a ${details.proxy.kind} proxy, verifying implementation ${details.proxy.implementation}`);
+    return details.proxy.implementation;
+  }
+  return deployment.contracts[name];
 }
 
 main()
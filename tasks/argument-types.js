@@ -0,0 +1,124 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { isAddress, getAddress } = require("ethers");
+
+const PLUGIN_NAME = "baselytics";
+
+/**
+ * Hardhat argument type checked both when parsed from the command line and
+ * when a task is run programmatically with hre.run().
+ */
+function argumentType(name, expected, isValid, convert = value => value) {
+  const validate = (argName, value) => {
+    if (!isValid(value)) {
+      throw new HardhatPluginError(PLUGIN_NAME, `Invalid value ${value} for --${toFlag(argName)}: expected ${expected}`);
+    }
+  };
+
+  return {
+    name,
+    parse(argName, value) {
+      validate(argName, value);
+      return convert(value);
+    },
+    validate
+  };
+}
+
+const address = argumentType(
+  "address",
+  "an address",
+  value => typeof value === "string" && isAddress(value),
+  value => getAddress(value)
+);
+
+// Token or ether amount in whole units, e.g. "100" or "0.5"
+const amount = argumentType(
+  "amount",
+  "a positive amount such as 100 or 0.5",
+  value => /^\d+(\.\d{1,18})?$/.test(String(value)) && /[1-9]/.test(String(value)),
+  value => String(value)
+);
+
+const positiveInt = argumentType(
+  "count",
+  "a positive whole number",
+  value => /^\d+$/.test(String(value)) && Number(value) > 0,
+  value => Number(value)
+);
+
+const nonNegativeInt = argumentType(
+  "count",
+  "a whole number",
+  value => /^\d+$/.test(String(value)),
+  value => Number(value)
+);
+
+const blockNumber = argumentType(
+  "block",
+  "a block number",
+  value => /^\d+$/.test(String(value)),
+  value => Number(value)
+);
+
+// Comma-separated counts such as 10,100,1000
+const positiveIntList = argumentType(
+  "n,n,...",
+  "a comma-separated list of positive whole numbers",
+  value => String(value).split(",").every(item => /^\d+$/.test(item) && Number(item) > 0),
+  value => String(value).split(",").map(Number)
+);
+
+// Percentage such as 5 or 2.5
+const percentage = argumentType(
+  "percent",
+  "a percentage such as 5 or 2.5",
+  value => /^\d+(\.\d+)?$/.test(String(value)),
+  value => Number(value)
+);
+
+// Comma-separated contracts or events such as BaseDEX,BaseMarketplace.ItemSold
+const eventFilter = argumentType(
+  "contract[.event],...",
+  "a comma-separated list of contracts or Contract.Event names",
+  value => String(value).split(",").every(item => /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/.test(item)),
+  value => String(value).split(",")
+);
+
+const tokenId = argumentType(
+  "token id",
+  "a token id",
+  value => /^\d+$/.test(String(value)),
+  value => String(value)
+);
+
+const date = argumentType(
+  "yyyy-mm-dd",
+  "a date as YYYY-MM-DD",
+  value => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(Date.parse(value))
+);
+
+function oneOf(values) {
+  return argumentType(values.join("|"), `one of ${values.join(", ")}`, value => values.includes(value));
+}
+
+/**
+ * tokenId -> token-id, as Hardhat names the command line flag
+ */
+function toFlag(argName) {
+  return argName.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+module.exports = {
+  PLUGIN_NAME,
+  address,
+  amount,
+  positiveInt,
+  positiveIntList,
+  nonNegativeInt,
+  blockNumber,
+  percentage,
+  eventFilter,
+  tokenId,
+  date,
+  oneOf
+};
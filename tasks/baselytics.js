@@ -0,0 +1,211 @@
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { scope } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { PLUGIN_NAME, address, amount, positiveInt, positiveIntList, nonNegativeInt, blockNumber, percentage, eventFilter, tokenId, date, oneOf } = require("./argument-types");
+
+/**
+ * `npx hardhat baselytics <command> [flags] --network <network>`
+ *
+ * Every command takes --help and --json. With --json the progress output
+ * goes to stderr and stdout holds only the command's result (or
+ * { "error": ... }), so it can be piped into other tools. Commands that
+ * send transactions take --as <signer> (see scripts/utils/signers).
+ *
+ * Script modules are required inside the actions: they load the Hardhat
+ * runtime, which is not available while this config file is read.
+ */
+const baselytics = scope(PLUGIN_NAME, "BaseLytics deployment, interaction and monitoring commands");
+
+function command(name, description) {
+  return baselytics.task(name, description).addFlag("json", "Print the result as JSON");
+}
+
+function signerCommand(name, description) {
+  return command(name, description)
+    .addOptionalParam("as", "Signer: account index, address, role from the manifest or keystore:<name>");
+}
+
+async function runCommand(taskArgs, action) {
+  const log = console.log;
+  if (taskArgs.json) console.log = console.error;
+
+  try {
+    const result = await action();
+    if (taskArgs.json && result !== undefined) process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return result;
+  } catch (error) {
+    if (!taskArgs.json) throw new HardhatPluginError(PLUGIN_NAME, error.message, error);
+
+    process.stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+    process.exitCode = 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+async function getSigner(spec) {
+  const ContractLoader = require("../scripts/utils/contract-loader");
+  return ContractLoader.getSigner(spec);
+}
+
+command("deploy", "Deploy the network's manifest (runs scripts/deploy.js)")
+  .addFlag("dryRun", "Rehearse the deployment on a fork without sending transactions")
+  .addFlag("resume", "Continue an unfinished deployment from its journal")
+  .setAction(async (taskArgs, hre) => runCommand(taskArgs, async () => {
+    const DeploymentRegistry = require("../scripts/utils/deployment-registry");
+    const registry = new DeploymentRegistry();
+    const network = hre.network.name;
+    const before = new Set(registry.list(network).map(deployment => deployment.id));
+
+    const flags = [taskArgs.dryRun && "--dry-run", taskArgs.resume && "--resume"].filter(Boolean);
+    const result = spawnSync(process.execPath, [path.join(__dirname, "../scripts/deploy.js"), ...flags], {
+      stdio: ["inherit", taskArgs.json ? process.stderr : "inherit", "inherit"],
+      env: { ...process.env, HARDHAT_NETWORK: network }
+    });
+
+    if (result.status !== 0) {
+      throw new Error(`Deployment to ${network} failed (deploy.js exited with code ${result.status})`);
+    }
+    if (taskArgs.dryRun) {
+      return { network, dryRun: true };
+    }
+
+    const saved = registry.list(network).filter(deployment => !before.has(deployment.id)).pop();
+    const deployment = saved ? registry.get(saved.id) : null;
+    return {
+      network,
+      deploymentId: saved ? saved.id : null,
+      contracts: deployment ? deployment.contracts : {}
+    };
+  }));
+
+signerCommand("admin", "Run an owner-only admin action")
+  .addParam("contract", "BaseToken, BaseNFT or BaseStaking", undefined, oneOf(["BaseToken", "BaseNFT", "BaseStaking"]))
+  .addParam(
+    "action",
+    "BaseToken: set-max-supply, transfer-ownership; " +
+    "BaseNFT: pause, unpause, toggle-minting, withdraw, set-base-uri; " +
+    "BaseStaking: set-reward-rate, emergency-withdraw"
+  )
+  .addOptionalParam("value", "Amount, address, URI or rate the action takes")
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { contractAdmin } = require("../scripts/admin/contract-admin");
+    return contractAdmin({ ...taskArgs, signer: await getSigner(taskArgs.as) });
+  }));
+
+signerCommand("mint", "Mint BaseTokens (owner only)")
+  .addParam("to", "Recipient address", undefined, address)
+  .addParam("amount", "Tokens to mint", undefined, amount)
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { mintTokens } = require("../scripts/interact/mint-tokens");
+    return mintTokens({ ...taskArgs, signer: await getSigner(taskArgs.as) });
+  }));
+
+signerCommand("stake", "Stake, unstake, claim rewards or show staking info")
+  .addOptionalParam("action", "stake, unstake, claim or info", "stake", oneOf(["stake", "unstake", "claim", "info"]))
+  .addOptionalParam("amount", "Tokens to stake or unstake", undefined, amount)
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { stakeTokens } = require("../scripts/interact/stake-tokens");
+    return stakeTokens({ ...taskArgs, signer: await getSigner(taskArgs.as) });
+  }));
+
+signerCommand("nft", "Mint, batch-mint, inspect or transfer BaseNFTs")
+  .addParam("action", "mint, batch-mint, info or transfer", undefined, oneOf(["mint", "batch-mint", "info", "transfer"]))
+  .addOptionalParam("count", "NFTs to batch-mint", undefined, positiveInt)
+  .addOptionalParam("to", "Transfer recipient", undefined, address)
+  .addOptionalParam("tokenId", "Token to transfer", undefined, tokenId)
+  .addOptionalParam("address", "Holder to show with info (default: the signer)", undefined, address)
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { nftOperations } = require("../scripts/interact/nft-operations");
+    return nftOperations({ ...taskArgs, signer: await getSigner(taskArgs.as) });
+  }));
+
+command("stats", "Collect usage statistics and save them to reports/")
+  .addOptionalParam("timeframe", "24h, 7d or 30d", "24h", oneOf(["24h", "7d", "30d"]))
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { generateUsageStats } = require("../scripts/analytics/usage-stats");
+    return generateUsageStats(taskArgs.timeframe);
+  }));
+
+command("revenue", "Print revenue metrics from contract state and the stored events")
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { trackRevenue } = require("../scripts/analytics/revenue-tracker");
+    return trackRevenue();
+  }));
+
+command("gas-profile", "Measure gas for every example contract function on the in-process network")
+  .addOptionalParam("out", "Baseline file to write (default: reports/gas-profile-<timestamp>.json)")
+  .setAction(async (taskArgs, hre) => runCommand(taskArgs, async () => {
+    // Deploys from the artifacts and reads their storage layouts, so build them first
+    await hre.run("compile", { quiet: true });
+    const { profileGas } = require("../scripts/analytics/gas-profile");
+    return profileGas({ out: taskArgs.out });
+  }));
+
+command("gas-diff", "Compare gas per function with the committed baseline; exits non-zero on regressions or functions that stopped working")
+  .addOptionalParam("baseline", "Baseline file (default: gas-baseline.json)")
+  .addOptionalParam("current", "Compare this saved profile instead of profiling again")
+  .addOptionalParam("threshold", "Allowed increase per function in percent", 5, percentage)
+  .addFlag("update", "Profile again and overwrite the baseline")
+  .setAction(async (taskArgs, hre) => runCommand(taskArgs, async () => {
+    await hre.run("compile", { quiet: true });
+    const { compareGas } = require("../scripts/analytics/gas-profile");
+    return compareGas(taskArgs);
+  }));
+
+command("gas-scaling", "Grow the unbounded history arrays and report how gas scales with their length")
+  .addOptionalParam("sizes", "History lengths to measure (default: 10,100,1000,10000)", undefined, positiveIntList)
+  .addOptionalParam("blockGasLimit", "Limit to flag against (default: the in-process chain's)", undefined, positiveInt)
+  .addOptionalParam("out", "Report file to write (default: reports/gas-scaling-<timestamp>.json)")
+  .setAction(async (taskArgs, hre) => runCommand(taskArgs, async () => {
+    await hre.run("compile", { quiet: true });
+    const { analyzeGasScaling } = require("../scripts/analytics/gas-scaling");
+    return analyzeGasScaling(taskArgs);
+  }));
+
+command("gas-track", "Sample recent fees and show what common operations cost at p10/p50/p90")
+  .addOptionalParam("blocks", "Recent blocks to sample, up to 1024 (default: 100)", undefined, positiveInt)
+  .addOptionalParam("windowBlocks", "Price from stored samples of this many latest blocks (default: 43200, a day on Base)", undefined, positiveInt)
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { trackGasUsage } = require("../scripts/monitor/gas-tracker");
+    return trackGasUsage(taskArgs);
+  }));
+
+command("alerts", "Check alert thresholds and save raised alerts to alerts/")
+  .addFlag("showConfig", "Only show the configured thresholds")
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { monitorThresholds, showConfiguration } = require("../scripts/alerts/threshold-monitor");
+    return taskArgs.showConfig ? showConfiguration() : monitorThresholds();
+  }));
+
+command("report", "Compile the daily summary and save it to reports/")
+  .addOptionalParam("date", "Day to summarize as YYYY-MM-DD (default: today)", undefined, date)
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { generateDailySummary } = require("../scripts/reports/daily-summary");
+    return generateDailySummary(taskArgs.date);
+  }));
+
+command("backfill", "Log past contract events from the deployment block (or the cursor) to the latest block")
+  .addOptionalParam("fromBlock", "First block to scan (default: after the cursor, else the deployment block)", undefined, blockNumber)
+  .addOptionalParam("toBlock", "Last block to scan (default: the latest block)", undefined, blockNumber)
+  .addOptionalParam("chunkSize", "Blocks per getLogs call to start with (default: 2000)", undefined, positiveInt)
+  .addOptionalParam("confirmations", "Blocks on top of the default --to-block (default: 5)", undefined, nonNegativeInt)
+  .addOptionalParam("include", "Only these contracts or events, e.g. BaseDEX,BaseMarketplace.ItemSold", undefined, eventFilter)
+  .addOptionalParam("exclude", "Skip these contracts or events, e.g. BaseToken.Approval", undefined, eventFilter)
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { backfillEvents } = require("../scripts/monitor/event-indexer");
+    return backfillEvents(taskArgs);
+  }));
+
+command("monitor", "Log contract events until Ctrl+C (one JSON line per event with --json)")
+  .addOptionalParam("confirmations", "Blocks on top of an event's block before it is logged (default: 5)", undefined, nonNegativeInt)
+  .addOptionalParam("include", "Only these contracts or events, e.g. BaseDEX,BaseMarketplace.ItemSold", undefined, eventFilter)
+  .addOptionalParam("exclude", "Skip these contracts or events, e.g. BaseToken.Approval", undefined, eventFilter)
+  .addOptionalParam("sinks", "JSON file of sinks to deliver events to: stdout, file, webhook, queue (see MONITORING_GUIDE.md)")
+  .setAction(async (taskArgs) => runCommand(taskArgs, async () => {
+    const { startMonitoring } = require("../scripts/monitor/event-listener");
+    const summary = await startMonitoring(taskArgs);
+    // Events were already streamed as JSON lines
+    return taskArgs.json ? undefined : summary;
+  }));
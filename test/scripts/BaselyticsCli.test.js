@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const ContractLoader = require("../../scripts/utils/contract-loader");
+const { address, amount, positiveInt, date, oneOf } = require("../../tasks/argument-types");
+
+const { ethers } = hre;
+
+describe("Baselytics CLI", function () {
+  let deploymentsDir, user, token, nft;
+
+  // Runs a command with its output captured; returns stdout
+  async function run(task, args) {
+    const log = console.log;
+    const error = console.error;
+    const write = process.stdout.write;
+    let stdout = "";
+
+    console.log = () => {};
+    console.error = () => {};
+    process.stdout.write = (chunk) => {
+      stdout += chunk;
+      return true;
+    };
+
+    try {
+      await hre.run({ scope: "baselytics", task }, args);
+    } finally {
+      console.log = log;
+      console.error = error;
+      process.stdout.write = write;
+    }
+
+    return stdout;
+  }
+
+  beforeEach(async function () {
+    [, user] = await ethers.getSigners();
+    token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+    nft = await ethers.deployContract("BaseNFT", ["BaseLytics NFT", "BLNFT", "https://api.baselytics.com/nft/"]);
+    const staking = await ethers.deployContract("BaseStaking", [await token.getAddress()]);
+
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    fs.writeFileSync(path.join(deploymentsDir, "hardhat-1000.json"), JSON.stringify({
+      network: "hardhat",
+      contracts: {
+        BaseToken: await token.getAddress(),
+        BaseNFT: await nft.getAddress(),
+        BaseStaking: await staking.getAddress()
+      }
+    }));
+
+    ContractLoader.deploymentsDir = deploymentsDir;
+    ContractLoader.clearCache();
+  });
+
+  afterEach(function () {
+    ContractLoader.deploymentsDir = undefined;
+    ContractLoader.clearCache();
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("Argument types", function () {
+    it("Should parse and checksum addresses", function () {
+      expect(address.parse("to", user.address.toLowerCase())).to.equal(user.address);
+      expect(() => address.parse("to", "0x1234")).to.throw("Invalid value 0x1234 for --to: expected an address");
+    });
+
+    it("Should accept positive amounts only", function () {
+      expect(amount.parse("amount", "0.5")).to.equal("0.5");
+      for (const value of ["0", "0.0", "-1", "1.2.3", "1e18", "abc"]) {
+        expect(() => amount.parse("amount", value), value).to.throw("expected a positive amount");
+      }
+    });
+
+    it("Should validate counts, dates and choices", function () {
+      expect(positiveInt.parse("count", "3")).to.equal(3);
+      expect(() => positiveInt.parse("count", "0")).to.throw("expected a positive whole number");
+      expect(() => date.parse("date", "2025-13-01")).to.throw("expected a date as YYYY-MM-DD");
+      expect(() => oneOf(["24h", "7d"]).parse("timeframe", "1y")).to.throw("expected one of 24h, 7d");
+      expect(() => positiveInt.validate("tokenId", 0)).to.throw("for --token-id");
+    });
+  });
+
+  it("Should run commands and return their results", async function () {
+    await run("mint", { to: user.address, amount: "25" });
+    expect(await token.balanceOf(user.address)).to.equal(ethers.parseEther("25"));
+
+    const info = JSON.parse(await run("nft", { action: "info", address: user.address, json: true }));
+    expect(info).to.include({ action: "info", address: user.address, balance: "0", paused: false });
+  });
+
+  it("Should act as the signer given with --as", async function () {
+    await token.transfer(user.address, ethers.parseEther("100"));
+
+    const result = JSON.parse(await run("stake", { amount: "40", as: "1", json: true }));
+    expect(result).to.include({ user: user.address, action: "stake", staked: "40.0" });
+
+    await expect(run("mint", { to: user.address, amount: "1", as: "1" }))
+      .to.be.rejectedWith("Only contract owner can mint tokens");
+  });
+
+  it("Should print failures as JSON with --json", async function () {
+    const output = await run("admin", { contract: "BaseStaking", action: "set-reward-rate", json: true });
+
+    expect(JSON.parse(output)).to.deep.equal({ error: "set-reward-rate requires --value <rate>" });
+    expect(process.exitCode).to.equal(1);
+    process.exitCode = undefined;
+  });
+
+  it("Should reject invalid arguments before sending anything", async function () {
+    await expect(run("mint", { to: "0x1234", amount: "1" })).to.be.rejectedWith("expected an address");
+    await expect(run("nft", { action: "burn" })).to.be.rejectedWith("expected one of mint, batch-mint, info, transfer");
+    expect(await token.balanceOf(user.address)).to.equal(0n);
+  });
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { stripMetadata, getDriftStatus, maskImmutables, getCompiledRuntime } = require("../../scripts/utils/bytecode");
+const { getArtifactMetadata } = require("../../scripts/utils/deployment-metadata");
+
+describe("BytecodeDrift", function () {
+  let token, tokenAddress;
+
+  beforeEach(async function () {
+    token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+    tokenAddress = await token.getAddress();
+  });
+
+  it("Should strip the metadata appended by solc", async function () {
+    const code = await ethers.provider.getCode(tokenAddress);
+    const stripped = stripMetadata(code);
+    const metadataLength = parseInt(code.slice(-4), 16);
+
+    expect(stripped.length).to.equal(code.length - (metadataLength + 2) * 2);
+    expect(stripMetadata("0x6001600055")).to.equal("0x6001600055");
+  });
+
+  it("Should match code deployed from the current artifacts", async function () {
+    expect(await getDriftStatus("BaseToken", tokenAddress)).to.deep.equal({ status: "matches", sameMetadata: true });
+  });
+
+  it("Should ignore a different metadata hash", async function () {
+    const code = await ethers.provider.getCode(tokenAddress);
+    const start = code.length - 4 - parseInt(code.slice(-4), 16) * 2;
+    const changed = code.slice(0, start + 20) + (code[start + 20] === "0" ? "1" : "0") + code.slice(start + 21);
+    await network.provider.send("hardhat_setCode", [tokenAddress, changed]);
+
+    expect(await getDriftStatus("BaseToken", tokenAddress)).to.deep.equal({ status: "matches", sameMetadata: false });
+  });
+
+  it("Should recognize code deployed from an older source", async function () {
+    const dex = await ethers.deployContract("BaseDEX");
+    const code = await ethers.provider.getCode(await dex.getAddress());
+    const { immutableReferences } = await getCompiledRuntime("BaseDEX");
+    const recorded = { deployedBytecodeHash: ethers.keccak256(maskImmutables(code, immutableReferences)), immutableReferences };
+
+    const result = await getDriftStatus("BaseToken", await dex.getAddress(), recorded);
+    expect(result.status).to.equal("source changed since deploy");
+  });
+
+  it("Should mask immutables where they were at deploy time", async function () {
+    const governance = await ethers.deployContract("BaseGovernance", [tokenAddress]);
+    const { immutableReferences } = await getArtifactMetadata("BaseGovernance");
+    expect(Object.keys(immutableReferences)).to.have.lengthOf(1);
+
+    // An older source with one more byte of code before the immutable
+    const olderCode = `0x5b${(await ethers.provider.getCode(await governance.getAddress())).slice(2)}`;
+    const olderReferences = {};
+    for (const [id, references] of Object.entries(immutableReferences)) {
+      olderReferences[id] = references.map(({ start, length }) => ({ start: start + 1, length }));
+    }
+    const older = ethers.Wallet.createRandom().address;
+    await network.provider.send("hardhat_setCode", [older, olderCode]);
+    const deployedBytecodeHash = ethers.keccak256(maskImmutables(olderCode, olderReferences));
+
+    expect((await getDriftStatus("BaseGovernance", older, { deployedBytecodeHash, immutableReferences: olderReferences })).status)
+      .to.equal("source changed since deploy");
+    // The current offsets miss the immutable
+    expect((await getDriftStatus("BaseGovernance", older, { deployedBytecodeHash })).status).to.equal("unknown code");
+  });
+
+  it("Should report unknown code and missing code", async function () {
+    const dex = await ethers.deployContract("BaseDEX");
+    const [, emptyAccount] = await ethers.getSigners();
+
+    expect((await getDriftStatus("BaseToken", await dex.getAddress(), { deployedBytecodeHash: ethers.ZeroHash })).status).to.equal("unknown code");
+    expect((await getDriftStatus("BaseToken", emptyAccount.address)).status).to.equal("no code");
+  });
+});
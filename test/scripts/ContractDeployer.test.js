@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const DeploymentJournal = require("../../scripts/utils/deployment-journal");
+const DeploymentManifest = require("../../scripts/utils/deployment-manifest");
+const { getImplementationAddress } = require("../../scripts/utils/proxy-deployer");
+const {
+  deployManifestContract,
+  runConfigurationSteps,
+  openJournal,
+  recoverContract
+} = require("../../scripts/utils/contract-deployer");
+
+const { ethers } = hre;
+
+describe("ContractDeployer", function () {
+  let owner, snapshot, manifest;
+
+  async function quietly(action) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await action();
+    } finally {
+      console.log = log;
+    }
+  }
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+    snapshot = await takeSnapshot();
+    manifest = new DeploymentManifest({
+      contracts: {
+        BaseToken: { args: ["BaseLytics Token", "BLT", { ether: "1000" }] },
+        BaseNFT: { args: ["BaseLytics NFT", "BLNFT", "https://api.baselytics.com/nft/"], salt: "baselytics-nft" },
+        BaseStaking: { args: ["${BaseToken.address}"], proxy: "uups" },
+        BalanceTracker: { args: [] }
+      },
+      configure: [
+        { id: "tracker-support-token", contract: "BalanceTracker", method: "addSupportedToken", args: ["${BaseToken.address}"] },
+        { id: "marketplace-payment-token", contract: "BaseMarketplace", method: "addSupportedPaymentToken", args: ["${BaseToken.address}"] }
+      ]
+    });
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  it("Should deploy each contract the way the manifest asks", async function () {
+    const addresses = {};
+    const details = {};
+
+    await quietly(async () => {
+      for (const name of ["BaseToken", "BaseNFT", "BaseStaking"]) {
+        const deployed = await deployManifestContract(manifest, name, manifest.resolveArgs(name, addresses), owner);
+        addresses[name] = deployed.address;
+        details[name] = deployed.details;
+      }
+    });
+
+    expect(details.BaseToken).to.not.have.any.keys("create2", "proxy");
+    expect(details.BaseNFT.create2.salt).to.equal(manifest.getCreate2Salt("BaseNFT"));
+    expect(await getImplementationAddress(addresses.BaseStaking)).to.equal(details.BaseStaking.proxy.implementation);
+
+    const staking = await ethers.getContractAt("BaseStaking", addresses.BaseStaking);
+    expect(await staking.stakingToken()).to.equal(addresses.BaseToken);
+  });
+
+  it("Should skip configuration steps whose contracts are not deployed", async function () {
+    const addresses = {};
+    await quietly(async () => {
+      for (const name of ["BaseToken", "BalanceTracker"]) {
+        addresses[name] = (await deployManifestContract(manifest, name, manifest.resolveArgs(name, addresses), owner)).address;
+      }
+      await runConfigurationSteps(manifest, manifest.getConfigurationStepsFor(["BaseToken"]), addresses);
+    });
+
+    const tracker = await ethers.getContractAt("BalanceTracker", addresses.BalanceTracker);
+    expect(await tracker.supportedTokens(addresses.BaseToken)).to.equal(true);
+  });
+
+  describe("Resume", function () {
+    const tokenArgs = ["BaseLytics Token", "BLT", ethers.parseEther("1000")];
+    let dir;
+
+    // A journal as a fresh process would read it back from disk
+    function reload(journal) {
+      return DeploymentJournal.load(journal.file);
+    }
+
+    async function newJournal() {
+      return quietly(() => openJournal(manifest, owner, { dir }));
+    }
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "journals-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should pick up a deployment sent before the run died", async function () {
+      const journal = await newJournal();
+
+      // The run died after sending, before it journaled the receipt
+      const token = await ethers.deployContract("BaseToken", tokenArgs);
+      journal.recordPendingContract("BaseToken", token.deploymentTransaction().hash);
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+      const resumed = reload(journal);
+      const recovered = await recoverContract("BaseToken", tokenArgs, resumed);
+
+      expect(recovered.address).to.equal(await token.getAddress());
+      expect(recovered.details.txHash).to.equal(token.deploymentTransaction().hash);
+      expect(reload(resumed).getContract("BaseToken")).to.include({ status: "completed", address: recovered.address });
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+    });
+
+    it("Should deploy again when the journaled transaction never made it", async function () {
+      const journal = await newJournal();
+      journal.recordPendingContract("BaseToken", ethers.id("dropped"));
+
+      expect(await recoverContract("BaseToken", tokenArgs, reload(journal))).to.equal(null);
+    });
+
+    it("Should not run a configuration step that already ran", async function () {
+      const addresses = {};
+      const journal = await newJournal();
+      await quietly(async () => {
+        for (const name of ["BaseToken", "BalanceTracker"]) {
+          addresses[name] = (await deployManifestContract(manifest, name, manifest.resolveArgs(name, addresses), owner, journal)).address;
+        }
+      });
+      const steps = manifest.getConfigurationStepsFor(["BalanceTracker"]);
+
+      // Sent by the run that died, but not journaled as completed
+      const tracker = await ethers.getContractAt("BalanceTracker", addresses.BalanceTracker);
+      const tx = await tracker.addSupportedToken(addresses.BaseToken);
+      journal.recordPendingStep("tracker-support-token", tx.hash);
+      const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+      const resumed = reload(journal);
+      await quietly(() => runConfigurationSteps(manifest, steps, addresses, resumed));
+      expect(reload(resumed).getStep("tracker-support-token")).to.include({ status: "completed", txHash: tx.hash });
+
+      await quietly(() => runConfigurationSteps(manifest, steps, addresses, reload(resumed)));
+      expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce);
+    });
+
+    it("Should only resume a journal of the same manifest, network and chain", async function () {
+      const journal = await newJournal();
+      const resume = (candidate) => quietly(() => openJournal(candidate, owner, { resume: true, dir }));
+
+      expect((await resume(manifest)).file).to.equal(journal.file);
+
+      const changed = new DeploymentManifest({ contracts: { BaseToken: manifest.contracts.BaseToken } });
+      await expect(resume(changed)).to.be.rejectedWith("different manifest");
+
+      journal.data.network = "baseSepolia";
+      journal.save();
+      await expect(resume(manifest)).to.be.rejectedWith(`recorded on network baseSepolia, not ${hre.network.name}`);
+
+      journal.data.network = hre.network.name;
+      journal.data.chainId = "8453";
+      journal.save();
+      await expect(resume(manifest)).to.be.rejectedWith("recorded on chain 8453");
+
+      await expect(quietly(() => openJournal(manifest, owner, { dir }))).to.be.rejectedWith("Unfinished deployment journal found");
+    });
+  });
+});
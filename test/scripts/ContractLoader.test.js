@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const ContractLoader = require("../../scripts/utils/contract-loader");
+const { ContractValidationError } = ContractLoader;
+
+describe("ContractLoader", function () {
+  let deploymentsDir, chainId, token, dex, otherToken;
+
+  function writeDeployment(id, contracts, recordedChainId = chainId) {
+    const file = path.join(deploymentsDir, `${id}.json`);
+    fs.writeFileSync(file, JSON.stringify({ network: "hardhat", chainId: recordedChainId, contracts }, null, 2));
+    return file;
+  }
+
+  beforeEach(async function () {
+    chainId = (await ethers.provider.getNetwork()).chainId.toString();
+    token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+    otherToken = await ethers.deployContract("BaseToken", ["Other Token", "OTH", ethers.parseEther("1000")]);
+    dex = await ethers.deployContract("BaseDEX");
+
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    ContractLoader.deploymentsDir = deploymentsDir;
+    ContractLoader.clearCache();
+
+    writeDeployment("hardhat-1000", { BaseToken: await otherToken.getAddress() });
+    writeDeployment("hardhat-2000", { BaseToken: await token.getAddress(), BaseDEX: await dex.getAddress() });
+  });
+
+  afterEach(async function () {
+    delete process.env.DEPLOYMENT;
+    delete process.env.BASE_TOKEN_ADDRESS;
+    ContractLoader.deploymentsDir = undefined;
+    ContractLoader.clearCache();
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  it("Should load contracts from the active deployment", async function () {
+    const contracts = await ContractLoader.loadAllContracts();
+
+    expect(Object.keys(contracts)).to.deep.equal(["BaseToken", "BaseDEX"]);
+    expect(await contracts.BaseToken.symbol()).to.equal("BLT");
+  });
+
+  it("Should select a deployment by id, tag, file path or DEPLOYMENT", async function () {
+    expect(ContractLoader.getDeployment("hardhat-1000").id).to.equal("hardhat-1000");
+    expect(ContractLoader.getDeployment("previous").id).to.equal("hardhat-1000");
+    expect(ContractLoader.getDeployment("latest").id).to.equal("hardhat-2000");
+
+    const file = path.join(deploymentsDir, "hardhat-1000.json");
+    expect(await (await ContractLoader.loadContract("BaseToken", { deployment: file })).symbol()).to.equal("OTH");
+
+    process.env.DEPLOYMENT = "hardhat-1000";
+    expect(await (await ContractLoader.loadContract("BaseToken")).symbol()).to.equal("OTH");
+  });
+
+  it("Should find the first block of a deployment", async function () {
+    const file = path.join(deploymentsDir, "hardhat-3000.json");
+    fs.writeFileSync(file, JSON.stringify({
+      network: "hardhat",
+      chainId,
+      contracts: { BaseToken: await token.getAddress(), BaseDEX: await dex.getAddress() },
+      details: { BaseToken: { blockNumber: 12 }, BaseDEX: { blockNumber: 10 } }
+    }));
+
+    expect(ContractLoader.getDeploymentBlock(file)).to.equal(10);
+    expect(ContractLoader.getDeploymentBlock("hardhat-1000")).to.equal(undefined);
+  });
+
+  it("Should override single addresses from the environment", async function () {
+    process.env.BASE_TOKEN_ADDRESS = await otherToken.getAddress();
+    expect(await (await ContractLoader.loadContract("BaseToken")).symbol()).to.equal("OTH");
+
+    process.env.BASE_TOKEN_ADDRESS = "0x1234";
+    ContractLoader.clearCache();
+    await expect(ContractLoader.loadContract("BaseToken")).to.be.rejectedWith("BASE_TOKEN_ADDRESS is not a valid address");
+  });
+
+  it("Should cache deployment records and contract handles", async function () {
+    const first = await ContractLoader.loadContract("BaseToken");
+    fs.rmSync(path.join(deploymentsDir, "hardhat-2000.json"));
+
+    expect(await ContractLoader.loadContract("BaseToken")).to.equal(first);
+    expect(ContractLoader.getDeployment().id).to.equal("hardhat-2000");
+  });
+
+  it("Should attach external contracts by ABI name", async function () {
+    const [, user] = await ethers.getSigners();
+    const external = await ContractLoader.loadExternal("IERC20", await otherToken.getAddress(), { signer: user });
+
+    expect(await external.totalSupply()).to.equal(ethers.parseEther("1000"));
+    expect(external.runner).to.equal(user);
+    expect((await ContractLoader.loadExternal("IERC20", "weth", { validate: false })).target).to.equal("0x4200000000000000000000000000000000000006");
+  });
+
+  describe("Validation", function () {
+    it("Should reject a deployment recorded on another chain", async function () {
+      writeDeployment("hardhat-3000", { BaseToken: await token.getAddress() }, "8453");
+
+      const error = await ContractLoader.loadContract("BaseToken").catch(e => e);
+      expect(error).to.be.instanceOf(ContractValidationError);
+      expect(error.expected).to.equal("chain id 8453 (hardhat)");
+      expect(error.found).to.equal(`chain id ${chainId} on network hardhat`);
+    });
+
+    it("Should reject addresses without code", async function () {
+      const [, user] = await ethers.getSigners();
+      process.env.BASE_TOKEN_ADDRESS = user.address;
+
+      const error = await ContractLoader.loadContract("BaseToken").catch(e => e);
+      expect(error).to.be.instanceOf(ContractValidationError);
+      expect(error.address).to.equal(user.address);
+      expect(error.found).to.equal("no code on hardhat");
+    });
+
+    it("Should reject code that does not answer like the ABI", async function () {
+      writeDeployment("hardhat-3000", { BaseDEX: await token.getAddress(), BaseNFT: await token.getAddress() });
+
+      await expect(ContractLoader.loadContract("BaseDEX")).to.be.rejectedWith(ContractValidationError, /BaseDEX at 0x\w+: expected BaseDEX answering owner\(\)/);
+      await expect(ContractLoader.loadContract("BaseNFT")).to.be.rejectedWith(ContractValidationError, "supportsInterface(ERC165)");
+      await expect(ContractLoader.loadAllContracts()).to.be.rejectedWith(ContractValidationError);
+    });
+
+    it("Should skip validation when asked to", async function () {
+      writeDeployment("hardhat-3000", { BaseDEX: await token.getAddress() }, "8453");
+
+      const dexHandle = await ContractLoader.loadContract("BaseDEX", { validate: false });
+      expect(dexHandle.target).to.equal(await token.getAddress());
+    });
+  });
+
+  it("Should fail for contracts missing from the deployment", async function () {
+    await expect(ContractLoader.loadContract("BaseNFT")).to.be.rejectedWith("Contract BaseNFT not found in deployment hardhat-2000");
+    expect(() => ContractLoader.getDeployment("hardhat-3000")).to.throw("Deployment hardhat-3000 not found");
+  });
+});
@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { toSalt, getFactoryAddress, predictAddress, getInitCode, deployCreate2 } = require("../../scripts/utils/create2");
+
+describe("Create2", function () {
+  const salt = toSalt("baselytics-test");
+  const args = ["BaseLytics Token", "BLT", ethers.parseEther("1000")];
+  let owner, other, snapshot;
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+    snapshot = await takeSnapshot();
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  it("Should deploy to the predicted address and hand over ownership and supply", async function () {
+    const factory = await getFactoryAddress();
+    const predicted = predictAddress(factory, owner.address, salt, await getInitCode("BaseToken", args));
+
+    const { address, details } = await deployCreate2("BaseToken", args, salt, owner);
+    const token = await ethers.getContractAt("BaseToken", address);
+
+    expect(address).to.equal(predicted);
+    expect(details.create2).to.include({ factory, salt });
+    expect(await token.owner()).to.equal(owner.address);
+    expect(await token.balanceOf(owner.address)).to.equal(ethers.parseEther("1000"));
+    expect(await token.balanceOf(factory)).to.equal(0);
+  });
+
+  it("Should hand over the roles constructors grant their deployer", async function () {
+    const factory = await getFactoryAddress();
+    const { address: tokenAddress } = await deployCreate2("BaseToken", args, salt, owner);
+
+    const vesting = await ethers.getContractAt("BaseVesting", (await deployCreate2("BaseVesting", [tokenAddress], salt, owner)).address);
+    expect(await vesting.owner()).to.equal(owner.address);
+    expect(await vesting.emergencyWithdrawers(owner.address)).to.equal(true);
+    expect(await vesting.emergencyWithdrawers(factory)).to.equal(false);
+
+    const dex = await ethers.getContractAt("BaseDEX", (await deployCreate2("BaseDEX", [], salt, owner)).address);
+    expect(await dex.feeRecipient()).to.equal(owner.address);
+  });
+
+  it("Should match the factory's own address computation", async function () {
+    await deployCreate2("BaseToken", args, salt, owner);
+    const factory = await ethers.getContractAt("Create2Deployer", await getFactoryAddress());
+    const initCode = await getInitCode("BaseToken", args);
+
+    expect(await factory.computeAddress(owner.address, salt, ethers.keccak256(initCode)))
+      .to.equal(predictAddress(await factory.getAddress(), owner.address, salt, initCode));
+  });
+
+  it("Should reuse code already at the predicted address", async function () {
+    const first = await deployCreate2("BaseToken", args, salt, owner);
+    const second = await deployCreate2("BaseToken", args, salt, owner);
+
+    expect(second.address).to.equal(first.address);
+    expect(second.details.create2.reused).to.equal(true);
+  });
+
+  it("Should bind salts to the caller", async function () {
+    const mine = await deployCreate2("BaseToken", args, salt, owner);
+    const theirs = await deployCreate2("BaseToken", args, salt, other);
+
+    expect(theirs.address).to.not.equal(mine.address);
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const DeploymentManifest = require("../../scripts/utils/deployment-manifest");
+
+describe("DeploymentManifest", function () {
+  const TOKEN_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+  describe("Network Manifests", function () {
+    it("Should load the manifest for the current network", async function () {
+      const manifest = DeploymentManifest.load("hardhat");
+
+      expect(manifest.getContractNames()).to.include.members(["BaseToken", "BaseStaking", "BaseGovernance"]);
+      expect(manifest.getConfigurationSteps()).to.have.length(3);
+    });
+
+    it("Should fail for networks without a manifest", async function () {
+      expect(() => DeploymentManifest.load("unknownNetwork")).to.throw("No deployment manifest found");
+    });
+
+    it("Should deploy BaseToken before its dependents", async function () {
+      const order = DeploymentManifest.load("hardhat").getDeploymentOrder();
+
+      for (const dependent of ["BaseStaking", "BaseVesting", "BaseGovernance"]) {
+        expect(order.indexOf("BaseToken")).to.be.lt(order.indexOf(dependent));
+      }
+    });
+  });
+
+  describe("Dependency Graph", function () {
+    it("Should derive dependencies from address references and dependsOn", async function () {
+      const manifest = new DeploymentManifest({
+        contracts: {
+          A: { args: [] },
+          B: { args: ["${A.address}"] },
+          C: { args: [], dependsOn: ["B"] }
+        }
+      });
+
+      expect(manifest.getDependencies("B")).to.deep.equal(["A"]);
+      expect(manifest.getDependencies("C")).to.deep.equal(["B"]);
+      expect(manifest.getDeploymentOrder()).to.deep.equal(["A", "B", "C"]);
+    });
+
+    it("Should order a subset without pulling in deployed dependencies", async function () {
+      const manifest = new DeploymentManifest({
+        contracts: {
+          C: { args: ["${B.address}"] },
+          B: { args: ["${A.address}"] },
+          A: { args: [] }
+        }
+      });
+
+      expect(manifest.getDeploymentOrder(["C", "B"])).to.deep.equal(["B", "C"]);
+    });
+
+    it("Should fail on dependency cycles", async function () {
+      const manifest = new DeploymentManifest({
+        contracts: {
+          A: { args: ["${C.address}"] },
+          B: { args: ["${A.address}"] },
+          C: { args: ["${B.address}"] }
+        }
+      });
+
+      expect(() => manifest.getDeploymentOrder()).to.throw("Dependency cycle detected: A -> C -> B -> A");
+    });
+
+    it("Should fail on undeclared dependencies", async function () {
+      const manifest = new DeploymentManifest({
+        contracts: { A: { args: ["${Missing.address}"] } }
+      });
+
+      expect(() => manifest.getDeploymentOrder()).to.throw("depends on Missing");
+    });
+  });
+
+  describe("Argument Resolution", function () {
+    it("Should resolve address references and ether amounts", async function () {
+      const manifest = DeploymentManifest.load("hardhat");
+
+      expect(manifest.resolveArgs("BaseToken", {})).to.deep.equal([
+        "BaseLytics Token",
+        "BLT",
+        ethers.parseEther("1000000")
+      ]);
+      expect(manifest.resolveArgs("BaseStaking", { BaseToken: TOKEN_ADDRESS })).to.deep.equal([TOKEN_ADDRESS]);
+    });
+
+    it("Should fail on unresolved references", async function () {
+      const manifest = DeploymentManifest.load("hardhat");
+
+      expect(() => manifest.resolveArgs("BaseStaking", {})).to.throw("unresolved reference ${BaseToken.address}");
+    });
+
+    it("Should resolve per-network params", async function () {
+      const manifest = new DeploymentManifest({
+        params: { weth: TOKEN_ADDRESS, supply: { ether: "5" }, amount: "2" },
+        contracts: {
+          A: { args: ["${params.weth}", "${params.supply}", { ether: "${params.amount}" }] }
+        }
+      });
+
+      expect(manifest.resolveArgs("A", {})).to.deep.equal([TOKEN_ADDRESS, ethers.parseEther("5"), ethers.parseEther("2")]);
+    });
+
+    it("Should fail on unknown params", async function () {
+      const manifest = new DeploymentManifest({
+        contracts: { A: { args: ["${params.weth}"] } }
+      });
+
+      expect(() => manifest.resolveArgs("A", {})).to.throw("A: unknown parameter ${params.weth}");
+    });
+
+    it("Should select configuration steps by contract", async function () {
+      const manifest = DeploymentManifest.load("hardhat");
+      const steps = manifest.getConfigurationStepsFor(["BaseDEX"]);
+
+      expect(steps.map(step => step.id)).to.deep.equal(["dex-token-weth-pool"]);
+      expect(manifest.canResolveStep(steps[0], { BaseDEX: TOKEN_ADDRESS })).to.equal(false);
+      expect(manifest.getConfigurationStepsFor(["BaseToken"])).to.have.length(3);
+    });
+  });
+});
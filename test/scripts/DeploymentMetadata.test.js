@@ -0,0 +1,28 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { describeDeployment, serializeArgs } = require("../../scripts/utils/deployment-metadata");
+
+describe("DeploymentMetadata", function () {
+  it("Should serialize bigint constructor args as decimal strings", async function () {
+    const args = ["BaseLytics Token", "BLT", ethers.parseEther("1")];
+
+    expect(serializeArgs(args)).to.deep.equal(["BaseLytics Token", "BLT", "1000000000000000000"]);
+  });
+
+  it("Should describe a deployment from its receipt and artifact", async function () {
+    const [deployer] = await ethers.getSigners();
+    const args = ["BaseLytics Token", "BLT", ethers.parseEther("1000")];
+    const token = await ethers.deployContract("BaseToken", args);
+    const receipt = await token.deploymentTransaction().wait();
+
+    const details = await describeDeployment("BaseToken", args, receipt);
+
+    expect(details.constructorArgs[2]).to.equal(ethers.parseEther("1000").toString());
+    expect(details.txHash).to.equal(receipt.hash);
+    expect(details.blockNumber).to.equal(receipt.blockNumber);
+    expect(details.deployer).to.equal(deployer.address);
+    expect(details.contract).to.equal("contracts/examples/BaseToken.sol:BaseToken");
+    expect(details.bytecodeHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(details.compiler.version).to.match(/^0\.8\.19/);
+  });
+});
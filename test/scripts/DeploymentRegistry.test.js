@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DeploymentRegistry = require("../../scripts/utils/deployment-registry");
+
+describe("DeploymentRegistry", function () {
+  let deploymentsDir, registry;
+
+  function writeDeployment(id, contracts, details) {
+    const network = id.replace(/-\d+$/, "");
+    fs.writeFileSync(
+      path.join(deploymentsDir, `${id}.json`),
+      JSON.stringify({ network, contracts, details }, null, 2)
+    );
+  }
+
+  beforeEach(async function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    registry = new DeploymentRegistry(deploymentsDir);
+
+    writeDeployment("base-1000", { BaseToken: "0x01" });
+    writeDeployment("baseSepolia-2000", { BaseToken: "0x02" });
+    writeDeployment("baseSepolia-10000", { BaseToken: "0x03", BaseNFT: "0x04" });
+  });
+
+  afterEach(async function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("Listing", function () {
+    it("Should list deployments per network in timestamp order", async function () {
+      expect(registry.list("baseSepolia").map(d => d.id)).to.deep.equal(["baseSepolia-2000", "baseSepolia-10000"]);
+      expect(registry.list("base").map(d => d.id)).to.deep.equal(["base-1000"]);
+    });
+
+    it("Should default to the most recent deployment when nothing is tagged", async function () {
+      expect(registry.getActiveId("baseSepolia")).to.equal("baseSepolia-10000");
+      expect(registry.getActive("base").contracts.BaseToken).to.equal("0x01");
+      expect(registry.getActive("hardhat")).to.equal(null);
+    });
+  });
+
+  describe("Active Tag", function () {
+    it("Should make saved deployments active", async function () {
+      const id = registry.save({ network: "baseSepolia", contracts: { BaseToken: "0x05" } });
+
+      expect(registry.getActiveId("baseSepolia")).to.equal(id);
+      expect(registry.getHistory("baseSepolia")[0].reason).to.equal("deployed");
+    });
+
+    it("Should not activate deployments that failed their checks", async function () {
+      const id = registry.save({ network: "baseSepolia", status: "failed", contracts: { BaseToken: "0x05" } });
+
+      expect(registry.get(id).status).to.equal("failed");
+      expect(registry.getActiveId("baseSepolia")).to.equal("baseSepolia-10000");
+    });
+
+    it("Should roll back to the previously active deployment", async function () {
+      registry.setActive("baseSepolia", "baseSepolia-2000");
+      registry.setActive("baseSepolia", "baseSepolia-10000");
+
+      expect(registry.rollback("baseSepolia")).to.equal("baseSepolia-2000");
+      expect(registry.getActive("baseSepolia").contracts.BaseToken).to.equal("0x02");
+    });
+
+    it("Should keep going back on repeated rollbacks", async function () {
+      const third = registry.save({ network: "baseSepolia", contracts: { BaseToken: "0x05" } });
+      registry.setActive("baseSepolia", "baseSepolia-2000");
+      registry.setActive("baseSepolia", "baseSepolia-10000");
+      registry.setActive("baseSepolia", third);
+
+      expect(registry.rollback("baseSepolia")).to.equal("baseSepolia-10000");
+      expect(registry.rollback("baseSepolia")).to.equal("baseSepolia-2000");
+      expect(registry.getActiveId("baseSepolia")).to.equal("baseSepolia-2000");
+    });
+
+    it("Should roll back to the preceding deployment without history", async function () {
+      expect(registry.rollback("baseSepolia")).to.equal("baseSepolia-2000");
+      expect(() => registry.rollback("base")).to.throw("No earlier deployment");
+    });
+
+    it("Should not activate a deployment from another network", async function () {
+      expect(() => registry.setActive("base", "baseSepolia-2000")).to.throw("belongs to baseSepolia");
+    });
+  });
+
+  describe("Diff", function () {
+    it("Should report added, removed and changed contracts", async function () {
+      const diff = registry.diff("baseSepolia-2000", "baseSepolia-10000");
+
+      expect(diff.added).to.deep.equal(["BaseNFT"]);
+      expect(diff.removed).to.deep.equal([]);
+      expect(diff.changed).to.deep.equal([
+        { contract: "BaseToken", changes: { address: { from: "0x02", to: "0x03" } } }
+      ]);
+    });
+
+    it("Should compare constructor args and bytecode hashes when recorded", async function () {
+      writeDeployment("hardhat-1", { BaseStaking: "0x01" }, { BaseStaking: { constructorArgs: ["0x0a"], bytecodeHash: "0xaa" } });
+      writeDeployment("hardhat-2", { BaseStaking: "0x01" }, { BaseStaking: { constructorArgs: ["0x0b"], bytecodeHash: "0xaa" } });
+
+      const diff = registry.diff("hardhat-1", "hardhat-2");
+
+      expect(diff.changed[0].changes).to.deep.equal({ constructorArgs: { from: ["0x0a"], to: ["0x0b"] } });
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const DeploymentManifest = require("../../scripts/utils/deployment-manifest");
+const { simulateDeployment } = require("../../scripts/utils/dry-run");
+
+describe("DryRun", function () {
+  const manifest = new DeploymentManifest({
+    network: "hardhat",
+    contracts: {
+      BaseToken: { args: ["BaseLytics Token", "BLT", { ether: "1000" }] },
+      BaseStaking: { args: ["${BaseToken.address}"] },
+      BalanceTracker: { args: [] }
+    },
+    configure: [
+      { id: "support-token", contract: "BalanceTracker", method: "addSupportedToken", args: ["${BaseToken.address}"] },
+      { id: "support-zero", contract: "BalanceTracker", method: "addSupportedToken", args: [ethers.ZeroAddress] }
+    ]
+  });
+
+  it("Should report addresses and gas for every deployment and step", async function () {
+    const [signer] = await ethers.getSigners();
+    const order = manifest.getDeploymentOrder();
+
+    const { addresses, results } = await simulateDeployment(manifest, order, manifest.getConfigurationSteps().slice(0, 1), signer);
+
+    expect(results.map(r => r.status)).to.deep.equal(["ok", "ok", "ok", "ok"]);
+    expect(results[0].address).to.equal(addresses.BaseToken);
+    expect(await ethers.provider.getCode(addresses.BaseStaking)).to.not.equal("0x");
+    results.forEach(result => expect(result.gasUsed > 0n).to.equal(true));
+  });
+
+  it("Should record reverts and keep going", async function () {
+    const [signer] = await ethers.getSigners();
+
+    const { results } = await simulateDeployment(manifest, ["BalanceTracker"], manifest.getConfigurationSteps(), signer);
+
+    expect(results[1]).to.include({ name: "support-token", status: "skipped" });
+    expect(results[2]).to.include({ name: "support-zero", status: "reverted" });
+    expect(results[2].reason).to.include("invalid token address");
+  });
+
+  it("Should skip contracts whose dependencies have no code on the chain", async function () {
+    const [signer] = await ethers.getSigners();
+    const existing = { BaseToken: ethers.Wallet.createRandom().address };
+
+    const { results } = await simulateDeployment(manifest, ["BaseStaking"], [], signer, existing);
+
+    expect(results[0]).to.include({ status: "skipped", reason: "missing BaseToken" });
+  });
+});
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { EventIndexer, isRangeLimitError } = require("../../scripts/monitor/event-indexer");
+const { EventStore } = require("../../scripts/utils/event-store");
+
+const { ethers } = hre;
+const { parseEther } = ethers;
+
+describe("Event Indexer", function () {
+  let storeDir, store, alice, bob, token, deployment, deployBlock;
+
+  function allEvents() {
+    return store.query();
+  }
+
+  function createIndexer(options = {}) {
+    return new EventIndexer({ BaseToken: token }, { deployment, store: new EventStore("hardhat", { dir: storeDir }), ...options });
+  }
+
+  beforeEach(async function () {
+    [, alice, bob] = await ethers.getSigners();
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-"));
+    store = new EventStore("hardhat", { dir: storeDir });
+
+    token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", parseEther("1000000")]);
+    deployBlock = (await token.deploymentTransaction().wait()).blockNumber;
+    deployment = { id: "hardhat-1000", details: { BaseToken: { blockNumber: deployBlock } } };
+
+    for (let i = 1; i <= 5; i++) {
+      await token.transfer(alice.address, parseEther(String(i)));
+    }
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it("Should start at the deployment block, then after the cursor", async function () {
+    const indexer = createIndexer();
+    expect(indexer.getStartBlock()).to.equal(deployBlock);
+
+    store.writeCursor({ deploymentId: deployment.id, blockNumber: deployBlock + 2 });
+    expect(indexer.getStartBlock()).to.equal(deployBlock + 3);
+
+    store.writeCursor({ deploymentId: "hardhat-999", blockNumber: deployBlock + 2 });
+    expect(indexer.getStartBlock()).to.equal(deployBlock);
+  });
+
+  it("Should log every event from the deployment block and move the cursor", async function () {
+    const head = await ethers.provider.getBlockNumber();
+    const result = await createIndexer().indexRange(deployBlock, head);
+
+    // OwnershipTransferred, the initial mint and five transfers
+    expect(result).to.include({ events: 7, added: 7, chunks: 1 });
+    expect(allEvents()[0].event).to.equal("OwnershipTransferred");
+    expect(allEvents().slice(1).map(entry => entry.data.value)).to.deep.equal(["1000000.0", "1.0", "2.0", "3.0", "4.0", "5.0"]);
+    expect(store.readCursor().blockNumber).to.equal(head);
+  });
+
+  it("Should not log an event twice when ranges overlap", async function () {
+    const head = await ethers.provider.getBlockNumber();
+    await createIndexer().indexRange(deployBlock, head - 2);
+    const result = await createIndexer().indexRange(deployBlock, head);
+
+    expect(result).to.include({ events: 7, added: 2 });
+    expect(allEvents()).to.have.length(7);
+  });
+
+  it("Should shrink chunks the RPC rejects and grow them back", async function () {
+    const indexer = createIndexer({ chunkSize: 8 });
+    const getLogs = indexer.getLogs.bind(indexer);
+    const calls = [];
+    indexer.getLogs = async (fromBlock, toBlock) => {
+      calls.push(toBlock - fromBlock + 1);
+      if (toBlock - fromBlock + 1 > 3) throw new Error("query exceeds max block range 3");
+      return getLogs(fromBlock, toBlock);
+    };
+
+    const head = await ethers.provider.getBlockNumber();
+    const log = console.log;
+    console.log = () => {};
+    let result;
+    try {
+      result = await indexer.indexRange(deployBlock, head);
+    } finally {
+      console.log = log;
+    }
+
+    expect(result.events).to.equal(7);
+    expect(calls.slice(0, 3)).to.deep.equal([6, 4, 2]);
+    expect(Math.max(...calls.slice(3))).to.be.at.most(3);
+  });
+
+  it("Should rethrow errors that are not range limits", async function () {
+    const indexer = createIndexer();
+    indexer.getLogs = async () => {
+      throw new Error("connection refused");
+    };
+
+    let error;
+    try {
+      await indexer.indexRange(deployBlock, deployBlock + 1);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal("connection refused");
+    expect(isRangeLimitError(new Error("Log response size exceeded"))).to.equal(true);
+  });
+
+  it("Should only move the cursor for ranges that continue from it", async function () {
+    const head = await ethers.provider.getBlockNumber();
+    const indexer = createIndexer();
+
+    await indexer.indexRange(deployBlock + 3, head);
+    expect(store.readCursor()).to.equal(null);
+
+    await indexer.indexRange(deployBlock, deployBlock + 1);
+    expect(store.readCursor().blockNumber).to.equal(deployBlock + 1);
+  });
+
+  describe("Reorgs", function () {
+    let retracted, confirmed;
+    const handlers = {
+      onConfirmed: entries => confirmed.push(...entries),
+      onRetracted: entries => retracted.push(...entries)
+    };
+
+    function storedValues() {
+      return allEvents().filter(entry => entry.event === "Transfer").map(entry => entry.data.value);
+    }
+
+    async function follow(indexer) {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await indexer.follow(await ethers.provider.getBlockNumber(), handlers);
+      } finally {
+        console.log = log;
+      }
+    }
+
+    // Index up to the head, leaving the last `confirmations` blocks to follow()
+    async function createFollower(confirmations) {
+      const indexer = createIndexer({ confirmations });
+      await indexer.indexRange(deployBlock, await indexer.getConfirmedBlock());
+      await follow(indexer);
+      return indexer;
+    }
+
+    beforeEach(function () {
+      retracted = [];
+      confirmed = [];
+    });
+
+    it("Should hold events until they have enough confirmations", async function () {
+      const indexer = await createFollower(2);
+      const head = await ethers.provider.getBlockNumber();
+
+      expect(indexer.pending.map(entry => entry.data.value)).to.deep.equal(["4.0", "5.0"]);
+      expect(storedValues()).to.deep.equal(["1000000.0", "1.0", "2.0", "3.0"]);
+      expect(store.readCursor()).to.include({ blockNumber: head - 2 });
+
+      await hre.network.provider.send("hardhat_mine", ["0x2"]);
+      await follow(indexer);
+
+      expect(confirmed.map(entry => entry.data.value)).to.deep.equal(["4.0", "5.0"]);
+      expect(storedValues()).to.deep.equal(["1000000.0", "1.0", "2.0", "3.0", "4.0", "5.0"]);
+      expect(indexer.pending).to.have.length(0);
+    });
+
+    it("Should drop pending events of reorged blocks and log the new chain", async function () {
+      const indexer = await createFollower(3);
+      const snapshot = await hre.network.provider.send("evm_snapshot");
+
+      await token.transfer(alice.address, parseEther("7"));
+      await follow(indexer);
+      expect(indexer.pending.map(entry => entry.data.value)).to.include("7.0");
+
+      // Replace the block holding the transfer with a different one
+      await hre.network.provider.send("evm_revert", [snapshot]);
+      await token.transfer(bob.address, parseEther("8"));
+      await token.transfer(bob.address, parseEther("9"));
+      await follow(indexer);
+
+      expect(retracted.map(entry => entry.data.value)).to.deep.equal(["7.0"]);
+      expect(indexer.pending.map(entry => entry.data.value)).to.not.include("7.0");
+
+      await hre.network.provider.send("hardhat_mine", ["0x3"]);
+      await follow(indexer);
+
+      expect(storedValues()).to.deep.equal(["1000000.0", "1.0", "2.0", "3.0", "4.0", "5.0", "8.0", "9.0"]);
+    });
+
+    it("Should remove stored events when a reorg is deeper than the confirmations", async function () {
+      const indexer = await createFollower(0);
+      const snapshot = await hre.network.provider.send("evm_snapshot");
+
+      await token.transfer(alice.address, parseEther("7"));
+      await follow(indexer);
+      expect(storedValues()).to.include("7.0");
+
+      await hre.network.provider.send("evm_revert", [snapshot]);
+      await token.transfer(bob.address, parseEther("8"));
+      await token.transfer(bob.address, parseEther("9"));
+      await follow(indexer);
+
+      expect(retracted.map(entry => entry.data.value)).to.deep.equal(["7.0"]);
+      expect(storedValues()).to.deep.equal(["1000000.0", "1.0", "2.0", "3.0", "4.0", "5.0", "8.0", "9.0"]);
+
+      const head = await ethers.provider.getBlock("latest");
+      expect(store.readCursor()).to.include({ blockNumber: head.number, blockHash: head.hash });
+    });
+
+    it("Should detect a reorg that happened while nothing was running", async function () {
+      await createFollower(0);
+      const snapshot = await hre.network.provider.send("evm_snapshot");
+      await token.transfer(alice.address, parseEther("7"));
+      await follow(createIndexer({ confirmations: 0 }));
+
+      await hre.network.provider.send("evm_revert", [snapshot]);
+
+      // A new run checks the cursor block before reading anything
+      const log = console.log;
+      console.log = () => {};
+      let forkBlock;
+      try {
+        forkBlock = await createIndexer({ confirmations: 0 }).rewindStore(handlers);
+      } finally {
+        console.log = log;
+      }
+
+      expect(forkBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(retracted.map(entry => entry.data.value)).to.deep.equal(["7.0"]);
+      expect(storedValues()).to.not.include("7.0");
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const ContractLoader = require("../../scripts/utils/contract-loader");
+const { EventDecoder, matchesFilter } = require("../../scripts/utils/event-decoder");
+const { EventMonitor } = require("../../scripts/monitor/event-listener");
+
+const { ethers } = hre;
+const { parseEther } = ethers;
+
+describe("Event Monitor", function () {
+  let owner, alice, token, staking, dex, other;
+
+  async function decodeReceipt(contract, tx) {
+    const receipt = await tx.wait();
+    const decoder = new EventDecoder(contract);
+    const decoded = [];
+    for (const log of receipt.logs.filter(entry => entry.address === contract.target)) {
+      decoded.push(await decoder.decodeLog(log));
+    }
+    return decoded;
+  }
+
+  beforeEach(async function () {
+    [owner, alice] = await ethers.getSigners();
+    token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", parseEther("1000000")]);
+    other = await ethers.deployContract("BaseToken", ["Other Token", "OTH", parseEther("1000000")]);
+    staking = await ethers.deployContract("BaseStaking", [await token.getAddress()]);
+    dex = await ethers.deployContract("BaseDEX");
+  });
+
+  describe("Decoding", function () {
+    it("Should format token amounts and keep addresses", async function () {
+      const [transfer] = await decodeReceipt(token, await token.transfer(alice.address, parseEther("12.5")));
+
+      expect(transfer).to.deep.equal({
+        event: "Transfer",
+        data: { from: owner.address, to: alice.address, value: "12.5" }
+      });
+    });
+
+    it("Should decode amounts in the contract's own token", async function () {
+      await token.approve(await staking.getAddress(), parseEther("100"));
+      const decoded = await decodeReceipt(staking, await staking.stake(parseEther("100")));
+
+      expect(decoded).to.deep.include({ event: "Staked", data: { user: owner.address, amount: "100.0" } });
+    });
+
+    it("Should match amounts to the tokens the event names", async function () {
+      const [a, b] = [await token.getAddress(), await other.getAddress()];
+      await dex.createPool(a, b, 0);
+      await token.approve(await dex.getAddress(), parseEther("1000"));
+      await other.approve(await dex.getAddress(), parseEther("1000"));
+
+      const decoded = await decodeReceipt(dex, await dex.addLiquidity(a, b, parseEther("1000"), parseEther("500"), 0, 0));
+      const added = decoded.find(entry => entry.event === "LiquidityAdded");
+
+      expect(added.data.amountA).to.equal("1000.0");
+      expect(added.data.amountB).to.equal("500.0");
+      expect(added.data.tokenA).to.equal(a);
+    });
+
+    it("Should decode ids, timestamps, durations and amounts without decimals", async function () {
+      const decoder = new EventDecoder(token);
+      const fragment = ethers.EventFragment.from(
+        "event Sample(uint256 indexed proposalId, uint256 endTime, uint256 vestingDuration, uint8 support, address token, uint256 amount)"
+      );
+
+      const data = await decoder.decode(fragment, [7n, 1700000000n, 3600n, 1n, alice.address, 42n]);
+
+      expect(data).to.deep.equal({
+        proposalId: "7",
+        endTime: "2023-11-14T22:13:20.000Z",
+        vestingDuration: 3600,
+        support: 1,
+        token: alice.address,
+        amount: "42"
+      });
+    });
+
+    it("Should return null for logs of other contracts", async function () {
+      const receipt = await (await token.transfer(alice.address, 1)).wait();
+      expect(await new EventDecoder(dex).decodeLog(receipt.logs[0])).to.equal(null);
+    });
+  });
+
+  describe("Filters", function () {
+    it("Should include and exclude contracts and single events", function () {
+      expect(matchesFilter("BaseDEX", "SwapExecuted")).to.equal(true);
+      expect(matchesFilter("BaseDEX", "SwapExecuted", { include: ["BaseDEX"] })).to.equal(true);
+      expect(matchesFilter("BaseToken", "Transfer", { include: ["BaseDEX"] })).to.equal(false);
+      expect(matchesFilter("BaseMarketplace", "ItemSold", { include: ["BaseMarketplace.ItemSold"] })).to.equal(true);
+      expect(matchesFilter("BaseMarketplace", "BidPlaced", { include: ["BaseMarketplace.ItemSold"] })).to.equal(false);
+      expect(matchesFilter("BaseToken", "Approval", { exclude: ["BaseToken.Approval"] })).to.equal(false);
+      expect(matchesFilter("BaseToken", "Transfer", { include: ["BaseToken"], exclude: ["BaseToken.Approval"] })).to.equal(true);
+    });
+  });
+
+  describe("Monitoring", function () {
+    let deploymentsDir;
+
+    beforeEach(async function () {
+      deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+      fs.writeFileSync(path.join(deploymentsDir, "hardhat-1000.json"), JSON.stringify({
+        network: "hardhat",
+        contracts: {
+          BaseToken: await token.getAddress(),
+          BaseStaking: await staking.getAddress(),
+          BaseDEX: await dex.getAddress()
+        }
+      }));
+
+      ContractLoader.deploymentsDir = deploymentsDir;
+      ContractLoader.clearCache();
+    });
+
+    afterEach(function () {
+      ContractLoader.deploymentsDir = undefined;
+      ContractLoader.clearCache();
+      fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    async function subscribe(options) {
+      const monitor = new EventMonitor(options);
+      const log = console.log;
+      console.log = () => {};
+      try {
+        monitor.contracts = await ContractLoader.loadAllContracts();
+        monitor.setupEventListeners();
+        return monitor;
+      } finally {
+        console.log = log;
+      }
+    }
+
+    it("Should subscribe to every ABI event of the loaded contracts", async function () {
+      const expected = [token, staking, dex].reduce((count, contract) =>
+        count + contract.interface.fragments.filter(fragment => fragment.type === "event").length, 0);
+
+      const monitor = await subscribe();
+      expect(monitor.indexer.eventCount).to.equal(expected);
+      expect(monitor.subscriptions).to.have.length(3);
+    });
+
+    it("Should only subscribe to the filtered events", async function () {
+      const dexEvents = dex.interface.fragments.filter(fragment => fragment.type === "event").length;
+
+      expect((await subscribe({ include: ["BaseDEX", "BaseToken.Transfer"] })).indexer.eventCount).to.equal(dexEvents + 1);
+      expect((await subscribe({ include: ["BaseDEX"], exclude: ["BaseDEX.FeeCollected"] })).indexer.eventCount).to.equal(dexEvents - 1);
+    });
+  });
+});
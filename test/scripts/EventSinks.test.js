@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { FileSink, WebhookSink, QueueSink, SinkRouter, loadSinkRoutes, createSinkRouter } = require("../../scripts/monitor/event-sinks");
+const { LocalQueue, matchSubject } = require("../../scripts/utils/local-queue");
+
+describe("Event Sinks", function () {
+  let dir;
+
+  function entry(contract, event, logIndex = 0) {
+    return {
+      chainId: 31337,
+      timestamp: "2025-01-01T00:00:00.000Z",
+      contract,
+      event,
+      data: { value: "1.0" },
+      blockNumber: 10,
+      blockHash: "0xb10",
+      transactionHash: "0xt10",
+      logIndex
+    };
+  }
+
+  function readLines(file) {
+    return fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line));
+  }
+
+  async function quietly(action) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await action();
+    } finally {
+      console.log = log;
+    }
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sinks-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("File", function () {
+    it("Should rotate files past the size limit and keep maxFiles of them", function () {
+      const file = path.join(dir, "events.jsonl");
+      const lineSize = Buffer.byteLength(`${JSON.stringify(entry("BaseToken", "Transfer"))}\n`);
+      const sink = new FileSink({ path: file, maxBytes: lineSize * 2, maxFiles: 2 });
+
+      for (let i = 0; i < 7; i++) sink.write(entry("BaseToken", "Transfer", i));
+
+      expect(readLines(file).map(line => line.logIndex)).to.deep.equal([6]);
+      expect(readLines(`${file}.1`).map(line => line.logIndex)).to.deep.equal([4, 5]);
+      expect(readLines(`${file}.2`).map(line => line.logIndex)).to.deep.equal([2, 3]);
+      expect(fs.existsSync(`${file}.3`)).to.equal(false);
+    });
+  });
+
+  describe("Webhook", function () {
+    let server, url, requests, statuses;
+
+    beforeEach(async function () {
+      requests = [];
+      statuses = [];
+      server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", chunk => { body += chunk; });
+        request.on("end", () => {
+          requests.push({ headers: request.headers, body });
+          response.writeHead(statuses.shift() || 200);
+          response.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}/events`;
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it("Should sign the body with the timestamp", async function () {
+      await new WebhookSink({ url, secret: "s3cret" }).write(entry("BaseMarketplace", "ItemSold"));
+
+      const [{ headers, body }] = requests;
+      const expected = crypto.createHmac("sha256", "s3cret").update(`${headers["x-baselytics-timestamp"]}.${body}`).digest("hex");
+      expect(headers["x-baselytics-signature"]).to.equal(`sha256=${expected}`);
+      expect(headers["x-baselytics-event"]).to.equal("BaseMarketplace.ItemSold");
+      expect(headers["x-baselytics-delivery"]).to.equal("0xt10:0");
+      expect(JSON.parse(body).contract).to.equal("BaseMarketplace");
+    });
+
+    it("Should retry server errors and give up on client errors", async function () {
+      statuses = [503, 500];
+      await new WebhookSink({ url, retryDelay: 1 }).write(entry("BaseDEX", "FeeCollected"));
+      expect(requests).to.have.length(3);
+      expect(requests[0].headers).to.not.have.property("x-baselytics-signature");
+
+      requests = [];
+      statuses = [400];
+      let error;
+      try {
+        await new WebhookSink({ url, retryDelay: 1 }).write(entry("BaseDEX", "FeeCollected"));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.include("400");
+      expect(requests).to.have.length(1);
+    });
+
+    it("Should require the secret variable it names", function () {
+      expect(() => new WebhookSink({ url, secretEnv: "BASELYTICS_TEST_UNSET_SECRET" })).to.throw("BASELYTICS_TEST_UNSET_SECRET");
+    });
+  });
+
+  describe("Queue", function () {
+    it("Should match NATS-style subjects", function () {
+      expect(matchSubject("baselytics.*.BaseDEX.>", "baselytics.base.BaseDEX.FeeCollected")).to.equal(true);
+      expect(matchSubject("baselytics.*.BaseDEX.>", "baselytics.base.BaseDEX")).to.equal(false);
+      expect(matchSubject("baselytics.base.*", "baselytics.base.BaseDEX.FeeCollected")).to.equal(false);
+      expect(matchSubject(">", "baselytics.base.BaseDEX.FeeCollected")).to.equal(true);
+    });
+
+    it("Should publish by subject and let consumers resume where they stopped", async function () {
+      const sink = new QueueSink({ dir }, { network: "base" });
+      sink.write(entry("BaseDEX", "FeeCollected", 0));
+      sink.write(entry("BaseToken", "Transfer", 1));
+      sink.write(entry("BaseDEX", "SwapExecuted", 2));
+
+      const queue = new LocalQueue(dir);
+      const seen = [];
+      const handle = message => { seen.push(message.subject); };
+
+      expect(await queue.consume("fees", handle, { subject: "baselytics.*.BaseDEX.>", limit: 1 })).to.equal(1);
+      expect(await queue.consume("fees", handle, { subject: "baselytics.*.BaseDEX.>" })).to.equal(1);
+      expect(await queue.consume("fees", handle, { subject: "baselytics.*.BaseDEX.>" })).to.equal(0);
+      expect(seen).to.deep.equal(["baselytics.base.BaseDEX.FeeCollected", "baselytics.base.BaseDEX.SwapExecuted"]);
+
+      // A new publisher continues the sequence
+      new QueueSink({ dir }, { network: "base" }).write(entry("BaseDEX", "FeeCollected", 3));
+      await queue.consume("all", handle);
+      expect(queue.getPosition("all").seq).to.equal(4);
+    });
+
+    it("Should redeliver a message whose handler failed", async function () {
+      new QueueSink({ dir }, { network: "base" }).write(entry("BaseDEX", "FeeCollected"));
+      const queue = new LocalQueue(dir);
+
+      let error;
+      try {
+        await queue.consume("flaky", () => { throw new Error("downstream unavailable"); });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.equal("downstream unavailable");
+      expect(await queue.consume("flaky", () => {})).to.equal(1);
+    });
+  });
+
+  describe("Routing", function () {
+    it("Should deliver events to the sinks whose filters they pass, in order", async function () {
+      const received = { all: [], sales: [] };
+      const router = new SinkRouter([
+        { name: "all", sink: { write: async (event) => { await new Promise(resolve => setTimeout(resolve, 5)); received.all.push(event.logIndex); } }, exclude: ["BaseToken.Approval"] },
+        { name: "sales", sink: { write: (event) => { received.sales.push(event.logIndex); } }, include: ["BaseMarketplace.ItemSold"] }
+      ], { network: "test", failuresFile: path.join(dir, "failures.jsonl") });
+
+      router.dispatch(entry("BaseToken", "Transfer", 0));
+      router.dispatch(entry("BaseToken", "Approval", 1));
+      router.dispatch(entry("BaseMarketplace", "ItemSold", 2));
+      router.dispatch({ ...entry("BaseMarketplace", "ItemSold", 2), removed: true });
+
+      expect(await router.close()).to.deep.equal([
+        { name: "all", delivered: 3, failed: 0 },
+        { name: "sales", delivered: 2, failed: 0 }
+      ]);
+      expect(received.all).to.deep.equal([0, 2, 2]);
+    });
+
+    it("Should record events a sink could not take and keep delivering", async function () {
+      const failuresFile = path.join(dir, "failures.jsonl");
+      let calls = 0;
+      const router = new SinkRouter([{
+        name: "broken",
+        sink: { write: () => { if (calls++ === 0) throw new Error("unreachable"); } }
+      }], { network: "test", failuresFile });
+
+      router.dispatch(entry("BaseToken", "Transfer", 0));
+      router.dispatch(entry("BaseToken", "Transfer", 1));
+      const summary = await quietly(() => router.close());
+
+      expect(summary).to.deep.equal([{ name: "broken", delivered: 1, failed: 1 }]);
+      expect(readLines(failuresFile)[0]).to.include({ sink: "broken", error: "unreachable" });
+      expect(readLines(failuresFile)[0].entry.logIndex).to.equal(0);
+    });
+
+    it("Should build sinks from a config file", function () {
+      fs.writeFileSync(path.join(dir, "custom-sink.js"), "module.exports = class { constructor(options) { this.options = options; } write() {} };");
+      fs.writeFileSync(path.join(dir, "sinks.json"), JSON.stringify({
+        sinks: [
+          { type: "file", path: "out/events.jsonl", include: ["BaseDEX"] },
+          { type: "webhook", name: "sales", url: "http://127.0.0.1:1/hook" },
+          { type: "./custom-sink.js", level: 2 }
+        ]
+      }));
+
+      const routes = loadSinkRoutes(path.join(dir, "sinks.json"), { network: "test" });
+      expect(routes.map(route => route.name)).to.deep.equal(["file#1", "sales", "./custom-sink.js#3"]);
+      expect(routes[0].sink.file).to.equal(path.join(dir, "out/events.jsonl"));
+      expect(routes[0].include).to.deep.equal(["BaseDEX"]);
+      expect(routes[2].sink.options).to.deep.equal({ level: 2 });
+
+      fs.writeFileSync(path.join(dir, "bad.json"), JSON.stringify({ sinks: [{ type: "kafka" }] }));
+      expect(() => loadSinkRoutes(path.join(dir, "bad.json"))).to.throw("unknown sink type kafka");
+    });
+
+    it("Should add a stdout sink for --json", function () {
+      expect(createSinkRouter({ network: "test" }).summary()).to.deep.equal([]);
+      expect(createSinkRouter({ json: true, network: "test" }).summary()).to.deep.equal([{ name: "stdout", delivered: 0, failed: 0 }]);
+    });
+  });
+});
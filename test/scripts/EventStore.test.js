@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventStore } = require("../../scripts/utils/event-store");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+describe("Event Store", function () {
+  let dir;
+
+  function entry(blockNumber, logIndex, fields = {}) {
+    return {
+      chainId: 8453,
+      timestamp: new Date(Date.UTC(2025, 0, 1) + blockNumber * 60 * 60 * 1000).toISOString(),
+      contract: "BaseToken",
+      event: "Transfer",
+      data: { from: ALICE, to: BOB, value: "1.0" },
+      blockNumber,
+      blockHash: `0x${blockNumber}`,
+      transactionHash: `0x${blockNumber}${logIndex}`,
+      logIndex,
+      ...fields
+    };
+  }
+
+  function open() {
+    return new EventStore("test", { dir });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-store-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should store an event once and return events in chain order", function () {
+    const store = open();
+
+    expect(store.append([entry(20, 0), entry(10, 1), entry(10, 0)])).to.equal(3);
+    expect(store.append([entry(10, 1), entry(30, 0), entry(30, 0)])).to.equal(1);
+
+    expect(store.query().map(event => [event.blockNumber, event.logIndex])).to.deep.equal([[10, 0], [10, 1], [20, 0], [30, 0]]);
+    expect(store.query({ order: "desc", limit: 2 }).map(event => event.blockNumber)).to.deep.equal([30, 20]);
+  });
+
+  it("Should only append to the event file", function () {
+    const store = open();
+    store.append([entry(10, 0)]);
+    const before = fs.readFileSync(store.file, "utf8");
+
+    store.append([entry(5, 0)]);
+    store.remove({ fromBlock: 10 });
+
+    const lines = fs.readFileSync(store.file, "utf8").trim().split("\n");
+    expect(fs.readFileSync(store.file, "utf8").startsWith(before)).to.equal(true);
+    expect(lines).to.have.length(3);
+    expect(JSON.parse(lines[2])).to.include({ removed: true, blockNumber: 10 });
+  });
+
+  it("Should filter by contract, event, address, block range and time", function () {
+    const store = open();
+    store.append([
+      entry(1, 0),
+      entry(2, 0, { data: { from: BOB, to: ALICE, value: "2.0" } }),
+      entry(3, 0, { contract: "BaseStaking", event: "Staked", data: { user: ALICE, amount: "5.0" } }),
+      entry(4, 0, { contract: "BaseDEX", event: "FeeCollected", data: { token: BOB, amount: "0.3" } })
+    ]);
+
+    expect(store.query({ contract: "BaseToken" })).to.have.length(2);
+    expect(store.query({ contract: ["BaseStaking", "BaseDEX"] })).to.have.length(2);
+    expect(store.query({ event: "Staked" })[0].data.amount).to.equal("5.0");
+    expect(store.query({ address: ALICE.toLowerCase() }).map(event => event.blockNumber)).to.deep.equal([1, 2, 3]);
+    expect(store.query({ fromBlock: 2, toBlock: 3 }).map(event => event.blockNumber)).to.deep.equal([2, 3]);
+
+    // Blocks are an hour apart from 2025-01-01T00:00Z
+    const events = store.query({ fromTime: "2025-01-01T02:00:00.000Z", toTime: new Date("2025-01-01T04:00:00.000Z") });
+    expect(events.map(event => event.blockNumber)).to.deep.equal([2, 3]);
+  });
+
+  it("Should keep events of different chains apart", function () {
+    const store = open();
+    expect(store.append([entry(10, 0), entry(10, 0, { chainId: 84532 })])).to.equal(2);
+  });
+
+  it("Should remove events from a block and accept their replacements", function () {
+    const store = open();
+    store.append([entry(10, 0), entry(11, 0), entry(12, 0)]);
+
+    const removed = store.remove({ fromBlock: 11 });
+    expect(removed.map(event => event.blockNumber)).to.deep.equal([11, 12]);
+    expect(store.count()).to.equal(1);
+
+    expect(store.append([entry(11, 0, { blockHash: "0xnew" })])).to.equal(1);
+    expect(open().query({ fromBlock: 11 }).map(event => event.blockHash)).to.deep.equal(["0xnew"]);
+  });
+
+  it("Should catch up with events written after the index was saved", function () {
+    const store = open();
+    store.append([entry(10, 0)]);
+    store.close();
+
+    // A second writer, or a crash before the next index save
+    const other = open();
+    other.append([entry(11, 0), entry(12, 0)]);
+
+    expect(store.query().map(event => event.blockNumber)).to.deep.equal([10, 11, 12]);
+    expect(open().count()).to.equal(3);
+  });
+
+  it("Should save the records it replayed when closed", function () {
+    const writer = open();
+    writer.append([entry(10, 0), entry(11, 0)]);
+
+    // A reader opened before the writer saved its index replays the file
+    const reader = EventStore.openExisting("test", { dir });
+    expect(reader.unsaved).to.equal(2);
+    reader.close();
+
+    expect(JSON.parse(fs.readFileSync(reader.indexFile, "utf8")).size).to.equal(fs.statSync(reader.file).size);
+    expect(EventStore.openExisting("test", { dir }).unsaved).to.equal(0);
+  });
+
+  it("Should drop a partial last line left by a crash", function () {
+    const store = open();
+    store.append([entry(10, 0), entry(11, 0)]);
+    fs.appendFileSync(store.file, JSON.stringify(entry(12, 0)).slice(0, 40));
+
+    const log = console.log;
+    console.log = () => {};
+    let reopened;
+    try {
+      reopened = open();
+    } finally {
+      console.log = log;
+    }
+
+    expect(reopened.count()).to.equal(2);
+    expect(reopened.append([entry(12, 0)])).to.equal(1);
+    expect(open().query().map(event => event.blockNumber)).to.deep.equal([10, 11, 12]);
+  });
+
+  it("Should rebuild a missing or corrupt index", function () {
+    const store = open();
+    store.append([entry(10, 0), entry(11, 0)]);
+    store.remove({ fromBlock: 11 });
+    store.close();
+
+    fs.writeFileSync(store.indexFile, "{");
+    const log = console.log;
+    console.log = () => {};
+    try {
+      expect(open().query().map(event => event.blockNumber)).to.deep.equal([10]);
+    } finally {
+      console.log = log;
+    }
+
+    fs.rmSync(store.indexFile);
+    expect(open().query().map(event => event.blockNumber)).to.deep.equal([10]);
+  });
+
+  it("Should only open stores that exist", function () {
+    expect(EventStore.openExisting("test", { dir })).to.equal(null);
+    open().append([entry(10, 0)]);
+    expect(EventStore.openExisting("test", { dir })).to.be.an.instanceof(EventStore);
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { GasProfiler, getStateChangingFunctions, diffBaselines } = require("../../scripts/utils/gas-profiler");
+const { profileGas, compareGas } = require("../../scripts/analytics/gas-profile");
+
+const { ethers } = hre;
+
+describe("GasProfiler", function () {
+  let profiler, owner, user;
+
+  beforeEach(async function () {
+    [owner, user] = await ethers.getSigners();
+    profiler = new GasProfiler();
+  });
+
+  it("Should record deployment and call gas", async function () {
+    const token = await profiler.deploy("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+    const receipt = await profiler.measure(token, "transfer", [user.address, 1n]);
+    await profiler.measure(token, "transfer", [owner.address, 1n], { from: user, label: "back" });
+
+    const baseline = await profiler.toBaseline();
+    expect(baseline.contracts.BaseToken.transfer).to.equal(Number(receipt.gasUsed));
+    expect(baseline.contracts.BaseToken).to.have.all.keys("constructor", "transfer", "transfer (back)");
+    expect(baseline.contracts.BaseToken.constructor).to.be.greaterThan(500000);
+  });
+
+  it("Should record reverted calls with their reason", async function () {
+    const token = await profiler.deploy("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+
+    expect(await profiler.measure(token, "mint", [user.address, 1n], { from: user })).to.equal(null);
+
+    const baseline = await profiler.toBaseline();
+    expect(baseline.reverted.BaseToken).to.deep.equal({ mint: "Ownable: caller is not the owner" });
+    expect(baseline.unmeasured.BaseToken).to.not.include("mint");
+    expect(baseline.unmeasured.BaseToken).to.include("burn");
+  });
+
+  it("Should key overloaded functions by signature", async function () {
+    const artifact = await hre.artifacts.readArtifact("BaseNFT");
+    const functions = getStateChangingFunctions(new ethers.Interface(artifact.abi));
+
+    expect(functions).to.include.members([
+      "mint",
+      "safeTransferFrom(address,address,uint256)",
+      "safeTransferFrom(address,address,uint256,bytes)"
+    ]);
+    expect(functions).to.not.include("balanceOf");
+  });
+
+  it("Should flag increases above the threshold", function () {
+    const baseline = { contracts: { BaseMarketplace: { buyItem: 100000, listItem: 200000, setRoyalty: 70000 } }, reverted: {} };
+    const current = {
+      contracts: { BaseMarketplace: { buyItem: 106000, listItem: 204000, delistItem: 48000 } },
+      reverted: { BaseMarketplace: { setRoyalty: "BaseMarketplace: not authorized" } }
+    };
+
+    const diff = diffBaselines(baseline, current, 5);
+
+    expect(diff.regressions).to.deep.equal([
+      { contract: "BaseMarketplace", key: "buyItem", baseline: 100000, current: 106000, change: 6 }
+    ]);
+    expect(diff.unchanged).to.equal(1);
+    expect(diff.added).to.deep.equal([{ contract: "BaseMarketplace", key: "delistItem", current: 48000 }]);
+    expect(diff.removed).to.deep.equal([
+      { contract: "BaseMarketplace", key: "setRoyalty", baseline: 70000, reason: "BaseMarketplace: not authorized" }
+    ]);
+    expect(diffBaselines(baseline, current, 10).regressions).to.have.lengthOf(0);
+  });
+
+  it("Should fail the gas diff when a baselined function reverts or is no longer measured", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gas-"));
+    const write = (name, profile) => {
+      fs.writeFileSync(path.join(dir, name), JSON.stringify(profile));
+      return path.join(dir, name);
+    };
+    const baseline = write("baseline.json", { contracts: { BaseToken: { transfer: 50000, burn: 30000 } }, reverted: {}, unmeasured: {} });
+    const reverted = write("reverted.json", {
+      contracts: { BaseToken: { transfer: 50000 } },
+      reverted: { BaseToken: { burn: "ERC20: burn amount exceeds balance" } },
+      unmeasured: {}
+    });
+    const unmeasured = write("unmeasured.json", { contracts: { BaseToken: { transfer: 50000 } }, reverted: {}, unmeasured: { BaseToken: ["burn"] } });
+
+    const exitCode = process.exitCode;
+    const log = console.log;
+    console.log = () => {};
+    const results = [];
+    try {
+      for (const current of [reverted, unmeasured, baseline]) {
+        process.exitCode = undefined;
+        const diff = await compareGas({ baseline, current });
+        results.push({ removed: diff.removed.map(entry => entry.reason), exitCode: process.exitCode });
+      }
+    } finally {
+      console.log = log;
+      process.exitCode = exitCode;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(results).to.deep.equal([
+      { removed: ["ERC20: burn amount exceeds balance"], exitCode: 1 },
+      { removed: ["not measured"], exitCode: 1 },
+      { removed: [], exitCode: undefined }
+    ]);
+  });
+
+  it("Should profile the example contracts and save the baseline", async function () {
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gas-")), "baseline.json");
+    const log = console.log;
+    console.log = () => {};
+
+    let result;
+    try {
+      result = await profileGas({ out });
+    } finally {
+      console.log = log;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(out, "utf8"));
+    expect(saved.contracts).to.deep.equal(result.contracts);
+
+    // The committed baseline gates gas regressions (update it with `npm run gas-diff -- --update`)
+    const committed = JSON.parse(fs.readFileSync(path.join(__dirname, "../../gas-baseline.json"), "utf8"));
+    const diff = diffBaselines(committed, saved, 5);
+    expect(diff.regressions).to.deep.equal([]);
+    expect(diff.removed).to.deep.equal([]);
+    expect(saved.contracts.BaseDEX).to.include.keys("swap", "addLiquidity", "removeLiquidity");
+    expect(saved.contracts.BaseMarketplace).to.include.keys("listItem", "buyItem", "placeBid", "endAuction");
+    expect(saved.contracts.BaseVesting).to.include.keys("createVestingSchedulesBatch (5 beneficiaries)", "releaseBatch (5 beneficiaries)");
+
+    for (const name of ["BaseToken", "BaseNFT", "BaseStaking", "BaseDEX", "BaseMarketplace", "BaseVesting", "BalanceManager", "BalanceTracker"]) {
+      expect(saved.unmeasured[name], name).to.equal(undefined);
+      expect(saved.reverted[name], name).to.equal(undefined);
+    }
+
+    // Delegation reverts in BaseGovernance, so its proposal flow cannot run
+    expect(saved.reverted.BaseGovernance).to.have.all.keys("delegate", "delegateBySig", "propose");
+    expect(saved.unmeasured.BaseGovernance).to.have.members(["castVote", "execute", "cancel"]);
+
+    fs.rmSync(path.dirname(out), { recursive: true, force: true });
+  });
+});
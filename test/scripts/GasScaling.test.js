@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { analyzeGasScaling, HISTORIES } = require("../../scripts/analytics/gas-scaling");
+const { maxEntriesUnderLimit } = require("../../scripts/utils/gas-scaling");
+
+describe("Gas scaling analysis", function () {
+  let report, out;
+
+  before(async function () {
+    out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gas-scaling-")), "report.json");
+    const log = console.log;
+    console.log = () => {};
+    try {
+      report = await analyzeGasScaling({ sizes: [20, 2], blockGasLimit: 150000, out });
+    } finally {
+      console.log = log;
+    }
+  });
+
+  after(function () {
+    fs.rmSync(path.dirname(out), { recursive: true, force: true });
+  });
+
+  function operation(history, name) {
+    return report.histories.find(entry => entry.name === history).operations.find(entry => entry.name === name);
+  }
+
+  it("Should measure every history at each size", function () {
+    expect(report.sizes).to.deep.equal([2, 20]);
+    expect(JSON.parse(fs.readFileSync(out, "utf8")).sizes).to.deep.equal([2, 20]);
+    expect(report.histories.map(history => history.name)).to.deep.equal([
+      "BalanceManager.balanceHistory",
+      "BalanceTracker.balanceHistory",
+      "BaseMarketplace.auctionBids",
+      "BaseGovernance.checkpoints"
+    ]);
+
+    const scan = operation("BalanceManager.balanceHistory", "getBalanceAt (before first entry)");
+    expect(scan.points.map(point => point.size)).to.deep.equal([2, 20]);
+    expect(scan.points[1].gasUsed).to.be.greaterThan(scan.points[0].gasUsed);
+
+    const stats = operation("BalanceManager.balanceHistory", "getAccountStats");
+    expect(stats.points[1].gasUsed).to.equal(stats.points[0].gasUsed);
+    expect(stats.maxEntries).to.equal(Infinity);
+  });
+
+  it("Should flag functions over the block gas limit", function () {
+    const history = operation("BalanceManager.balanceHistory", "getBalanceHistory (all)");
+    expect(history.exceedsAt).to.equal(20);
+    expect(history.points[1].exceedsLimit).to.equal(true);
+
+    const bids = operation("BaseMarketplace.auctionBids", "getAuctionBids");
+    expect(bids.exceedsAt).to.equal(20);
+  });
+
+  it("Should grow histories the contracts can read back", async function () {
+    const [owner, alice, bob] = await hre.ethers.getSigners();
+
+    const balances = await HISTORIES["BalanceManager.balanceHistory"]({ owner, alice, bob });
+    await balances.grow(0, 5);
+    const snapshots = await balances.contract.getBalanceHistory(alice.address, 0);
+    expect(snapshots).to.have.lengthOf(5);
+    expect(snapshots[0].reason).to.equal("Balance Check");
+    expect((await balances.contract.getAccountStats(alice.address)).totalTransactions).to.equal(5n);
+
+    const checkpoints = await HISTORIES["BaseGovernance.checkpoints"]({ owner, alice, bob });
+    await checkpoints.grow(0, 3);
+    expect(await checkpoints.contract.getCurrentVotes(alice.address)).to.equal(hre.ethers.parseEther("1000"));
+  });
+
+  it("Should extrapolate linear growth only", function () {
+    const linear = [{ size: 10, gasUsed: 50000 }, { size: 100, gasUsed: 140000 }, { size: 1000, gasUsed: 1040000 }];
+    expect(maxEntriesUnderLimit(linear, 30000000)).to.equal(29960);
+
+    const logarithmic = [{ size: 10, gasUsed: 39850 }, { size: 100, gasUsed: 48562 }, { size: 1000, gasUsed: 57275 }];
+    expect(maxEntriesUnderLimit(logarithmic, 30000000)).to.equal(Infinity);
+  });
+});
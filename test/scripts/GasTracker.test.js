@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const ContractLoader = require("../../scripts/utils/contract-loader");
+const { sampleFeeHistory, loadSamples, appendSamples, percentile, getFeeLevels, getL1Fee } = require("../../scripts/utils/fee-history");
+const { trackGasUsage } = require("../../scripts/monitor/gas-tracker");
+
+const { ethers } = hre;
+const LOGS_DIR = path.join(__dirname, "../../logs");
+
+function samplesFile(network) {
+  return path.join(LOGS_DIR, `gas-samples-${network}.jsonl`);
+}
+
+function sample(block, baseFeePerGas, tip) {
+  return { block, baseFeePerGas: String(baseFeePerGas), priorityFee: { p10: "0", p50: String(tip), p90: "0" }, gasUsedRatio: 0.5 };
+}
+
+describe("Gas Tracker", function () {
+  const network = `test-${process.pid}`;
+
+  afterEach(function () {
+    fs.rmSync(samplesFile(network), { force: true });
+  });
+
+  describe("Fee history", function () {
+    it("Should compute nearest-rank percentiles", function () {
+      const values = [5n, 1n, 4n, 2n, 3n, 10n, 9n, 8n, 7n, 6n];
+
+      expect(percentile(values, 10)).to.equal(1n);
+      expect(percentile(values, 50)).to.equal(5n);
+      expect(percentile(values, 90)).to.equal(9n);
+      expect(percentile([], 50)).to.equal(0n);
+    });
+
+    it("Should derive fee levels from base fees and median tips", function () {
+      const samples = Array.from({ length: 10 }, (_, i) => sample(i, (i + 1) * 100, i + 1));
+      const levels = getFeeLevels(samples);
+
+      expect(levels.p10).to.deep.equal({ baseFeePerGas: 100n, priorityFeePerGas: 1n, feePerGas: 101n });
+      expect(levels.p50.feePerGas).to.equal(505n);
+      expect(levels.p90.feePerGas).to.equal(909n);
+    });
+
+    it("Should sample one entry per block", async function () {
+      await hre.network.provider.send("hardhat_mine", ["0x5"]);
+      const latest = await ethers.provider.getBlockNumber();
+      const samples = await sampleFeeHistory(5);
+
+      expect(samples.map(entry => entry.block)).to.deep.equal([latest - 4, latest - 3, latest - 2, latest - 1, latest]);
+      expect(BigInt(samples[0].baseFeePerGas)).to.be.greaterThan(0n);
+      expect(samples[0].priorityFee).to.have.keys("p10", "p50", "p90");
+    });
+
+    it("Should persist samples and skip blocks already stored", function () {
+      expect(appendSamples(network, [sample(1, 100, 1), sample(2, 200, 2)])).to.equal(2);
+      expect(appendSamples(network, [sample(2, 999, 9), sample(3, 300, 3)])).to.equal(1);
+
+      const stored = loadSamples(network);
+      expect(stored.map(entry => entry.block)).to.deep.equal([1, 2, 3]);
+      expect(stored[1].baseFeePerGas).to.equal("200");
+    });
+
+    it("Should leave out the L1 fee without a gas price oracle", async function () {
+      const [owner] = await ethers.getSigners();
+      expect(await getL1Fee({ to: owner.address, data: "0x", gasLimit: 21000n })).to.equal(null);
+    });
+  });
+
+  describe("Tracking", function () {
+    let deploymentsDir, hadSamples;
+
+    beforeEach(async function () {
+      const token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+      const nft = await ethers.deployContract("BaseNFT", ["BaseLytics NFT", "BLNFT", "https://api.baselytics.com/nft/"]);
+
+      deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+      fs.writeFileSync(path.join(deploymentsDir, "hardhat-1000.json"), JSON.stringify({
+        network: "hardhat",
+        contracts: { BaseToken: await token.getAddress(), BaseNFT: await nft.getAddress() }
+      }));
+
+      ContractLoader.deploymentsDir = deploymentsDir;
+      ContractLoader.clearCache();
+      hadSamples = fs.existsSync(samplesFile("hardhat"));
+    });
+
+    afterEach(function () {
+      ContractLoader.deploymentsDir = undefined;
+      ContractLoader.clearCache();
+      fs.rmSync(deploymentsDir, { recursive: true, force: true });
+      if (!hadSamples) fs.rmSync(samplesFile("hardhat"), { force: true });
+    });
+
+    it("Should price each operation at every fee level", async function () {
+      const log = console.log;
+      console.log = () => {};
+      let result;
+      try {
+        result = await trackGasUsage({ blocks: 10 });
+      } finally {
+        console.log = log;
+      }
+
+      expect(result.levels).to.have.keys("p10", "p50", "p90");
+      expect(result.samples.used).to.be.greaterThan(0);
+
+      const transfer = result.estimates.BaseToken.transfer;
+      expect(Number(transfer.gas)).to.be.greaterThan(21000);
+      expect(transfer.l1Fee).to.equal(null);
+      expect(BigInt(transfer.costs.p50)).to.equal(BigInt(transfer.gas) * BigInt(result.levels.p50.feePerGas));
+      expect(BigInt(transfer.costs.p90)).to.be.at.least(BigInt(transfer.costs.p10));
+
+      expect(result.estimates.BaseNFT.mint.gas).to.be.a("string");
+      expect(result.estimates).to.not.have.property("BaseStaking");
+    });
+  });
+});
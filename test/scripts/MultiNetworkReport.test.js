@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { buildReport, getDeploymentCost } = require("../../scripts/utils/multi-network-report");
+
+describe("MultiNetworkReport", function () {
+  const TOKEN_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const OTHER_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+  function deployment(chainId, contracts, details) {
+    return { chainId, deployer: TOKEN_ADDRESS, contracts, details };
+  }
+
+  it("Should add proxy deployment gas to the contract cost", async function () {
+    const cost = getDeploymentCost({
+      gasUsed: "100", gasPrice: "2",
+      proxy: { gasUsed: "50", gasPrice: "3" }
+    });
+
+    expect(cost).to.deep.equal({ gasUsed: 150n, cost: 350n });
+    expect(getDeploymentCost({})).to.deep.equal({ gasUsed: 0n, cost: 0n });
+  });
+
+  it("Should compare addresses and gas costs across networks", async function () {
+    const report = buildReport([
+      {
+        network: "baseSepolia",
+        status: "completed",
+        deploymentId: "baseSepolia-1",
+        deployment: deployment("84532", { BaseToken: TOKEN_ADDRESS, BaseDEX: OTHER_ADDRESS }, {
+          BaseToken: { gasUsed: "1000", gasPrice: "1000000000" },
+          BaseDEX: { gasUsed: "2000", gasPrice: "1000000000" }
+        })
+      },
+      {
+        network: "base",
+        status: "completed",
+        deploymentId: "base-1",
+        deployment: deployment("8453", { BaseToken: TOKEN_ADDRESS.toLowerCase(), BaseDEX: TOKEN_ADDRESS }, {
+          BaseToken: {},
+          BaseDEX: { gasUsed: "2000", gasPrice: "2000000000" }
+        })
+      }
+    ]);
+
+    expect(report.contracts.BaseToken.sameAddress).to.equal(true);
+    expect(report.contracts.BaseDEX.sameAddress).to.equal(false);
+    expect(report.contracts.BaseDEX.gasUsed).to.deep.equal({ baseSepolia: "2000", base: "2000" });
+    expect(report.contracts.BaseDEX.cost.base).to.equal("0.000004");
+    expect(report.networks.baseSepolia).to.include({ status: "completed", chainId: "84532", gasUsed: "3000", cost: "0.000003" });
+    expect(report.networks.base.gasUsed).to.equal("2000");
+  });
+
+  it("Should keep failed and skipped networks in the report", async function () {
+    const report = buildReport([
+      { network: "baseSepolia", status: "failed", deploymentId: null, deployment: null, error: "deploy.js exited with code 1" },
+      { network: "base", status: "skipped" }
+    ]);
+
+    expect(report.networks.baseSepolia).to.deep.equal({ status: "failed", deploymentId: null, error: "deploy.js exited with code 1" });
+    expect(report.networks.base).to.deep.equal({ status: "skipped", deploymentId: null });
+    expect(report.contracts).to.deep.equal({});
+  });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const DeploymentManifest = require("../../scripts/utils/deployment-manifest");
+const { getHandoffPlan, runHandoff, verifyHandoff } = require("../../scripts/utils/ownership-handoff");
+const { deployProxy } = require("../../scripts/utils/proxy-deployer");
+
+describe("OwnershipHandoff", function () {
+  let deployer, multisig, treasury;
+  let manifest, addresses, details;
+
+  beforeEach(async function () {
+    [deployer, multisig, treasury] = await ethers.getSigners();
+
+    manifest = new DeploymentManifest({
+      params: { multisig: multisig.address, treasury: treasury.address },
+      contracts: {
+        BaseToken: { args: [] },
+        BaseDEX: { args: [] },
+        BaseVesting: { args: ["${BaseToken.address}"] },
+        BaseStaking: { args: ["${BaseToken.address}"], proxy: { kind: "transparent" } }
+      },
+      handoff: {
+        owner: "${params.multisig}",
+        feeRecipients: { BaseDEX: "${params.treasury}" },
+        roles: [{ contract: "BaseVesting", grant: "addEmergencyWithdrawer", revoke: "removeEmergencyWithdrawer", check: "emergencyWithdrawers" }]
+      }
+    });
+
+    const token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+    const dex = await ethers.deployContract("BaseDEX");
+    const vesting = await ethers.deployContract("BaseVesting", [await token.getAddress()]);
+    const staking = await deployProxy("BaseStaking", manifest.getProxyConfig("BaseStaking"), [await token.getAddress()], deployer);
+
+    addresses = {
+      BaseToken: await token.getAddress(),
+      BaseDEX: await dex.getAddress(),
+      BaseVesting: await vesting.getAddress(),
+      BaseStaking: staking.address
+    };
+    details = { BaseStaking: staking.details };
+  });
+
+  it("Should fail when the handoff owner is not set", async function () {
+    const unset = new DeploymentManifest({
+      params: { multisig: "" },
+      contracts: {},
+      handoff: { owner: "${params.multisig}" }
+    });
+
+    expect(() => unset.getHandoff()).to.throw("handoff.owner is not set to a valid address");
+  });
+
+  it("Should transfer every owner, fee recipient and role and verify them", async function () {
+    const plan = getHandoffPlan(manifest, manifest.getHandoff(), deployer.address, details);
+
+    expect(plan[plan.length - 1].step.method).to.equal("transferOwnership");
+    expect(plan.map(({ step }) => step.id)).to.include("handoff-owner-BaseStaking-ProxyAdmin");
+
+    await runHandoff(manifest, plan, addresses, deployer);
+    const verification = await verifyHandoff(manifest, plan, addresses);
+
+    expect(verification.status).to.equal("passed");
+    for (const name of Object.keys(addresses)) {
+      expect(await (await ethers.getContractAt(name, addresses[name])).owner()).to.equal(multisig.address);
+    }
+    expect(await (await ethers.getContractAt("BaseDEX", addresses.BaseDEX)).feeRecipient()).to.equal(treasury.address);
+
+    const vesting = await ethers.getContractAt("BaseVesting", addresses.BaseVesting);
+    expect(await vesting.emergencyWithdrawers(multisig.address)).to.equal(true);
+    expect(await vesting.emergencyWithdrawers(deployer.address)).to.equal(false);
+  });
+
+  it("Should skip steps that already took effect", async function () {
+    const plan = getHandoffPlan(manifest, manifest.getHandoff(), deployer.address, details);
+    await runHandoff(manifest, plan, addresses, deployer);
+
+    // The deployer is no longer owner, so any resent transaction would revert
+    await runHandoff(manifest, plan, addresses, deployer);
+    expect((await verifyHandoff(manifest, plan, addresses)).status).to.equal("passed");
+  });
+
+  it("Should report contracts still owned by the deployer", async function () {
+    const plan = getHandoffPlan(manifest, manifest.getHandoff(), deployer.address, details);
+    const verification = await verifyHandoff(manifest, plan, addresses);
+
+    const failed = verification.results.filter(result => result.status === "failed").map(result => result.id);
+    expect(verification.status).to.equal("failed");
+    expect(failed).to.include.members(["handoff-owner-BaseToken", "handoff-fee-recipient-BaseDEX"]);
+  });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const DeploymentManifest = require("../../scripts/utils/deployment-manifest");
+const { runChecks } = require("../../scripts/utils/post-deploy-checks");
+
+describe("PostDeployChecks", function () {
+  let addresses;
+
+  beforeEach(async function () {
+    const token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+    const staking = await ethers.deployContract("BaseStaking", [await token.getAddress()]);
+    const dex = await ethers.deployContract("BaseDEX");
+
+    addresses = {
+      BaseToken: await token.getAddress(),
+      BaseStaking: await staking.getAddress(),
+      BaseDEX: await dex.getAddress()
+    };
+  });
+
+  function manifestWithChecks(checks) {
+    return new DeploymentManifest({ contracts: {}, checks });
+  }
+
+  it("Should pass when view calls return the expected values", async function () {
+    const manifest = manifestWithChecks([
+      { id: "staking-token", contract: "BaseStaking", call: "stakingToken", expect: "${BaseToken.address}" },
+      { id: "reward-rate", contract: "BaseStaking", call: "rewardRate", expect: 100 }
+    ]);
+
+    const checks = await runChecks(manifest, addresses);
+
+    expect(checks.status).to.equal("passed");
+    expect(checks.results.map(r => r.status)).to.deep.equal(["passed", "passed"]);
+  });
+
+  it("Should fail on mismatches and reverted calls", async function () {
+    const manifest = manifestWithChecks([
+      { id: "staking-token", contract: "BaseStaking", call: "stakingToken", expect: "${BaseDEX.address}" },
+      { id: "pool-fee", contract: "BaseDEX", call: "getPoolInfo", args: ["${BaseToken.address}", "${BaseStaking.address}"], field: "feeRate", expect: 30 }
+    ]);
+
+    const checks = await runChecks(manifest, addresses);
+
+    expect(checks.status).to.equal("failed");
+    expect(checks.results[0]).to.include({ status: "failed", actual: addresses.BaseToken, expected: addresses.BaseDEX });
+    expect(checks.results[1].reason).to.include("pool does not exist");
+  });
+
+  it("Should read a named field and skip checks for missing contracts", async function () {
+    const dex = await ethers.getContractAt("BaseDEX", addresses.BaseDEX);
+    await dex.createPool(addresses.BaseToken, addresses.BaseStaking, 0);
+
+    const manifest = manifestWithChecks([
+      { id: "pool-fee", contract: "BaseDEX", call: "getPoolInfo", args: ["${BaseToken.address}", "${BaseStaking.address}"], field: "feeRate", expect: 30 },
+      { id: "vesting-token", contract: "BaseVesting", call: "vestingToken", expect: "${BaseToken.address}" }
+    ]);
+
+    const checks = await runChecks(manifest, addresses);
+
+    expect(checks.status).to.equal("passed");
+    expect(checks.results[0]).to.include({ status: "passed", actual: "30" });
+    expect(checks.results[1].status).to.equal("skipped");
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployProxy, upgradeProxy, getImplementationAddress } = require("../../scripts/utils/proxy-deployer");
+const { getStorageLayout, compareStorageLayouts } = require("../../scripts/utils/storage-layout");
+
+describe("ProxyDeployer", function () {
+  let owner, user, token;
+
+  beforeEach(async function () {
+    [owner, user] = await ethers.getSigners();
+    token = await ethers.deployContract("BaseToken", ["BaseLytics Token", "BLT", ethers.parseEther("1000")]);
+  });
+
+  for (const kind of ["uups", "transparent"]) {
+    describe(`${kind} proxy`, function () {
+      const config = { kind, implementation: "BaseStakingUpgradeable", initializer: "initialize" };
+
+      it("Should initialize the proxy like the constructor would", async function () {
+        const { address, details } = await deployProxy("BaseStaking", config, [await token.getAddress()], owner);
+        const staking = await ethers.getContractAt("BaseStaking", address);
+
+        expect(await staking.stakingToken()).to.equal(await token.getAddress());
+        expect(await staking.owner()).to.equal(owner.address);
+        expect(await staking.rewardRate()).to.equal(100);
+        expect(await getImplementationAddress(address)).to.equal(details.proxy.implementation);
+        expect(details.proxy.storageLayout.storage.length).to.be.gt(0);
+      });
+
+      it("Should keep state when upgraded", async function () {
+        const { address, details } = await deployProxy("BaseStaking", config, [await token.getAddress()], owner);
+        const staking = await ethers.getContractAt("BaseStaking", address);
+
+        await token.transfer(user.address, ethers.parseEther("100"));
+        await token.connect(user).approve(address, ethers.parseEther("100"));
+        await staking.connect(user).stake(ethers.parseEther("100"));
+
+        const upgraded = await upgradeProxy("BaseStakingUpgradeable", details, owner);
+
+        expect(upgraded.proxy.previousImplementation).to.equal(details.proxy.implementation);
+        expect(await getImplementationAddress(address)).to.equal(upgraded.proxy.implementation);
+        expect(await staking.totalStaked()).to.equal(ethers.parseEther("100"));
+      });
+    });
+  }
+
+  it("Should refuse upgrades with an incompatible storage layout", async function () {
+    const config = { kind: "uups", implementation: "BaseStakingUpgradeable", initializer: "initialize" };
+    const { address, details } = await deployProxy("BaseStaking", config, [await token.getAddress()], owner);
+
+    await expect(upgradeProxy("BaseVestingUpgradeable", details, owner)).to.be.rejectedWith("Storage layout");
+    expect(await getImplementationAddress(address)).to.equal(details.proxy.implementation);
+  });
+
+  describe("Storage Layout", function () {
+    it("Should accept appended variables and reject reordering or type changes", async function () {
+      const previous = await getStorageLayout("BaseStakingUpgradeable");
+      const appended = {
+        storage: [...previous.storage, { label: "bonus", slot: "7", offset: 0, type: "t_uint256" }],
+        types: previous.types
+      };
+      const retyped = {
+        storage: previous.storage.map(v => v.label === "totalStaked" ? { ...v, type: "t_address" } : v),
+        types: { ...previous.types, t_address: { label: "address", numberOfBytes: "20" } }
+      };
+
+      expect(compareStorageLayouts(previous, appended)).to.deep.equal([]);
+      expect(compareStorageLayouts(previous, retyped)).to.deep.equal(["totalStaked changed type from uint256 to address"]);
+      expect(compareStorageLayouts(previous, { ...previous, storage: previous.storage.slice(1) })[0]).to.include("was replaced by");
+    });
+  });
+});
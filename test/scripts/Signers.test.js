@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const ContractLoader = require("../../scripts/utils/contract-loader");
+const { KEYSTORES_DIR, getSignerOption, getScriptArgs, resolveSigner } = require("../../scripts/utils/signers");
+
+describe("Signers", function () {
+  let accounts;
+
+  beforeEach(async function () {
+    accounts = await ethers.getSigners();
+    ContractLoader.clearCache();
+  });
+
+  afterEach(function () {
+    delete process.env.SIGNER;
+    delete process.env.KEYSTORE_PASSWORD;
+  });
+
+  it("Should read --as and strip it from the script arguments", function () {
+    const argv = ["node", "mint-tokens.js", "0x123", "--as", "treasury", "1000"];
+
+    expect(getSignerOption(argv)).to.equal("treasury");
+    expect(getScriptArgs(argv)).to.deep.equal(["0x123", "1000"]);
+    expect(() => getSignerOption(["node", "mint-tokens.js", "--as"])).to.throw("--as needs a signer");
+
+    process.env.SIGNER = "2";
+    expect(getSignerOption(["node", "mint-tokens.js"])).to.equal("2");
+  });
+
+  it("Should resolve signers by index and address", async function () {
+    expect((await resolveSigner()).address).to.equal(accounts[0].address);
+    expect((await resolveSigner("3")).address).to.equal(accounts[3].address);
+    expect((await resolveSigner(accounts[4].address.toLowerCase())).address).to.equal(accounts[4].address);
+
+    await expect(resolveSigner("999")).to.be.rejectedWith("Signer index 999 out of range");
+    await expect(resolveSigner(ethers.Wallet.createRandom().address)).to.be.rejectedWith("is not one of the accounts configured");
+  });
+
+  it("Should resolve named roles", async function () {
+    const roles = { owner: 0, treasury: "1", operator: accounts[2].address, admin: "owner", loop: "loop", ops: "auditors", auditors: "ops", lead: "ops" };
+
+    expect((await resolveSigner("treasury", roles)).address).to.equal(accounts[1].address);
+    expect((await resolveSigner("operator", roles)).address).to.equal(accounts[2].address);
+    expect((await resolveSigner("admin", roles)).address).to.equal(accounts[0].address);
+
+    await expect(resolveSigner("auditor", roles)).to.be.rejectedWith('Unknown signer "auditor"');
+    await expect(resolveSigner("loop", roles)).to.be.rejectedWith("Signer role cycle loop → loop");
+    await expect(resolveSigner("ops", roles)).to.be.rejectedWith("Signer role cycle ops → auditors → ops");
+    await expect(resolveSigner("lead", roles)).to.be.rejectedWith("Signer role cycle ops → auditors → ops");
+  });
+
+  it("Should read roles from the network manifest", async function () {
+    expect((await resolveSigner("operator")).address).to.equal(accounts[2].address);
+  });
+
+  describe("Keystores", function () {
+    const name = `test-${process.pid}`;
+    const file = path.join(KEYSTORES_DIR, `${name}.json`);
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = ethers.Wallet.createRandom();
+      const json = await ethers.encryptKeystoreJson(wallet, "secret", { scrypt: { N: 1024 } });
+      fs.mkdirSync(KEYSTORES_DIR, { recursive: true });
+      fs.writeFileSync(file, json);
+    });
+
+    afterEach(function () {
+      fs.rmSync(file, { force: true });
+      if (fs.readdirSync(KEYSTORES_DIR).length === 0) fs.rmdirSync(KEYSTORES_DIR);
+    });
+
+    it("Should unlock a keystore connected to the provider", async function () {
+      process.env.KEYSTORE_PASSWORD = "secret";
+
+      const signer = await resolveSigner(`keystore:${name}`);
+      expect(signer.address).to.equal(wallet.address);
+      expect(signer.provider).to.not.equal(null);
+
+      await accounts[0].sendTransaction({ to: signer.address, value: ethers.parseEther("1") });
+      const tx = await signer.sendTransaction({ to: accounts[0].address, value: ethers.parseEther("0.5") });
+      expect((await tx.wait()).from).to.equal(wallet.address);
+    });
+
+    it("Should fail without the password or the file", async function () {
+      await expect(resolveSigner(`keystore:${name}`)).to.be.rejectedWith(`Set KEYSTORE_PASSWORD to unlock keystore ${name}`);
+
+      process.env.KEYSTORE_PASSWORD = "wrong";
+      await expect(resolveSigner(`keystore:${name}`)).to.be.rejectedWith("incorrect password");
+      await expect(resolveSigner("keystore:missing")).to.be.rejectedWith("Keystore missing not found");
+    });
+  });
+
+  it("Should connect ContractLoader handles to the chosen signer", async function () {
+    process.env.SIGNER = "1";
+
+    const signer = await ContractLoader.getSigner();
+    expect(signer.address).to.equal(accounts[1].address);
+    expect(await ContractLoader.getSigner()).to.equal(signer);
+    expect((await ContractLoader.getSigner("owner")).address).to.equal(accounts[0].address);
+  });
+});
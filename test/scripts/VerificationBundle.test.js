@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { describeDeployment } = require("../../scripts/utils/deployment-metadata");
+const { getSourceClosure, createBundle, checkBundle } = require("../../scripts/utils/verification-bundle");
+
+describe("VerificationBundle", function () {
+  let token, details;
+
+  before(async function () {
+    const args = ["BaseLytics Token", "BLT", ethers.parseEther("1000")];
+    token = await ethers.deployContract("BaseToken", args);
+    details = await describeDeployment("BaseToken", args, await token.deploymentTransaction().wait());
+  });
+
+  it("Should include only the sources a contract is compiled from", async function () {
+    const buildInfo = await hre.artifacts.getBuildInfo(details.contract);
+    const sources = getSourceClosure(buildInfo, "contracts/examples/BaseToken.sol");
+
+    expect(sources).to.include.members(["contracts/examples/BaseToken.sol", "contracts/tokens/ERC20.sol", "contracts/access/Ownable.sol"]);
+    expect(sources).to.not.include("contracts/examples/BaseDEX.sol");
+  });
+
+  it("Should bundle the standard JSON input and ABI-encoded constructor args", async function () {
+    const bundle = await createBundle("BaseToken", await token.getAddress(), details);
+    const decoded = ethers.AbiCoder.defaultAbiCoder().decode(["string", "string", "uint256"], "0x" + bundle.encodedConstructorArgs);
+
+    expect(bundle.fullyQualifiedName).to.equal("contracts/examples/BaseToken.sol:BaseToken");
+    expect(bundle.compilerVersion).to.match(/^v0\.8\.19\+commit\./);
+    expect(bundle.input.settings.optimizer.enabled).to.equal(true);
+    expect(decoded[2]).to.equal(ethers.parseEther("1000"));
+  });
+
+  it("Should recompile the bundle to the deployed bytecode", async function () {
+    const bundle = await createBundle("BaseToken", await token.getAddress(), details);
+    const result = await checkBundle(bundle, await ethers.provider.getCode(await token.getAddress()));
+
+    expect(result).to.include({ status: "match", bytecode: true, deployedBytecode: true, constructorArgs: true, onchain: true });
+  });
+
+  it("Should report a mismatch with the recorded deployment", async function () {
+    const bundle = await createBundle("BaseToken", await token.getAddress(), details);
+    const dexCode = await ethers.provider.getCode(await (await ethers.deployContract("BaseDEX")).getAddress());
+
+    const result = await checkBundle({ ...bundle, deployedBytecodeHash: ethers.ZeroHash }, dexCode);
+
+    expect(result.status).to.equal("mismatch");
+    expect(result.deployedBytecode).to.equal(false);
+    expect(result.onchain).to.equal(false);
+  });
+});